@@ -0,0 +1,129 @@
+// a11y.js
+// =======
+// Small helpers so the quest works with a keyboard, a screen reader,
+// a swipe, and for anyone whose device asks for less motion.
+//
+// • trapFocus(card)        keeps Tab inside a dialog, Escape closes it
+// • announce('Treasure…')  says something out loud (screen readers only)
+// • onSwipe(el, dir => …)  left / right swipes on touch screens
+// • prefersReducedMotion() true when animations should be skipped
+
+// Things Tab can land on.
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+// A swipe has to travel this far (px), and mostly sideways.
+const SWIPE_MIN_PX = 50;
+
+/** Has the device asked for less motion (Settings → Accessibility)? */
+export function prefersReducedMotion() {
+  try {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Keep keyboard focus inside `container` (a dialog) until released.
+ * Focus starts on the first control (or the container itself), Escape
+ * calls `onEscape`, and releasing puts focus back where it was.
+ * Returns the release function.
+ */
+export function trapFocus(container, { onEscape } = {}) {
+  const before = document.activeElement;
+
+  const focusable = () => [...container.querySelectorAll(FOCUSABLE)]
+    .filter(el => !el.closest('[hidden]'));
+
+  function onKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onEscape?.();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const items = focusable();
+    if (!items.length) {
+      e.preventDefault();
+      container.focus();
+      return;
+    }
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (!container.contains(document.activeElement)) {
+      // Focus escaped (e.g. the dialog was re-drawn): bring it back.
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  if (!container.hasAttribute('tabindex')) container.setAttribute('tabindex', '-1');
+  document.addEventListener('keydown', onKeydown);
+  (focusable()[0] || container).focus();
+
+  return function release() {
+    document.removeEventListener('keydown', onKeydown);
+    if (before && before.isConnected && typeof before.focus === 'function') before.focus();
+  };
+}
+
+let announcer = null;
+
+/**
+ * Read `text` out to screen-reader users without moving their focus.
+ * Nothing shows on screen.
+ */
+export function announce(text) {
+  if (!announcer) {
+    announcer = document.createElement('div');
+    announcer.className = 'sr-only';
+    announcer.setAttribute('role', 'status');
+    announcer.setAttribute('aria-live', 'polite');
+    document.body.appendChild(announcer);
+  }
+
+  // Clear first so the same words twice in a row are still read out.
+  announcer.textContent = '';
+  window.setTimeout(() => { announcer.textContent = text; }, 50);
+}
+
+/**
+ * Call `onSwipe('left' | 'right')` when `el` is swiped sideways.
+ * Up / down swipes are left alone, so the page still scrolls.
+ */
+export function onSwipe(el, handler) {
+  if (!el) return;
+  let start = null;
+
+  el.addEventListener('touchstart', (e) => {
+    const touch = e.touches[0];
+    start = e.touches.length === 1 ? { x: touch.clientX, y: touch.clientY } : null;
+  }, { passive: true });
+
+  el.addEventListener('touchend', (e) => {
+    if (!start) return;
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - start.x;
+    const dy = touch.clientY - start.y;
+    start = null;
+
+    if (Math.abs(dx) >= SWIPE_MIN_PX && Math.abs(dx) > Math.abs(dy) * 1.5) {
+      handler(dx < 0 ? 'left' : 'right');
+    }
+  }, { passive: true });
+}
@@ -0,0 +1,181 @@
+// achievements.js
+// ===============
+// The badges engine. Badges are declared as data (achievements.json,
+// next to pools.json) and checked against the visited map after every claim.
+//
+// Each badge looks like:
+//   { "id": "early-bird", "title": "Early Bird", "icon": "🌅",
+//     "description": "Claim a pool before 9am",
+//     "rule": { "type": "before-hour", "hour": 9 } }
+// The title and description can be given per language, e.g.
+// { "en": "Early Bird", "es": "Al alba" } (see localized() in i18n.js).
+//
+// Rule types:
+//   count        { count }          claim this many pools
+//   all          {}                 claim every pool in the quest
+//   within-days  { count, days }    claim `count` pools within `days` days
+//   group        { pools | suburbs } claim every pool in a group
+//   before-hour  { hour }           claim a pool before this hour (24h clock)
+//   months       { months }         visit a pool in each of these months (1–12);
+//                                   repeat visits count too
+//
+// Nothing here touches storage or the DOM.
+
+import { firstVisit, hasVisitTime, visitDate } from './dates.js';
+import { t, formatHour, formatList, monthName, localized } from './i18n.js';
+
+const RULE_TYPES = ['count', 'all', 'within-days', 'group', 'before-hour', 'months'];
+
+/**
+ * Clean up the raw JSON from an achievements file.
+ * Badges with a missing id/title or an unknown rule type are skipped.
+ */
+export function parseBadges(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  return raw
+    .filter(b => b && b.id && localized(b.title) && RULE_TYPES.includes(b.rule?.type))
+    .map(b => ({
+      id: String(b.id),
+      title: String(localized(b.title)),
+      description: b.description ? String(localized(b.description) || '') : '',
+      icon: b.icon || '🏅',
+      rule: b.rule
+    }));
+}
+
+// ----------------------------------------------------------
+// CLAIM HELPERS
+// ----------------------------------------------------------
+
+// When a claim (the first visit) happened, as a Date. Claims that only
+// know the day count as midday that day.
+function claimDate(v) {
+  return visitDate(firstVisit(v));
+}
+
+// Whole days since 1970 (local time), so "same day" comparisons are easy.
+function dayNumber(date) {
+  return Math.floor((date.getTime() - date.getTimezoneOffset() * 60000) / 86400000);
+}
+
+function claimsFor(pools, visited) {
+  return pools
+    .filter(p => visited[p.id]?.done)
+    .map(p => ({ pool: p, visit: visited[p.id], date: claimDate(visited[p.id]) }));
+}
+
+// ----------------------------------------------------------
+// RULES
+// ----------------------------------------------------------
+// Each rule returns { current, target, text } — earned when current >= target.
+
+const RULES = {
+  count(rule, claims) {
+    const target = Number(rule.count) || 1;
+    return {
+      current: Math.min(claims.length, target),
+      target,
+      text: t('badges.poolsProgress', { current: Math.min(claims.length, target), target })
+    };
+  },
+
+  all(rule, claims, pools) {
+    return {
+      current: claims.length,
+      target: pools.length,
+      text: t('badges.poolsProgress', { current: claims.length, target: pools.length })
+    };
+  },
+
+  'within-days'(rule, claims) {
+    const target = Number(rule.count) || 3;
+    const days = Number(rule.days) || 7;
+
+    // Slide a `days`-long window over the claim days and keep the best count.
+    const sorted = claims
+      .filter(c => c.date)
+      .map(c => dayNumber(c.date))
+      .sort((a, b) => a - b);
+
+    let best = 0;
+    let start = 0;
+    for (let end = 0; end < sorted.length; end++) {
+      while (sorted[end] - sorted[start] >= days) start++;
+      best = Math.max(best, end - start + 1);
+    }
+
+    return {
+      current: Math.min(best, target),
+      target,
+      text: t('badges.withinDays', { current: Math.min(best, target), target, days })
+    };
+  },
+
+  group(rule, claims, pools) {
+    const ids = Array.isArray(rule.pools) ? rule.pools : null;
+    const suburbs = Array.isArray(rule.suburbs) ? rule.suburbs : null;
+
+    const inGroup = pools.filter(p =>
+      (ids && ids.includes(p.id)) || (suburbs && suburbs.includes(p.suburb))
+    );
+    const found = claims.filter(c => inGroup.includes(c.pool)).length;
+
+    return {
+      current: found,
+      target: inGroup.length || 1,
+      text: t('badges.poolsProgress', { current: found, target: inGroup.length })
+    };
+  },
+
+  'before-hour'(rule, claims) {
+    const hour = Number(rule.hour) || 9;
+    // Only claims with an exact time can count (some only know the day).
+    const early = claims.some(c => hasVisitTime(firstVisit(c.visit)) && c.date.getHours() < hour);
+    const time = formatHour(hour);
+
+    return {
+      current: early ? 1 : 0,
+      target: 1,
+      text: t(early ? 'badges.beforeHourDone' : 'badges.beforeHourTodo', { time })
+    };
+  },
+
+  months(rule, claims) {
+    const wanted = (Array.isArray(rule.months) ? rule.months : []).map(Number);
+    // Every visit counts, not just the claim: coming back in February does.
+    const seen = new Set(claims
+      .flatMap(c => c.visit.visits || [])
+      .map(visitDate)
+      .filter(Boolean)
+      .map(date => date.getMonth() + 1));
+    const found = wanted.filter(m => seen.has(m));
+    const missing = wanted.filter(m => !seen.has(m)).map(monthName);
+    const counts = { current: found.length, target: wanted.length };
+
+    return {
+      current: found.length,
+      target: wanted.length || 1,
+      text: missing.length
+        ? t('badges.monthsToGo', { ...counts, months: formatList(missing) })
+        : t('badges.months', counts)
+    };
+  }
+};
+
+/**
+ * Check every badge against the current claims.
+ * Returns [{ badge, earned, current, target, text }, ...] in badge order.
+ */
+export function evaluateBadges(badges, pools, visited) {
+  const claims = claimsFor(pools, visited || {});
+
+  return badges.map(badge => {
+    const result = RULES[badge.rule.type](badge.rule, claims, pools);
+    return {
+      badge,
+      earned: result.target > 0 && result.current >= result.target,
+      ...result
+    };
+  });
+}
@@ -5,22 +5,63 @@
 // This file controls:
 // • Loading pool data
 // • Navigating between pools
-// • Marking pools as visited
+// • Marking pools as visited (only when you're actually at the pool!)
 // • Displaying stamps (passport view)
-// • Saving state in localStorage
+// • Saving state (through storage.js)
+//
+// It drives the list + passport screen of index.html. main.js calls
+// showPool() for ./pool/:id and showPassport() for ./passport.
 //
 // IMPORTANT IDEA FOR LEARNERS:
 // ----------------------------
 // We NEVER directly "store UI state".
 // Instead, we:
 //   1. Update data (visited, selectedIndex)
-//   2. Save it to localStorage
+//   2. Save it (storage.js)
 //   3. Re-render the UI from that data
 //
 // This keeps the app predictable and bug-free.
 //
 
-import { loadPools } from './data.js';
+import {
+  loadActiveQuest,
+  loadPools,
+  loadAchievements,
+  checkStampImages,
+  FALLBACK_STAMP
+} from './data.js';
+import { evaluateBadges } from './achievements.js';
+import { escapeHtml, showDataProblems, showFatalError } from './notices.js';
+import { applyCrewTitles, withCrewName } from './crew.js';
+import { navigate, setRoute } from './router.js';
+import {
+  dateKey,
+  dateFromKey,
+  firstVisit,
+  lastVisit,
+  hasVisitTime,
+  sortVisits,
+  inClaimOrder
+} from './dates.js';
+import {
+  buildBackup,
+  backupFileName,
+  parseBackupText,
+  encodeShareCode,
+  decodeShareCode,
+  shareLinkFor,
+  validateAgainstPools,
+  previewMerge,
+  mergeVisited
+} from './backup.js';
+import {
+  distanceMetres,
+  formatDistance,
+  formatTravelTime,
+  getCurrentPosition,
+  sortByDistance
+} from './geo.js';
+import { TILE_URL } from './offline.js';
 import {
   readVisited,
   writeVisited,
@@ -28,26 +69,74 @@ import {
   readSelection,
   writeSelection,
   readStampsPage,
-  writeStampsPage
+  writeStampsPage,
+  readParentPin,
+  writeParentPin,
+  readRiddleProgress,
+  writeRiddleProgress,
+  readBadges,
+  writeBadges,
+  readAudit,
+  writeAudit,
+  readFinaleShown,
+  writeFinaleShown,
+  readSettings,
+  GALLERY_CHOICES,
+  readGalleryOptions,
+  writeGalleryOptions,
+  subscribe
 } from './storage.js';
+import { checkRiddleAnswer, formatDuration } from './riddles.js';
+import { facilitiesHtml } from './facilities.js';
+import { t, formatDate, formatDateTime, formatNumber, currentLanguage } from './i18n.js';
+import { currentTheme, themeStamp, themeMascot } from './themes.js';
+import { trapFocus, announce, onSwipe, prefersReducedMotion } from './a11y.js';
+import { playSound, vibrate, cheer } from './sounds.js';
+import {
+  journalKey,
+  readJournalEntry,
+  writeJournalEntry,
+  deleteJournalEntries,
+  downscalePhoto
+} from './journal.js';
 
 // ----------------------------------------------------------
 // APPLICATION STATE (kept in memory while app is open)
 // ----------------------------------------------------------
 
-// All pools loaded from pools.json
+// Who is playing (crew profile), the quest (from quests.json) and its pools
+let profile = null;
+let quests = [];
+let quest = null;
 let pools = [];
 
-// Visited pools, keyed by pool.id
-// Shape:
+// Badge definitions for this quest (from its achievements file),
+// and the ones already earned: { [badgeId]: { earnedAt } }
+let badges = [];
+let earnedBadges = readBadges();
+
+// Visited pools, keyed by pool.id. Every visit is kept, oldest first
+// (the first one is the claim). Shape:
 // {
-//   "woolwich": { done: true, date: "16/12/2025" },
-//   "balmain":  { done: true, date: "18/12/2025" }
+//   "woolwich": { done: true, visits: ["2025-12-16T03:04:05.000Z", "2026-01-02T22:10:00.000Z"],
+//                 verification: "location", distance: 42 },
+//   "balmain":  { done: true, visits: ["2025-12-18"], verification: "override" }
 // }
 let visited = readVisited();
 
-// Index of the currently selected pool
-let selectedIndex = readSelection();
+// True while we're waiting for the GPS to answer, so a double-tap
+// on "Claim Treasure" doesn't start two location checks.
+let claimInProgress = false;
+
+// Riddle attempts for pools not claimed yet, keyed by pool.id
+// { startedAt, wrong, hints, solvedAt }
+let riddleProgress = readRiddleProgress();
+
+// The message under the riddle after a guess: { poolId, ok, text }
+let riddleFeedback = null;
+
+// Index (in `pools`) of the currently selected pool. Saved by pool id.
+let selectedIndex = 0;
 
 // Which passport page the user is on
 let currentStampsPage = readStampsPage();
@@ -55,6 +144,28 @@ let currentStampsPage = readStampsPage();
 // Are we currently showing the stamps (passport) view?
 let onStampsView = false;
 
+// Which passport tab is showing: 'stamps', 'gallery' or 'badges'
+let passportTab = 'stamps';
+
+// Where we were when the gallery was last sorted by distance ({ lat, lng }),
+// and whether we're asking the GPS right now.
+let galleryHere = null;
+let galleryLocating = false;
+
+// The gallery's own page (it pages through every pool, so it doesn't share
+// the Stamps tab's saved page).
+let galleryPage = 0;
+
+// Which passport card has its journal opened (pool.id or null), and the
+// object URL of the photo being shown (so we can free it afterwards).
+let openJournalId = null;
+let journalPhotoUrl = null;
+
+// "Nearest treasure" mode: null, or where we were and the pools sorted
+// by distance from there. Prev/Next then step through that order.
+//   { here: { lat, lng }, order: [poolIndex, ...], distances: { [poolId]: metres } }
+let nearest = null;
+
 // Leaflet map objects
 let map;
 let marker;
@@ -69,9 +180,17 @@ const listView        = document.getElementById('listView');
 const stampsView      = document.getElementById('passportView');
 const toggleBtn       = document.getElementById('toggleBtn');
 const resetBtn        = document.getElementById('resetBtn');
+const parentBtn       = document.getElementById('parentBtn');
 const countBadge      = document.getElementById('countBadge');
+const backupBtn       = document.getElementById('backupBtn');
+const importFileInput = document.getElementById('importFile');
 const prevStampsPageBtn = document.getElementById('prevPassportPage');
 const nextStampsPageBtn = document.getElementById('nextPassportPage');
+const stampsTabBtn    = document.getElementById('stampsTabBtn');
+const galleryTabBtn   = document.getElementById('galleryTabBtn');
+const badgesTabBtn    = document.getElementById('badgesTabBtn');
+const gallerySortSel  = document.getElementById('gallerySort');
+const galleryShowSel  = document.getElementById('galleryShow');
 
 const btnUp        = document.getElementById('btnUp');
 const btnDown      = document.getElementById('btnDown');
@@ -80,11 +199,9 @@ const btnNextPool  = document.getElementById('btnNextPool');
 
 
 // ----------------------------------------------------------
-// TREASURE OVERLAYS (Pirate version)
+// TREASURE OVERLAYS
 // ----------------------------------------------------------
-
-// Update this path to wherever you store the pirate Raymond image in your app.
-const PIRATE_RAYMOND_SRC = './assets/raymond-pirate.png';
+// Emoji, mascot and colours come from the theme pack (see themes.js).
 
 let overlayStylesInjected = false;
 
@@ -102,7 +219,7 @@ function ensureOverlayStyles() {
       display: flex;
       align-items: center;
       justify-content: center;
-      background: rgba(0,0,0,0.55);
+      background: var(--overlay-backdrop);
       padding: 18px;
     }
     .treasure-card {
@@ -127,6 +244,16 @@ function ensureOverlayStyles() {
       display: block;
       margin: 0 auto 10px;
     }
+    .treasure-card:focus {
+      outline: none;
+    }
+    .treasure-card.small {
+      width: min(300px, 80vw);
+      padding: 12px 14px;
+    }
+    .treasure-card.small .treasure-title {
+      font-size: 18px;
+    }
     .treasure-card .raymond-img {
       width: 160px;
       height: 160px;
@@ -135,6 +262,7 @@ function ensureOverlayStyles() {
       margin: 0 auto 8px;
     }
     .treasure-title {
+      color: var(--overlay-title);
       font-size: 22px;
       font-weight: 800;
       margin: 6px 0 4px;
@@ -155,75 +283,285 @@ function ensureOverlayStyles() {
       line-height: 1;
       margin-bottom: 6px;
     }
+    .badge-icon-big {
+      font-size: 84px;
+      line-height: 1.1;
+      margin: 4px 0 8px;
+    }
+    .treasure-distance {
+      font-size: 28px;
+      font-weight: 800;
+      margin: 8px 0 2px;
+    }
+    .treasure-actions {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: center;
+      gap: 8px;
+      margin-top: 14px;
+    }
+    .treasure-card.panel {
+      text-align: left;
+      max-height: 86vh;
+      overflow-y: auto;
+    }
+    .treasure-card.panel .treasure-title {
+      text-align: center;
+    }
+    .panel-section {
+      margin-top: 14px;
+      padding-top: 12px;
+      border-top: 1px solid rgba(15,32,60,.1);
+    }
+    .panel-section h3 {
+      margin: 0 0 6px;
+      font-size: 15px;
+    }
+    .panel-section p {
+      margin: 0 0 8px;
+      font-size: 13px;
+      opacity: 0.75;
+    }
+    .panel-list {
+      margin: 0 0 8px;
+      padding-left: 18px;
+      font-size: 14px;
+    }
+    .panel-row {
+      display: flex;
+      gap: 8px;
+    }
+    .panel-row input,
+    .panel-section textarea {
+      flex: 1;
+      width: 100%;
+      box-sizing: border-box;
+      font-family: ui-monospace, Menlo, monospace;
+      font-size: 12px;
+      padding: 8px;
+      border-radius: 10px;
+      border: 1px solid var(--pill-border);
+    }
+    .panel-section textarea {
+      resize: none;
+      min-height: 58px;
+      margin-bottom: 8px;
+    }
+    .parent-pools {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+    .parent-pool {
+      padding: 8px 0;
+      border-bottom: 1px dashed rgba(15,32,60,.1);
+    }
+    .parent-pool-name {
+      font-weight: 800;
+      font-size: 14px;
+      margin-bottom: 6px;
+    }
+    .parent-assisted {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-top: 6px;
+      font-size: 13px;
+    }
+    .parent-log {
+      font-size: 13px;
+    }
+    .parent-log-when {
+      display: block;
+      font-size: 11px;
+      opacity: 0.6;
+    }
   `;
   document.head.appendChild(style);
 }
 
-function showTreasureOverlay({ title, subtitle, stampSrc, finale = false }) {
-  ensureOverlayStyles();
+// Closes whichever overlay is showing (see mountOverlay).
+let closeCurrentOverlay = null;
 
-  // Remove any existing overlay
-  document.querySelector('.treasure-overlay')?.remove();
+/**
+ * Show `card` as a dialog over a dark backdrop, replacing any overlay
+ * already up. Focus moves into the card and stays there, Escape closes
+ * it, and focus goes back where it was afterwards.
+ * Tapping the backdrop closes it; with `tapToClose`, so does tapping the card.
+ */
+function mountOverlay(card, { tapToClose = false, onClose } = {}) {
+  ensureOverlayStyles();
+  closeCurrentOverlay?.();
 
   const overlay = document.createElement('div');
   overlay.className = 'treasure-overlay';
 
+  card.setAttribute('role', 'dialog');
+  card.setAttribute('aria-modal', 'true');
+  const title = card.querySelector('.treasure-title');
+  if (title) card.setAttribute('aria-label', title.textContent.trim());
+  const subtitle = card.querySelector('.treasure-subtitle');
+  if (subtitle) {
+    subtitle.id = 'treasureOverlaySubtitle';
+    card.setAttribute('aria-describedby', subtitle.id);
+  }
+
+  overlay.appendChild(card);
+  document.body.appendChild(overlay);
+
+  let release = null;
+  const close = () => {
+    if (!overlay.isConnected) return;
+    overlay.remove();
+    if (closeCurrentOverlay === close) closeCurrentOverlay = null;
+    release?.();
+    onClose?.();
+  };
+  release = trapFocus(card, { onEscape: close });
+  closeCurrentOverlay = close;
+
+  overlay.addEventListener('click', (e) => {
+    if (tapToClose || e.target === overlay) close();
+  });
+
+  return { overlay, close };
+}
+
+// Celebrations that stay until tapped are still lined up at the usual pace.
+const USUAL_OVERLAY_MS = 1400;
+
+/**
+ * How long a celebration overlay stays up, in ms (see the settings screen):
+ * a little longer for the finale, shorter for small ones. null = until tapped.
+ */
+function overlayDuration({ finale = false, small = false } = {}) {
+  const { overlayMs } = readSettings();
+  if (!overlayMs) return null;
+  return finale ? overlayMs + 800 : small ? Math.max(1000, overlayMs - 400) : overlayMs;
+}
+
+// `small` is a quieter version (e.g. for a repeat visit).
+function showTreasureOverlay({ title, subtitle, stampSrc, icon, finale = false, small = false, mascotSrc }) {
   const card = document.createElement('div');
-  card.className = 'treasure-card';
+  card.className = small ? 'treasure-card small' : 'treasure-card';
 
+  const { emoji } = currentTheme();
   card.innerHTML = `
-    <div class="treasure-sparkle">${finale ? '🎉🏴‍☠️✨' : '✨'}</div>
-    ${finale ? `<img class="raymond-img" src="${PIRATE_RAYMOND_SRC}" alt="Raymond pirate">` : ''}
-    ${stampSrc ? `<img class="stamp-img" src="${stampSrc}" alt="Treasure stamp">` : ''}
+    <div class="treasure-sparkle" aria-hidden="true">${finale ? emoji.finale : emoji.claim}</div>
+    ${finale ? `<img class="raymond-img" src="${mascotSrc}" alt="${t('claim.mascotAlt')}">` : ''}
+    ${stampSrc ? `<img class="stamp-img" src="${stampSrc}" alt="${t('claim.stampAlt')}">` : ''}
+    ${icon ? `<div class="badge-icon-big">${icon}</div>` : ''}
     <div class="treasure-title">${title || ''}</div>
     ${subtitle ? `<div class="treasure-subtitle">${subtitle}</div>` : ''}
-    <div class="treasure-hint">tap anywhere</div>
+    <div class="treasure-hint">${t('common.tapAnywhere')}</div>
   `;
 
-  overlay.appendChild(card);
-  document.body.appendChild(overlay);
-
-  // Tap to dismiss
-  overlay.addEventListener('click', () => overlay.remove());
+  // Tap (or Escape) to dismiss
+  const { close } = mountOverlay(card, { tapToClose: true });
 
-  // Auto-dismiss (slightly longer for finale)
-  const ms = finale ? 2200 : 1400;
-  window.setTimeout(() => {
-    if (overlay.isConnected) overlay.remove();
-  }, ms);
+  // Auto-dismiss, unless the settings say to wait for a tap
+  const ms = overlayDuration({ finale, small });
+  if (ms) window.setTimeout(close, ms);
 }
 
-// ----------------------------------------------------------
-// DATE HELPERS
-// ----------------------------------------------------------
+/**
+ * Open an overlay that holds a panel of controls (not a celebration).
+ * It stays until closed: by `close()`, or by tapping the dark backdrop.
+ * `onClose` runs however it goes (to tidy up what the panel set up).
+ */
+function openPanelOverlay(innerHTML, { onClose } = {}) {
+  const card = document.createElement('div');
+  card.className = 'treasure-card panel';
+  card.innerHTML = innerHTML;
+
+  const { overlay, close } = mountOverlay(card, { onClose });
+  return { overlay, card, close };
+}
 
 /**
- * Format dates for Australian display.
- * Also converts old ISO dates if they exist.
+ * Shown when a claim is refused because we're too far away (or the GPS
+ * couldn't tell us where we are). Unlike the treasure overlay this one
+ * does NOT auto-dismiss: the kid needs time to read it, and a grown-up
+ * may want to use the override button.
  */
-function formatDateAU(d) {
-  if (!d) return '';
+function showSailCloserOverlay(p, check, { onRetry, onOverride }) {
+  const card = document.createElement('div');
+  card.className = 'treasure-card';
+
+  // Two flavours: "you're X km away" or "we couldn't find you at all".
+  let body;
+  if (check.reason === 'too-far') {
+    body = `
+      <div class="treasure-distance">${t('claim.away', { distance: formatDistance(check.distance) })}</div>
+      <div class="treasure-subtitle">
+        ${t('claim.getWithin', { radius: formatDistance(p.radius), pool: p.name })}
+      </div>
+    `;
+  } else {
+    const why = ['denied', 'unsupported', 'timeout'].includes(check.reason)
+      ? t(`claim.${check.reason}`)
+      : t('claim.unavailable');
 
-  // Convert YYYY-MM-DD → DD/MM/YYYY
-  if (/^\d{4}-\d{2}-\d{2}$/.test(d)) {
-    const [y, m, day] = d.split('-');
-    return `${day}/${m}/${y}`;
+    body = `<div class="treasure-subtitle">${why}</div>`;
   }
-  return d;
+
+  card.innerHTML = `
+    <div class="treasure-sparkle" aria-hidden="true">${currentTheme().emoji.sailCloser}</div>
+    <div class="treasure-title">${t('claim.sailCloser', { firstMate: t('crew.firstMate') })}</div>
+    ${body}
+    <div class="treasure-actions">
+      <button class="pill primary" type="button" data-overlay="retry">${t('claim.tryAgain')}</button>
+      <button class="pill ghost" type="button" data-overlay="override">${t('claim.override')}</button>
+    </div>
+  `;
+
+  // Tapping the dark backdrop (not the card) closes it.
+  const { close } = mountOverlay(card);
+
+  card.querySelector('[data-overlay="retry"]')?.addEventListener('click', () => {
+    close();
+    onRetry?.();
+  });
+
+  card.querySelector('[data-overlay="override"]')?.addEventListener('click', () => {
+    close();
+    onOverride?.();
+  });
 }
 
-// Turn a stored date into a sortable key (YYYYMMDD).
-function dateKey(d) {
-  if (!d) return '';
-  // If already ISO.
-  if (/^\d{4}-\d{2}-\d{2}$/.test(d)) return d.replace(/-/g, '');
-  // If AU format DD/MM/YYYY.
-  if (/^\d{2}\/\d{2}\/\d{4}$/.test(d)) {
-    const [day, month, year] = d.split('/');
-    return `${year}${month}${day}`;
+// ----------------------------------------------------------
+// GROWN-UP PIN
+// ----------------------------------------------------------
+
+/**
+ * Ask for the parent PIN. The first time it's used, the grown-up
+ * chooses one instead. Returns true only when the right PIN is entered.
+ */
+function askParentPin() {
+  const saved = readParentPin();
+
+  if (!saved) {
+    const pin = (prompt(t('pin.choose')) || '').trim();
+    if (!pin) return false;
+    if (!/^\d{4,8}$/.test(pin)) {
+      alert(t('pin.badFormat'));
+      return false;
+    }
+    const again = (prompt(t('pin.confirm')) || '').trim();
+    if (again !== pin) {
+      alert(t('pin.mismatch'));
+      return false;
+    }
+    writeParentPin(pin);
+    return true;
   }
-  // Fallback: strip non-digits.
-  return String(d).replace(/\D/g, '');
+
+  const entry = prompt(t('pin.enter'));
+  if (entry === null) return false;
+  if (entry.trim() === saved) return true;
+
+  alert(t('pin.wrong'));
+  return false;
 }
 
 // ----------------------------------------------------------
@@ -241,23 +579,48 @@ function updateCount() {
 
 function setView(showStamps) {
   onStampsView = showStamps;
+  updateTitle();
 
   document.body.classList.remove('full-map');
   listView.classList.toggle('active', !showStamps);
   stampsView.classList.toggle('active', showStamps);
 
-  toggleBtn.textContent = showStamps ? 'Back to List' : 'My Treasure';
+  toggleBtn.textContent = showStamps ? t('list.backToList') : t('list.myTreasure');
 
-  // Only show Reset on the treasure (stamps) page
+  // Only show Reset and Parent Mode on the treasure (stamps) page
   if (resetBtn) resetBtn.style.display = showStamps ? '' : 'none';
+  if (parentBtn) parentBtn.style.display = showStamps ? '' : 'none';
 
-  // Only render stamps when we actually show them
-  if (showStamps) renderStamps();
+  // Only render the passport when we actually show it
+  if (showStamps) setPassportTab(passportTab);
 
   // Leaflet maps need a resize nudge when layout changes
   if (map) setTimeout(() => map.invalidateSize(), 150);
 }
 
+/**
+ * Select a pool by its index in `pools`. It's saved by id (so it survives
+ * pools.json being reordered) and the URL follows along: ./pool/woolwich
+ */
+function selectPool(index) {
+  const p = pools[index];
+  if (!p) return;
+
+  selectedIndex = index;
+  writeSelection(p.id);
+
+  if (!onStampsView) {
+    setRoute(`pool/${encodeURIComponent(p.id)}`);
+    updateTitle();
+  }
+}
+
+// Tab title: the pool's name in the list view, so bookmarks make sense.
+function updateTitle() {
+  const where = onStampsView ? t('title.passport') : pools[selectedIndex]?.name || t('title.app');
+  applyCrewTitles(where);
+}
+
 // ----------------------------------------------------------
 // OPEN CURRENT POOL IN NATIVE MAPS APP
 // ----------------------------------------------------------
@@ -290,7 +653,7 @@ function renderList() {
   const list = document.getElementById('poolList');
 
   if (!pools.length) {
-    list.innerHTML = '<div class="pool-name">No pools loaded.</div>';
+    list.innerHTML = `<div class="pool-name">${t('list.noPools')}</div>`;
     return;
   }
 
@@ -299,7 +662,18 @@ function renderList() {
   const p = pools[selectedIndex];
   const v = visited[p.id];
   const stamped   = v?.done === true;
-  const stampDate = stamped ? v.date : null;
+  const stampDate = stamped ? firstVisit(v) : null;
+  const visitCount = stamped ? v.visits.length : 0;
+
+  // Pools with a riddle stay locked until it's solved.
+  const locked = !stamped && !isRiddleSolved(p);
+
+  let chipLabel = t('list.claim');
+  if (stamped) chipLabel = t('list.claimed', { date: formatDate(stampDate) });
+  else if (locked) chipLabel = t('list.locked');
+  else if (claimInProgress) chipLabel = t('list.checking');
+
+  const distance = nearest?.distances[p.id];
 
   const row = document.createElement('div');
   row.className = 'pool-item row-selected';
@@ -308,14 +682,20 @@ function renderList() {
 
     <div class="pool-left">
       <div class="pool-name">${p.name}</div>
-      
+      ${facilitiesHtml(p)}
+      ${visitCount > 1 ? `<div class="pool-visits">${t('list.visitedTimes', { count: visitCount })}</div>` : ''}
+      ${Number.isFinite(distance) ? `
+        <div class="pool-distance">
+          ${t('list.distance', { distance: formatDistance(distance), travel: formatTravelTime(distance) })}
+          <button class="link-button" type="button" data-action="nearest-off">${t('list.usualOrder')}</button>
+        </div>` : ''}
+      ${stamped ? `
+        <button class="pill ghost log-visit" type="button" data-action="log-visit" ${claimInProgress ? 'disabled' : ''}>
+          ${claimInProgress ? t('list.checking') : t('list.logVisit')}
+        </button>` : ''}
     </div>
-    <button class="stamp-chip ${stamped ? 'stamped' : 'cta'}" data-id="${p.id}">
-      ${
-        stamped
-          ? `✓ Treasure claimed • ${formatDateAU(stampDate)}`
-          : '🏴‍☠️ Claim Treasure'
-      }
+    <button class="stamp-chip ${stamped ? 'stamped' : locked ? 'locked' : 'cta'}" data-id="${p.id}" ${claimInProgress || locked ? 'disabled' : ''}>
+      ${chipLabel}
     </button>
 
   `;
@@ -333,26 +713,288 @@ function renderList() {
   });
 
   list.appendChild(row);
+
+  // The riddle goes under the pool name (only until the pool is claimed).
+  const riddleEl = !stamped && p.riddle ? renderRiddle(p) : null;
+  if (riddleEl) list.appendChild(riddleEl);
+  list.classList.toggle('has-riddle', !!riddleEl);
+
   updateCount();
 }
 
+// ----------------------------------------------------------
+// PREV / NEXT + NEAREST TREASURE
+// ----------------------------------------------------------
+
+// Move to the next (+1) or previous (-1) pool: in file order normally,
+// or from closest to furthest in nearest-treasure mode.
+function stepPool(step) {
+  if (!pools.length) return;
+
+  if (nearest) {
+    const order = nearest.order;
+    const at = order.indexOf(selectedIndex);
+    selectPool(order[(at + step + order.length) % order.length]);
+  } else {
+    selectPool((selectedIndex + step + pools.length) % pools.length);
+  }
+
+  renderList();
+  panToSelected();
+  announce(t('a11y.poolPosition', {
+    pool: pools[selectedIndex].name,
+    index: (nearest ? nearest.order.indexOf(selectedIndex) : selectedIndex) + 1,
+    total: pools.length
+  }));
+}
+
+/**
+ * Find where we are, sort the pools by distance and jump to the closest
+ * one not claimed yet. Tapping again refreshes the position.
+ */
+async function findNearestTreasure(btn) {
+  if (!pools.length) return;
+
+  const label = btn.textContent;
+  btn.disabled = true;
+  btn.textContent = t('list.findingYou');
+
+  let here;
+  try {
+    here = await getCurrentPosition();
+  } catch (err) {
+    alert(err.code === 'denied' ? t('list.nearestDenied') : t('list.nearestUnavailable'));
+    return;
+  } finally {
+    btn.disabled = false;
+    btn.textContent = label;
+  }
+
+  const sorted = sortByDistance(here, pools);
+  nearest = {
+    here,
+    order: sorted.map(s => pools.indexOf(s.place)),
+    distances: Object.fromEntries(sorted.map(s => [s.place.id, s.distance]))
+  };
+  btn.classList.add('active');
+  btn.setAttribute('aria-pressed', 'true');
+
+  // Closest unclaimed pool (or simply the closest once everything's found).
+  const target = sorted.find(s => !visited[s.place.id]?.done) || sorted[0];
+  selectPool(pools.indexOf(target.place));
+  renderList();
+  panToSelected();
+}
+
+function leaveNearestMode() {
+  nearest = null;
+  const btn = listView?.querySelector('button[data-action="nearest"]');
+  btn?.classList.remove('active');
+  btn?.setAttribute('aria-pressed', 'false');
+  renderList();
+}
+
+// ----------------------------------------------------------
+// RIDDLES
+// ----------------------------------------------------------
+
+function isRiddleSolved(p) {
+  return !p.riddle || !!riddleProgress[p.id]?.solvedAt;
+}
+
+// The clock starts the first time the riddle is shown.
+function startRiddle(p) {
+  if (!riddleProgress[p.id]) {
+    riddleProgress[p.id] = {
+      startedAt: new Date().toISOString(),
+      wrong: 0,
+      hints: 0,
+      solvedAt: null
+    };
+    writeRiddleProgress(riddleProgress);
+  }
+  return riddleProgress[p.id];
+}
+
+function renderRiddle(p) {
+  const r = p.riddle;
+  const progress = startRiddle(p);
+  const solved = !!progress.solvedAt;
+  const hintsLeft = r.hints.length - progress.hints;
+  const feedback = riddleFeedback?.poolId === p.id ? riddleFeedback : null;
+
+  const el = document.createElement('div');
+  el.className = `riddle-card${solved ? ' solved' : ''}`;
+
+  let answerArea = '';
+  if (solved) {
+    answerArea = `<div class="riddle-feedback ok">${t('riddle.solved')}</div>`;
+  } else if (r.choices.length) {
+    // Multiple choice: buttons refer to the choice by index.
+    answerArea = `
+      <div class="riddle-choices">
+        ${r.choices.map((c, i) => `<button class="pill riddle-choice" type="button" data-choice="${i}">${c}</button>`).join('')}
+      </div>
+    `;
+  } else {
+    answerArea = `
+      <form class="riddle-form">
+        <input class="riddle-input" type="text" placeholder="${t('riddle.yourAnswer')}" autocomplete="off" aria-label="${t('riddle.yourAnswer')}">
+        <button class="pill primary" type="submit">${t('riddle.check')}</button>
+      </form>
+    `;
+  }
+
+  el.innerHTML = `
+    <div class="riddle-label">${t('riddle.label')}</div>
+    <div class="riddle-question">${r.question}</div>
+    ${answerArea}
+    ${progress.hints > 0
+      ? `<ul class="riddle-hints">${r.hints.slice(0, progress.hints).map(h => `<li>💡 ${h}</li>`).join('')}</ul>`
+      : ''}
+    ${!solved && feedback ? `<div class="riddle-feedback ${feedback.ok ? 'ok' : 'wrong'}">${feedback.text}</div>` : ''}
+    ${!solved && hintsLeft > 0
+      ? `<button class="pill ghost riddle-hint-btn" type="button">${t('riddle.hint', { count: hintsLeft })}</button>`
+      : ''}
+  `;
+
+  el.querySelectorAll('.riddle-choice').forEach(btn => {
+    btn.addEventListener('click', () => answerRiddle(p, r.choices[Number(btn.dataset.choice)]));
+  });
+
+  el.querySelector('.riddle-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const guess = el.querySelector('.riddle-input').value;
+    if (guess.trim()) answerRiddle(p, guess);
+  });
+
+  el.querySelector('.riddle-hint-btn')?.addEventListener('click', () => {
+    progress.hints = Math.min(r.hints.length, progress.hints + 1);
+    writeRiddleProgress(riddleProgress);
+    renderList();
+  });
+
+  return el;
+}
+
+function answerRiddle(p, guess) {
+  const progress = startRiddle(p);
+
+  if (checkRiddleAnswer(p.riddle, guess)) {
+    progress.solvedAt = new Date().toISOString();
+    riddleFeedback = null;
+  } else {
+    progress.wrong += 1;
+    riddleFeedback = { poolId: p.id, ok: false, text: t('riddle.wrong', { firstMate: t('crew.firstMate') }) };
+  }
+
+  writeRiddleProgress(riddleProgress);
+  renderList();
+}
+
+// How the riddle went, for the claim record: { wrong, hints, seconds }.
+// Also clears the in-progress entry, since the pool is now claimed.
+function takeRiddleResult(p) {
+  const progress = riddleProgress[p.id];
+  if (!p.riddle || !progress?.solvedAt) return null;
+
+  delete riddleProgress[p.id];
+  writeRiddleProgress(riddleProgress);
+
+  return {
+    wrong: progress.wrong,
+    hints: progress.hints,
+    seconds: Math.round((Date.parse(progress.solvedAt) - Date.parse(progress.startedAt)) / 1000)
+  };
+}
+
 // ----------------------------------------------------------
 // VISITED STATE TOGGLING
 // ----------------------------------------------------------
 
+/**
+ * Work out whether the device is close enough to claim pool `p`.
+ *
+ * Resolves with:
+ *   { ok: true,  distance }                      → close enough
+ *   { ok: false, reason: 'too-far', distance }   → GPS worked, but too far
+ *   { ok: false, reason: 'denied' | 'unsupported' | 'timeout' | 'unavailable' }
+ */
+async function checkClaimLocation(p) {
+  let here;
+  try {
+    here = await getCurrentPosition();
+  } catch (err) {
+    return { ok: false, reason: err.code || 'unavailable' };
+  }
+
+  const distance = distanceMetres(here, p);
 
-function toggleStamp(poolId, animate = false) {
+  // GPS can be a bit wobbly near water. Give the benefit of the doubt
+  // up to the reported accuracy, but never more than the pool's radius
+  // again (so a 5 km "accuracy" can't claim from home).
+  const slack = Math.min(here.accuracy || 0, p.radius);
+
+  if (distance - slack <= p.radius) {
+    return { ok: true, distance: Math.round(distance) };
+  }
+  return { ok: false, reason: 'too-far', distance: Math.round(distance) };
+}
+
+async function toggleStamp(poolId, animate = false) {
   if (!poolId) return;
 
   // One-way stamping: once a pool is marked visited, tapping again does nothing.
-  // Only the Reset button clears visited state.
+  // Only Reset (everything) or Parent Mode (one pool) clears visited state.
   if (visited[poolId]?.done) return;
+  if (claimInProgress) return;
 
   const p = pools.find(x => x.id === poolId);
   if (!p) return;
+  if (!isRiddleSolved(p)) return;
+
+  // Show "Checking your position…" on the chip while we wait.
+  claimInProgress = true;
+  renderList();
+
+  let check;
+  try {
+    check = await checkClaimLocation(p);
+  } finally {
+    claimInProgress = false;
+    renderList();
+  }
+
+  if (check.ok) {
+    claimPool(p, { verification: 'location', distance: check.distance }, animate);
+    return;
+  }
+
+  showSailCloserOverlay(p, check, {
+    onRetry: () => toggleStamp(poolId, animate),
+    onOverride: () => {
+      if (!askParentPin()) return;
+      claimPool(
+        p,
+        { verification: 'override', distance: check.distance ?? null },
+        animate
+      );
+    }
+  });
+}
 
-  const today = new Intl.DateTimeFormat('en-AU').format(new Date());
-  visited[poolId] = { done: true, date: today };
+/**
+ * Actually record the claim and celebrate.
+ * `proof` says how the claim was allowed: { verification, distance }.
+ */
+function claimPool(p, proof, animate = false) {
+  const poolId = p.id;
+  if (visited[poolId]?.done) return;
+
+  visited[poolId] = { done: true, visits: [new Date().toISOString()], ...proof };
+
+  const riddle = takeRiddleResult(p);
+  if (riddle) visited[poolId].riddle = riddle;
 
   writeVisited(visited);
 
@@ -368,105 +1010,351 @@ function toggleStamp(poolId, animate = false) {
   renderList();
   renderStamps(animate ? poolId : null);
 
-  // Small reward overlay
+  // Small reward overlay (with a chime and a buzz)
   showTreasureOverlay({
-    title: 'Treasure Found!',
+    title: t('claim.treasureFound'),
     subtitle: p.name,
     stampSrc: getStampSrc(p),
     finale: false
   });
+  playSound('chime');
+  vibrate('claim');
 
-  // Big finale when the last pool is claimed
+  // "Treasure found at Woolwich Baths, 3 of 6"
   const done = countVisited(visited);
-  if (pools.length > 0 && done === pools.length) {
+  announce(t('a11y.treasureFound', { pool: p.name, count: done, total: pools.length }));
+
+  // Big finale when the last pool is claimed (only ever once: a pool
+  // un-claimed and re-claimed in parent mode doesn't celebrate again)
+  const finale = pools.length > 0 && done === pools.length && !readFinaleShown();
+  if (finale) {
+    writeFinaleShown(true);
     // Give the first overlay a moment, then celebrate
     window.setTimeout(() => {
       showTreasureOverlay({
-        title: 'ALL TREASURE FOUND!',
-        subtitle: 'Captain Raymond is proud of you!',
+        title: withCrewName(quest.finale.title, profile),
+        subtitle: withCrewName(quest.finale.subtitle, profile),
         stampSrc: null,
-        finale: true
+        finale: true,
+        mascotSrc: themeMascot(quest.mascot)
       });
+      playSound('fanfare');
+      vibrate('finale');
+      // Captain Raymond joins in once the trumpets are done.
+      window.setTimeout(cheer, 1600);
     }, 900);
   }
+
+  // Any new badges get their own overlay, one after another,
+  // once the treasure (and finale) overlays have had their moment.
+  const claimMs = overlayDuration() ?? USUAL_OVERLAY_MS;
+  const finaleMs = overlayDuration({ finale: true }) ?? USUAL_OVERLAY_MS + 800;
+  const firstBadgeAt = finale ? 900 + finaleMs + 100 : claimMs + 100;
+  checkBadges().forEach((badge, i) => {
+    window.setTimeout(() => {
+      showTreasureOverlay({
+        title: t('claim.newBadge'),
+        subtitle: badge.title,
+        icon: badge.icon
+      });
+      playSound('chime');
+    }, firstBadgeAt + i * (claimMs + 200));
+  });
 }
 
 // ----------------------------------------------------------
-// MAP SETUP + MOVEMENT
+// REPEAT VISITS
 // ----------------------------------------------------------
 
+/**
+ * Log another visit to a pool that's already claimed. Same location check
+ * as claiming (and the same grown-up override), but only one visit a day.
+ */
+async function logAnotherVisit(poolId) {
+  const p = pools.find(x => x.id === poolId);
+  const v = visited[poolId];
+  if (!p || !v?.done || claimInProgress) return;
 
-function createDetailIcon(p) {
-  // Detail-map marker: X when unclaimed, treasure stamp when claimed
-  const isVisited = !!(visited[p?.id]?.done);
-  const url = isVisited ? getStampSrc(p) : './assets/marker-x.png';
-  const size = isVisited ? 44 : 36;
+  if (dateKey(lastVisit(v)) === dateKey(new Date().toISOString())) {
+    alert(t('claim.alreadyToday', { pool: p.name }));
+    return;
+  }
 
-  return L.icon({
-    iconUrl: url,
-    iconSize: [size, size],
-    iconAnchor: [size / 2, size / 2],
-    popupAnchor: [0, -size / 2 - 6]
-  });
-}
+  claimInProgress = true;
+  renderList();
 
+  let check;
+  try {
+    check = await checkClaimLocation(p);
+  } finally {
+    claimInProgress = false;
+    renderList();
+  }
 
-function setupMap() {
-  if (!pools.length) return;
+  if (check.ok) {
+    recordVisit(p);
+    return;
+  }
 
-  map = L.map('map').setView([pools[0].lat, pools[0].lng], 14);
+  showSailCloserOverlay(p, check, {
+    onRetry: () => logAnotherVisit(poolId),
+    onOverride: () => {
+      if (askParentPin()) recordVisit(p);
+    }
+  });
+}
 
-  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-    maxZoom: 19,
-    attribution: '&copy; OpenStreetMap'
-  }).addTo(map);
+// Add today's visit and give a small cheer (no new stamp, so no fanfare).
+function recordVisit(p) {
+  const v = visited[p.id];
+  if (!v?.done) return;
 
-  marker = L.marker([pools[0].lat, pools[0].lng], { icon: createDetailIcon(pools[0]) }).addTo(map);
-}
+  v.visits = [...v.visits, new Date().toISOString()];
+  writeVisited(visited);
 
-function panToSelected() {
-  if (!map || !marker) return;
+  renderList();
+  renderStamps();
 
-  const p = pools[selectedIndex];
-  marker.setIcon(createDetailIcon(p));
-  marker.setLatLng([p.lat, p.lng]).bindPopup(p.name);
-  map.setView([p.lat, p.lng], 15, { animate: true });
+  showTreasureOverlay({
+    title: t('claim.welcomeBack'),
+    subtitle: t('claim.visitNumber', { pool: p.name, count: v.visits.length }),
+    icon: '🌊',
+    small: true
+  });
+  playSound('chime');
+  announce(t('claim.visitNumber', { pool: p.name, count: v.visits.length }));
 }
 
 // ----------------------------------------------------------
-// PASSPORT (STAMPS) VIEW
+// BADGES (rules live in achievements.js + the quest's achievements file)
 // ----------------------------------------------------------
 
-function getStampSrc(p) {
-  // Stamp filenames are derived from pool.id
-  return p.stamp || `stamps/${p.id}.png`;
-}
+/**
+ * Check the badge rules against the current claims, remember any newly
+ * earned badges and return them (so the caller can celebrate).
+ * Badges stay earned once won, even if the rule would no longer pass.
+ */
+function checkBadges() {
+  const newlyEarned = evaluateBadges(badges, pools, visited)
+    .filter(r => r.earned && !earnedBadges[r.badge.id])
+    .map(r => r.badge);
+
+  if (newlyEarned.length) {
+    const earnedAt = new Date().toISOString();
+    newlyEarned.forEach(b => { earnedBadges[b.id] = { earnedAt }; });
+    writeBadges(earnedBadges);
+  }
 
-function renderStamps(popId = null) {
-  const grid = document.getElementById('passportGrid');
+  return newlyEarned;
+}
+
+function renderBadges() {
+  const grid = document.getElementById('badgeGrid');
   if (!grid) return;
 
-  const stampsPerPage = 1;
+  if (!badges.length) {
+    grid.innerHTML = `<div class="badge-empty">${t('badges.none')}</div>`;
+    return;
+  }
+
+  const results = evaluateBadges(badges, pools, visited);
+  grid.innerHTML = '';
+
+  for (const r of results) {
+    const earned = !!earnedBadges[r.badge.id] || r.earned;
+    const earnedAt = earnedBadges[r.badge.id]?.earnedAt;
+
+    const card = document.createElement('div');
+    card.className = `badge-card ${earned ? 'earned' : 'locked'}`;
+
+    card.innerHTML = `
+      <div class="badge-icon" aria-hidden="true">${r.badge.icon}</div>
+      <div class="badge-title">${earned ? r.badge.title : '???'}</div>
+      <div class="badge-desc">${r.badge.description}</div>
+      ${earned
+        ? `<div class="badge-progress">${earnedAt ? t('badges.earnedOn', { date: formatDate(earnedAt) }) : t('badges.earned')}</div>`
+        : `
+          <div class="badge-bar"><span style="width:${Math.round((r.current / r.target) * 100)}%"></span></div>
+          <div class="badge-progress">${r.text}</div>
+        `}
+    `;
+
+    grid.appendChild(card);
+  }
+}
+
+// Switch the passport between the Stamps, Gallery and Badges tabs.
+function setPassportTab(tab) {
+  passportTab = tab;
+  const showBadges = tab === 'badges';
+
+  document.getElementById('passportGrid')?.toggleAttribute('hidden', showBadges);
+  document.querySelector('.passport-nav')?.toggleAttribute('hidden', showBadges);
+  document.getElementById('badgeGrid')?.toggleAttribute('hidden', !showBadges);
+  document.getElementById('galleryTools')?.toggleAttribute('hidden', tab !== 'gallery');
+
+  const tabs = { stamps: stampsTabBtn, gallery: galleryTabBtn, badges: badgesTabBtn };
+  for (const [name, btn] of Object.entries(tabs)) {
+    btn?.classList.toggle('primary', name === tab);
+    btn?.classList.toggle('ghost', name !== tab);
+    btn?.setAttribute('aria-selected', String(name === tab));
+  }
+
+  if (showBadges) renderBadges();
+  else renderStamps();
+}
+
+// ----------------------------------------------------------
+// MAP SETUP + MOVEMENT
+// ----------------------------------------------------------
+
+
+function createDetailIcon(p) {
+  // Detail-map marker: X when unclaimed, treasure stamp when claimed
+  const isVisited = !!(visited[p?.id]?.done);
+  const url = isVisited ? getStampSrc(p) : './assets/marker-x.png';
+  const size = isVisited ? 44 : 36;
+
+  return L.icon({
+    iconUrl: url,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+    popupAnchor: [0, -size / 2 - 6]
+  });
+}
+
+
+function setupMap() {
+  if (!pools.length) return;
+
+  // No sliding and fading when the device asks for less motion.
+  const calm = prefersReducedMotion();
+  map = L.map('map', {
+    zoomAnimation: !calm,
+    fadeAnimation: !calm,
+    markerZoomAnimation: !calm
+  }).setView([pools[0].lat, pools[0].lng], 14);
+
+  L.tileLayer(TILE_URL, {
+    maxZoom: 19,
+    attribution: '&copy; OpenStreetMap'
+  }).addTo(map);
+
+  marker = L.marker([pools[0].lat, pools[0].lng], {
+    icon: createDetailIcon(pools[0]),
+    alt: pools[0].name
+  }).addTo(map);
+}
+
+function panToSelected() {
+  if (!map || !marker) return;
+
+  const p = pools[selectedIndex];
+  marker.options.alt = p.name;   // read out when the marker is focused
+  marker.setIcon(createDetailIcon(p));
+  marker.setLatLng([p.lat, p.lng]).bindPopup(p.name);
+  map.setView([p.lat, p.lng], 15, { animate: !prefersReducedMotion() });
+}
+
+// ----------------------------------------------------------
+// PASSPORT (STAMPS) VIEW
+// ----------------------------------------------------------
+
+function getStampSrc(p) {
+  // data.js fills in (and image-checks) every pool's stamp, so the
+  // fallback is only a safety net.
+  return themeStamp(p.stamp || FALLBACK_STAMP);
+}
+
+// Small line under the date saying how the claim was made.
+// Claims from before location checking existed show nothing.
+function proofLabel(v) {
+  if (v?.verification === 'location') {
+    const label = Number.isFinite(v.distance)
+      ? t('passport.atPoolDistance', { distance: formatDistance(v.distance) })
+      : t('passport.atPool');
+    return `<div class="stamp-proof verified">${label}</div>`;
+  }
+  if (v?.verification === 'override') {
+    return `<div class="stamp-proof override">${t('passport.override')}</div>${assistedLabel(v)}`;
+  }
+  return assistedLabel(v);
+}
+
+function assistedLabel(v) {
+  return v?.assisted ? `<div class="stamp-proof assisted">${t('passport.assisted')}</div>` : '';
+}
+
+// "Visited 7 times, first on 16/12/2025, last on 02/03/2026"
+// (just the date when there's only been one visit)
+function visitsLabel(v) {
+  const count = v.visits.length;
+  if (count <= 1) return formatDate(firstVisit(v));
+  return t('passport.visits', { count, first: formatDate(firstVisit(v)), last: formatDate(lastVisit(v)) });
+}
+
+// "🧩 Riddle solved in 2m 34s • 1 wrong guess • 2 hints"
+function riddleLabel(v) {
+  if (!v?.riddle) return '';
+  const { wrong, hints, seconds } = v.riddle;
+
+  const parts = [t('passport.riddleTime', { time: formatDuration(seconds) })];
+  parts.push(wrong === 0 ? t('passport.firstTry') : t('passport.wrongGuesses', { count: wrong }));
+  if (hints > 0) parts.push(t('passport.hints', { count: hints }));
+
+  return `<div class="stamp-riddle">${parts.join(' • ')}</div>`;
+}
+
+// The page the passport's tab is on: the gallery's own, or the Stamps tab's.
+function passportPage() {
+  return passportTab === 'gallery' ? galleryPage : currentStampsPage;
+}
 
-  // Build list of visited pools in visit order
-  const visitedPools = pools
-    .filter(p => visited[p.id]?.done)
-    .sort((a, b) =>
-      dateKey(visited[a.id].date).localeCompare(dateKey(visited[b.id].date))
-    );
+function setPassportPage(page) {
+  if (passportTab === 'gallery') {
+    galleryPage = page;
+  } else {
+    currentStampsPage = page;
+    writeStampsPage(currentStampsPage);
+  }
+}
 
-  const totalPages = Math.max(1, Math.ceil(visitedPools.length / stampsPerPage));
-  currentStampsPage = Math.min(currentStampsPage, totalPages - 1);
-  writeStampsPage(currentStampsPage);
+// Keep the passport page in range (and saved), and update "Page 2 of 3"
+// and the Prev/Next buttons.
+function setPassportPages(pageCount) {
+  const totalPages = Math.max(1, pageCount);
+  setPassportPage(Math.min(passportPage(), totalPages - 1));
+  const page = passportPage();
 
   const labelEl = document.getElementById('passportPageLabel');
   if (labelEl) {
-    labelEl.textContent = `Page ${currentStampsPage + 1} of ${totalPages}`;
+    labelEl.textContent = t('passport.page', { page: page + 1, total: totalPages });
   }
 
-  if (prevStampsPageBtn) prevStampsPageBtn.disabled = currentStampsPage <= 0;
-  if (nextStampsPageBtn) nextStampsPageBtn.disabled = currentStampsPage >= totalPages - 1;
+  if (prevStampsPageBtn) prevStampsPageBtn.disabled = page <= 0;
+  if (nextStampsPageBtn) nextStampsPageBtn.disabled = page >= totalPages - 1;
+}
+
+function renderStamps(popId = null) {
+  const grid = document.getElementById('passportGrid');
+  if (!grid) return;
+
+  // The Gallery tab pages through every pool instead (see below).
+  grid.classList.toggle('gallery', passportTab === 'gallery');
+  if (passportTab === 'gallery') {
+    renderGallery(grid, popId);
+    return;
+  }
 
+  // One big stamp, or a 2×2 / 3×3 grid (see the settings screen)
+  const { stampsPerPage } = readSettings();
+  grid.classList.toggle('per-4', stampsPerPage === 4);
+  grid.classList.toggle('per-9', stampsPerPage === 9);
+
+  // Build list of visited pools in the order they were claimed
+  const visitedPools = inClaimOrder(pools, visited);
+
+  setPassportPages(Math.ceil(visitedPools.length / stampsPerPage));
 
   const pagePools = visitedPools.slice(
     currentStampsPage * stampsPerPage,
@@ -485,68 +1373,805 @@ function renderStamps(popId = null) {
       <div class="title">${p.name}</div>
       ${p.suburb ? '<div class="subtitle">' + p.suburb + '</div>' : ''}
       <div class="stamp ${popId === p.id ? 'pop' : ''}">
-        <img src="${getStampSrc(p)}" alt="stamp">
+        <img src="${getStampSrc(p)}" alt="${t('passport.stampAlt')}">
       </div>
-      <div class="stamp-date">${formatDateAU(v.date)}</div>
+      <div class="stamp-date">${visitsLabel(v)}</div>
+      ${proofLabel(v)}
+      ${riddleLabel(v)}
+      <button class="pill ghost journal-toggle" type="button" aria-expanded="false">${t('journal.open')}</button>
+      <div class="journal" hidden></div>
     `;
 
+    const toggle = card.querySelector('.journal-toggle');
+    const section = card.querySelector('.journal');
+
+    const setOpen = (open) => {
+      openJournalId = open ? p.id : null;
+      card.classList.toggle('expanded', open);
+      section.hidden = !open;
+      toggle.setAttribute('aria-expanded', String(open));
+      toggle.textContent = open ? t('journal.close') : t('journal.open');
+      if (open) renderJournal(section, p);
+    };
+
+    toggle.addEventListener('click', () => setOpen(openJournalId !== p.id));
+    if (openJournalId === p.id) setOpen(true);
+
     grid.appendChild(card);
   });
 }
 
+// ----------------------------------------------------------
+// PASSPORT GALLERY (every pool: found stamps, and "?" for the rest)
+// ----------------------------------------------------------
+
+// The gallery always shows a 3 × 3 page, whatever the Stamps tab uses.
+const GALLERY_PER_PAGE = 9;
+
+// The pools to show, filtered and sorted as the gallery's <select>s say.
+function galleryPools({ sort, show }) {
+  const found = p => !!visited[p.id]?.done;
+  const shown = pools.filter(p => show === 'all' || (show === 'claimed') === found(p));
+
+  const byName = (a, b) => a.name.localeCompare(b.name, currentLanguage().locale);
+  switch (sort) {
+    case 'name':
+      return shown.sort(byName);
+    case 'suburb':
+      // Pools with no suburb go last.
+      return shown.sort((a, b) =>
+        (!a.suburb - !b.suburb) || (a.suburb || '').localeCompare(b.suburb || '', currentLanguage().locale) || byName(a, b)
+      );
+    case 'distance':
+      return galleryHere ? sortByDistance(galleryHere, shown).map(s => s.place) : shown;
+    default:
+      // Found ones in the order they were claimed (like the Stamps tab), then the rest.
+      return [...inClaimOrder(shown, visited), ...shown.filter(p => !found(p))];
+  }
+}
+
+// "Somewhere in Woolwich…": all a locked stamp gives away.
+function galleryTeaser(p) {
+  return p.suburb ? t('gallery.teaser', { suburb: p.suburb }) : t('gallery.teaserNoSuburb');
+}
+
+// Under each stamp: how far away it is (sorted by distance), or when it was found.
+function galleryNote(p) {
+  if (passportTab === 'gallery' && readGalleryOptions().sort === 'distance' && galleryHere) {
+    return formatDistance(distanceMetres(galleryHere, p));
+  }
+  return visited[p.id]?.done ? formatDate(firstVisit(visited[p.id])) : '';
+}
+
+function galleryCard(p, popId) {
+  const found = !!visited[p.id]?.done;
+
+  const card = document.createElement('button');
+  card.type = 'button';
+  card.className = `passport gallery-card ${found ? 'claimed' : 'locked'}`;
+  card.innerHTML = `
+    <div class="stamp ${popId === p.id ? 'pop' : ''}">
+      <img src="${getStampSrc(p)}" alt="">
+      ${found ? '' : '<span class="gallery-mystery" aria-hidden="true">?</span>'}
+    </div>
+    <div class="title">${found ? p.name : t('gallery.mystery')}</div>
+    <div class="subtitle">${found ? (p.suburb || '') : galleryTeaser(p)}</div>
+    <div class="stamp-date">${galleryNote(p)}</div>
+  `;
+
+  card.addEventListener('click', () => showStampSheet(p));
+  return card;
+}
+
+function renderGallery(grid, popId) {
+  const options = readGalleryOptions();
+  if (gallerySortSel) gallerySortSel.value = options.sort;
+  if (galleryShowSel) galleryShowSel.value = options.show;
+
+  // Distance needs to know where we are: sorted once the GPS answers.
+  if (options.sort === 'distance' && !galleryHere) locateForGallery();
+
+  grid.classList.remove('per-4', 'per-9');
+  const shown = galleryPools(options);
+  setPassportPages(Math.ceil(shown.length / GALLERY_PER_PAGE));
+
+  grid.innerHTML = '';
+  if (!shown.length) {
+    const empty = options.show === 'unclaimed' ? 'gallery.allFound' : 'gallery.noneFound';
+    grid.innerHTML = `<div class="badge-empty">${t(empty)}</div>`;
+    return;
+  }
+
+  const start = galleryPage * GALLERY_PER_PAGE;
+  shown.slice(start, start + GALLERY_PER_PAGE).forEach(p => grid.appendChild(galleryCard(p, popId)));
+}
+
+async function locateForGallery() {
+  if (galleryLocating) return;
+  galleryLocating = true;
+
+  const statusEl = document.getElementById('galleryStatus');
+  if (statusEl) statusEl.textContent = t('list.findingYou');
+
+  try {
+    // "Nearest treasure" in the list view may already know.
+    galleryHere = nearest?.here || await getCurrentPosition();
+  } catch (err) {
+    alert(err.code === 'denied' ? t('list.nearestDenied') : t('list.nearestUnavailable'));
+    writeGalleryOptions({ ...readGalleryOptions(), sort: GALLERY_CHOICES.sort[0] });
+  } finally {
+    galleryLocating = false;
+    if (statusEl) statusEl.textContent = '';
+  }
+
+  if (passportTab === 'gallery') renderStamps();
+}
+
+/**
+ * A stamp's detail sheet: the stamp (or its "?"), where the pool is on a
+ * little map, and every visit, or how far away it is if it's still to find.
+ */
+function showStampSheet(p) {
+  const v = visited[p.id];
+  const found = !!v?.done;
+  const away = galleryHere ? t('gallery.away', { distance: formatDistance(distanceMetres(galleryHere, p)) }) : '';
+  let thumb = null;
+
+  const { card, close } = openPanelOverlay(`
+    <div class="gallery-sheet-stamp ${found ? 'claimed' : 'locked'}">
+      <img class="stamp-img" src="${getStampSrc(p)}" alt="${found ? t('passport.stampAlt') : ''}">
+      ${found ? '' : '<span class="gallery-mystery" aria-hidden="true">?</span>'}
+    </div>
+    <div class="treasure-title">${found ? p.name : t('gallery.mystery')}</div>
+    <div class="treasure-subtitle">${found ? (p.suburb || '') : galleryTeaser(p)}</div>
+    <div class="gallery-sheet-map" aria-hidden="true"></div>
+    <div class="gallery-sheet-info">
+      <div class="stamp-date">${found ? visitsLabel(v) : t('gallery.notFoundYet')}</div>
+      ${found ? proofLabel(v) + riddleLabel(v) : ''}
+      ${away ? `<div class="stamp-proof">${away}</div>` : ''}
+    </div>
+    <div class="treasure-actions">
+      <button class="pill primary" type="button" data-panel="open">${t('map.openPool')}</button>
+      <button class="pill ghost" type="button" data-panel="close">${t('common.close')}</button>
+    </div>
+  `, { onClose: () => thumb?.remove() });
+
+  // A still map: it's a thumbnail, the list view has the real one.
+  const mapEl = card.querySelector('.gallery-sheet-map');
+  if (Number.isFinite(p.lat) && Number.isFinite(p.lng)) {
+    thumb = L.map(mapEl, {
+      zoomControl: false,
+      dragging: false,
+      touchZoom: false,
+      scrollWheelZoom: false,
+      doubleClickZoom: false,
+      boxZoom: false,
+      keyboard: false,
+      trackResize: false
+    }).setView([p.lat, p.lng], 14);
+
+    L.tileLayer(TILE_URL, {
+      maxZoom: 19,
+      attribution: '&copy; OpenStreetMap'
+    }).addTo(thumb);
+    L.marker([p.lat, p.lng], { icon: createDetailIcon(p), interactive: false, keyboard: false }).addTo(thumb);
+
+    // Sized once the card is on screen.
+    setTimeout(() => thumb.invalidateSize(), 0);
+  } else {
+    mapEl.remove();
+  }
+
+  card.querySelector('[data-panel="open"]').addEventListener('click', () => {
+    close();
+    navigate(`pool/${encodeURIComponent(p.id)}`);
+  });
+  card.querySelector('[data-panel="close"]').addEventListener('click', close);
+}
+
+// ----------------------------------------------------------
+// VISIT JOURNAL (entries are kept in IndexedDB by journal.js)
+// ----------------------------------------------------------
+
+function releaseJournalPhoto() {
+  if (journalPhotoUrl) URL.revokeObjectURL(journalPhotoUrl);
+  journalPhotoUrl = null;
+}
+
+/** Fill a passport card's journal section (read-only, or the edit form). */
+async function renderJournal(container, p, editing = false) {
+  const key = journalKey(profile.id, quest.id, p.id);
+
+  let entry = null;
+  try {
+    entry = await readJournalEntry(key);
+  } catch (err) {
+    container.innerHTML = '<div class="journal-empty"></div>';
+    container.firstElementChild.textContent = err.message;
+    return;
+  }
+
+  releaseJournalPhoto();
+  if (editing) renderJournalForm(container, p, key, entry);
+  else renderJournalView(container, p, entry);
+}
+
+function renderJournalView(container, p, entry) {
+  const hasAnything = entry && (entry.photo || entry.note || entry.companions ||
+    Number.isFinite(entry.waterTemp) || entry.splash);
+
+  if (entry?.photo) journalPhotoUrl = URL.createObjectURL(entry.photo);
+
+  container.innerHTML = `
+    ${hasAnything ? '' : `<div class="journal-empty">${t('journal.empty')}</div>`}
+    ${journalPhotoUrl ? `<img class="journal-photo" src="${journalPhotoUrl}" alt="${t('journal.photoAlt', { pool: p.name })}">` : ''}
+    ${entry?.note ? '<p class="journal-note"></p>' : ''}
+    <dl class="journal-facts">
+      ${entry?.companions ? `<dt>${t('journal.crew')}</dt><dd data-field="companions"></dd>` : ''}
+      ${Number.isFinite(entry?.waterTemp)
+        ? `<dt>${t('journal.water')}</dt><dd>${t('journal.waterTemp', { temp: formatNumber(entry.waterTemp, entry.waterTemp % 1 ? 1 : 0) })}</dd>`
+        : ''}
+      ${entry?.splash
+        ? `<dt>${t('journal.splash')}</dt><dd aria-label="${t('journal.splashOutOf', { rating: entry.splash })}">${'💦'.repeat(entry.splash)}</dd>`
+        : ''}
+    </dl>
+    <button class="pill primary" type="button" data-journal="edit">
+      ${hasAnything ? t('journal.edit') : t('journal.write')}
+    </button>
+  `;
+
+  // Typed by the crew, so set as text rather than HTML.
+  const noteEl = container.querySelector('.journal-note');
+  if (noteEl) noteEl.textContent = entry.note;
+  const crewEl = container.querySelector('[data-field="companions"]');
+  if (crewEl) crewEl.textContent = entry.companions;
+
+  container.querySelector('[data-journal="edit"]').addEventListener('click', () => {
+    renderJournal(container, p, true);
+  });
+}
+
+function renderJournalForm(container, p, key, entry) {
+  container.innerHTML = `
+    <form class="journal-form">
+      <label class="journal-field">
+        ${t('journal.photo')}
+        <input type="file" name="photo" accept="image/*" capture="environment">
+      </label>
+      ${entry?.photo ? `
+        <label class="journal-check">
+          <input type="checkbox" name="removePhoto"> ${t('journal.removePhoto')}
+        </label>` : ''}
+      <label class="journal-field">
+        ${t('journal.note')}
+        <textarea name="note" rows="3" maxlength="500" placeholder="${t('journal.notePlaceholder')}"></textarea>
+      </label>
+      <label class="journal-field">
+        ${t('journal.companions')}
+        <input type="text" name="companions" maxlength="120" placeholder="${t('journal.companionsPlaceholder')}">
+      </label>
+      <label class="journal-field">
+        ${t('journal.waterTempLabel')}
+        <input type="number" name="waterTemp" min="0" max="40" step="0.5" inputmode="decimal">
+      </label>
+      <fieldset class="journal-splash">
+        <legend>${t('journal.splashRating')}</legend>
+        ${[1, 2, 3, 4, 5].map(n => `
+          <label>
+            <input type="radio" name="splash" value="${n}" ${entry?.splash === n ? 'checked' : ''}>
+            <span>${'💦'.repeat(n)}</span>
+          </label>`).join('')}
+      </fieldset>
+      <div class="journal-actions">
+        <button class="pill primary" type="submit">${t('common.save')}</button>
+        <button class="pill ghost" type="button" data-journal="cancel">${t('common.cancel')}</button>
+      </div>
+      <div class="journal-status" aria-live="polite"></div>
+    </form>
+  `;
+
+  const form = container.querySelector('form');
+  form.note.value = entry?.note || '';
+  form.companions.value = entry?.companions || '';
+  form.waterTemp.value = Number.isFinite(entry?.waterTemp) ? entry.waterTemp : '';
+
+  form.querySelector('[data-journal="cancel"]').addEventListener('click', () => {
+    renderJournal(container, p);
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const status = form.querySelector('.journal-status');
+    status.textContent = t('journal.saving');
+
+    try {
+      let photo = entry?.photo || null;
+      if (form.removePhoto?.checked) photo = null;
+      if (form.photo.files?.[0]) photo = await downscalePhoto(form.photo.files[0]);
+
+      const temp = parseFloat(form.waterTemp.value);
+      const splash = Number(form.querySelector('input[name="splash"]:checked')?.value) || null;
+
+      await writeJournalEntry({
+        key,
+        photo,
+        note: form.note.value.trim(),
+        companions: form.companions.value.trim(),
+        waterTemp: Number.isFinite(temp) ? temp : null,
+        splash
+      });
+
+      renderJournal(container, p);
+    } catch (err) {
+      console.warn('Error saving journal entry', err);
+      status.textContent = t('journal.saveFailed', { error: err.message });
+    }
+  });
+}
+
+// ----------------------------------------------------------
+// BACKUP, RESTORE + TRANSFER
+// ----------------------------------------------------------
+// The heavy lifting (file format, share codes, merging) is in backup.js.
+// These functions are just the buttons and panels around it.
+
+function downloadBackup() {
+  const backup = buildBackup({ questId: quest.id, profile, visited });
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = backupFileName(quest.id, profile);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before freeing it.
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function showBackupPanel() {
+  const code = encodeShareCode(quest.id, visited);
+  const link = shareLinkFor(code);
+
+  const { card, close } = openPanelOverlay(`
+    <div class="treasure-sparkle" aria-hidden="true">📦</div>
+    <div class="treasure-title">${t('backup.title').replace('&', '&amp;')}</div>
+
+    <div class="panel-section">
+      <h3>${t('backup.fileHeading')}</h3>
+      <p>${t('backup.fileText', { name: escapeHtml(profile.name) })}</p>
+      <div class="panel-row">
+        <button class="pill primary" type="button" data-panel="export">${t('backup.download')}</button>
+        <button class="pill ghost" type="button" data-panel="import-file">${t('backup.restore')}</button>
+      </div>
+    </div>
+
+    <div class="panel-section">
+      <h3>${t('backup.moveHeading')}</h3>
+      <p>${t('backup.moveText')}</p>
+      <textarea readonly data-panel="link">${link}</textarea>
+      <button class="pill ghost" type="button" data-panel="copy">${t('backup.copyLink')}</button>
+    </div>
+
+    <div class="panel-section">
+      <h3>${t('backup.codeHeading')}</h3>
+      <div class="panel-row">
+        <input type="text" placeholder="${t('backup.codePlaceholder')}" data-panel="code-input">
+        <button class="pill primary" type="button" data-panel="import-code">${t('backup.import')}</button>
+      </div>
+    </div>
+
+    <div class="treasure-actions">
+      <button class="pill ghost" type="button" data-panel="close">${t('common.close')}</button>
+    </div>
+  `);
+
+  card.querySelector('[data-panel="export"]').addEventListener('click', downloadBackup);
+
+  card.querySelector('[data-panel="import-file"]').addEventListener('click', () => {
+    importFileInput?.click();
+  });
+
+  card.querySelector('[data-panel="copy"]').addEventListener('click', async (e) => {
+    const box = card.querySelector('[data-panel="link"]');
+    try {
+      await navigator.clipboard.writeText(box.value);
+      e.currentTarget.textContent = t('backup.copied');
+    } catch {
+      // Older browsers: select the text so a grown-up can copy it by hand.
+      box.select();
+    }
+  });
+
+  card.querySelector('[data-panel="import-code"]').addEventListener('click', () => {
+    const input = card.querySelector('[data-panel="code-input"]').value;
+    try {
+      startImport(decodeShareCode(input));
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  card.querySelector('[data-panel="close"]').addEventListener('click', close);
+}
+
+/**
+ * Check an import ({ quest, visited }) and show what it would change.
+ */
+function startImport({ quest: importQuestId, visited: incomingRaw }) {
+  if (importQuestId && importQuestId !== quest.id) {
+    const other = quests.find(q => q.id === importQuestId);
+    alert(t('backup.otherQuest', { quest: other ? other.title : t('backup.aDifferentQuest') }));
+    return;
+  }
+
+  const { visited: incoming, skipped } = validateAgainstPools(incomingRaw, pools);
+  const preview = previewMerge(visited, incoming);
+
+  if (!Object.keys(incoming).length) {
+    alert(t('backup.nothingForQuest'));
+    return;
+  }
+
+  // Ids come from a link or a file, so escape them before they reach innerHTML
+  const nameOf = (id) => escapeHtml(pools.find(p => p.id === id)?.name || id);
+  const listOf = (items) => `<ul class="panel-list">${items.join('')}</ul>`;
+
+  const { card, close } = openPanelOverlay(`
+    <div class="treasure-sparkle" aria-hidden="true">🗺️</div>
+    <div class="treasure-title">${t('backup.importTitle')}</div>
+
+    <div class="panel-section">
+      <h3>${t('backup.newTreasure', { count: preview.added.length })}</h3>
+      ${preview.added.length
+        ? listOf(preview.added.map(id => `<li>${nameOf(id)} • ${formatDate(firstVisit(incoming[id]))}</li>`))
+        : `<p>${t('backup.nothingNew')}</p>`}
+    </div>
+
+    ${preview.conflicts.length ? `
+      <div class="panel-section">
+        <h3>${t('backup.differentDates', { count: preview.conflicts.length })}</h3>
+        <p>${t('backup.mergeExplained')}</p>
+        ${listOf(preview.conflicts.map(c =>
+          `<li>${t('backup.conflict', { pool: nameOf(c.id), here: formatDate(c.here) || '?', there: formatDate(c.there) || '?' })}</li>`
+        ))}
+      </div>` : ''}
+
+    ${skipped.length ? `
+      <div class="panel-section">
+        <h3>${t('backup.skipped', { count: skipped.length })}</h3>
+        <p>${t('backup.skippedText', { ids: skipped.map(escapeHtml).join(', ') })}</p>
+      </div>` : ''}
+
+    <div class="treasure-actions">
+      <button class="pill primary" type="button" data-panel="merge">${t('backup.merge')}</button>
+      <button class="pill ghost" type="button" data-panel="replace">${t('backup.replace')}</button>
+      <button class="pill ghost" type="button" data-panel="cancel">${t('common.cancel')}</button>
+    </div>
+  `);
+
+  card.querySelector('[data-panel="merge"]').addEventListener('click', () => {
+    applyImport(mergeVisited(visited, incoming));
+    close();
+  });
+
+  card.querySelector('[data-panel="replace"]').addEventListener('click', () => {
+    const ok = confirm(t('backup.confirmReplace', { name: profile.name, quest: quest.title }));
+    if (!ok) return;
+    applyImport(incoming);
+    close();
+  });
+
+  card.querySelector('[data-panel="cancel"]').addEventListener('click', close);
+}
+
+function applyImport(newVisited) {
+  visited = newVisited;
+  writeVisited(visited);
+
+  // Imported claims can earn badges too (no fanfare for these).
+  checkBadges();
+
+  renderList();
+  renderStamps();
+  updateCount();
+  panToSelected();
+}
+
+// ----------------------------------------------------------
+// PARENT MODE (fix one claim without resetting everything)
+// ----------------------------------------------------------
+
+// A visit ↔ the "2025-12-16" a date picker wants.
+function toDateInput(date) {
+  const key = dateKey(date);
+  return /^\d{8}$/.test(key) ? `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}` : '';
+}
+
+function fromDateInput(value) {
+  return dateFromKey(String(value || '').replace(/-/g, ''));
+}
+
+/** Add a line to the change log. */
+function logChange(poolId, action, from = null, to = null) {
+  const audit = readAudit();
+  audit.push({ at: new Date().toISOString(), poolId, action, from, to });
+  writeAudit(audit);
+}
+
+// "Woolwich Baths: date 14/12/2025 → 12/12/2025"
+function describeChange(entry) {
+  const p = pools.find(x => x.id === entry.poolId);
+  const name = p ? p.name : entry.poolId;
+
+  switch (entry.action) {
+    case 'claim':      return t('parent.logClaim', { pool: name, date: formatDate(entry.to) });
+    case 'unclaim':    return t('parent.logUnclaim', { pool: name, date: formatDate(entry.from) || t('parent.undated') });
+    case 'date':       return t('parent.logDate', { pool: name, from: formatDate(entry.from) || t('parent.noDate'), to: formatDate(entry.to) });
+    case 'assisted':   return t('parent.logAssisted', { pool: name });
+    case 'unassisted': return t('parent.logUnassisted', { pool: name });
+    case 'reset':      return t('parent.logReset');
+    default:           return `${name}: ${entry.action}`;
+  }
+}
+
+// Re-render everything that shows claims after a parent-mode change.
+function afterParentChange() {
+  writeVisited(visited);
+  checkBadges();  // quietly: no fanfare for grown-up fixes
+
+  renderList();
+  renderStamps();
+  updateCount();
+  panToSelected();
+}
+
+function parentPanelHtml() {
+  const today = toDateInput(new Date().toISOString());
+
+  const rows = pools.map(p => {
+    const v = visited[p.id];
+    const claimed = !!v?.done;
+
+    return `
+      <li class="parent-pool ${claimed ? 'claimed' : ''}" data-pool="${p.id}">
+        <div class="parent-pool-name">${claimed ? '✅' : '⬜️'} ${p.name}</div>
+        <div class="panel-row">
+          <input type="date" max="${today}" value="${claimed ? toDateInput(firstVisit(v)) : today}"
+                 aria-label="${t('parent.visitDate', { pool: p.name })}" data-parent="date">
+          ${claimed
+            ? `<button class="pill ghost" type="button" data-parent="unclaim">${t('parent.unclaim')}</button>`
+            : `<button class="pill primary" type="button" data-parent="claim">${t('parent.claim')}</button>`}
+        </div>
+        ${claimed ? `
+          <label class="parent-assisted">
+            <input type="checkbox" data-parent="assisted" ${v.assisted ? 'checked' : ''}>
+            ${t('parent.assisted')}
+          </label>` : ''}
+      </li>
+    `;
+  }).join('');
+
+  const changes = readAudit().slice(-30).reverse();
+  const log = changes.length
+    ? changes.map(c => `
+        <li>
+          <span class="parent-log-when">${formatDateTime(c.at)}</span>
+          ${describeChange(c)}
+        </li>`).join('')
+    : `<li>${t('parent.noChanges')}</li>`;
+
+  return `
+    <div class="treasure-sparkle" aria-hidden="true">🔑</div>
+    <div class="treasure-title">${t('parent.title')}</div>
+
+    <div class="panel-section">
+      <h3>${t('parent.claims', { name: escapeHtml(profile.name) })}</h3>
+      <p>${t('parent.claimsText')}</p>
+      <ul class="parent-pools">${rows}</ul>
+    </div>
+
+    <div class="panel-section">
+      <h3>${t('parent.changeLog')}</h3>
+      <ul class="panel-list parent-log">${log}</ul>
+    </div>
+
+    <div class="treasure-actions">
+      <button class="pill ghost" type="button" data-parent="close">${t('common.done')}</button>
+    </div>
+  `;
+}
+
+function showParentPanel() {
+  if (!askParentPin()) return;
+
+  const { card, close } = openPanelOverlay(parentPanelHtml());
+  const refresh = () => {
+    const scroll = card.scrollTop;
+    // Re-drawing drops keyboard focus, so put it back on the same pool.
+    const poolId = document.activeElement?.closest('[data-pool]')?.dataset.pool;
+    card.innerHTML = parentPanelHtml();
+    card.scrollTop = scroll;
+    const row = [...card.querySelectorAll('[data-pool]')].find(r => r.dataset.pool === poolId);
+    (row?.querySelector('input, button') || card).focus();
+  };
+
+  card.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-parent]');
+    if (!btn) return;
+
+    if (btn.dataset.parent === 'close') {
+      close();
+      return;
+    }
+
+    const row = btn.closest('[data-pool]');
+    const p = pools.find(x => x.id === row?.dataset.pool);
+    if (!p) return;
+
+    if (btn.dataset.parent === 'unclaim') {
+      if (!confirm(t('parent.confirmUnclaim', { pool: p.name }))) return;
+      logChange(p.id, 'unclaim', firstVisit(visited[p.id]));
+      delete visited[p.id];
+      afterParentChange();
+      refresh();
+      return;
+    }
+
+    if (btn.dataset.parent === 'claim') {
+      const date = fromDateInput(row.querySelector('[data-parent="date"]').value);
+      if (!date) {
+        alert(t('parent.pickDay'));
+        return;
+      }
+      // A day-only visit: no exact time is known, so time-of-day badges skip it.
+      visited[p.id] = { done: true, visits: [date], verification: 'override', distance: null, assisted: true };
+      logChange(p.id, 'claim', null, date);
+      afterParentChange();
+      refresh();
+    }
+  });
+
+  card.addEventListener('change', (e) => {
+    const input = e.target.closest('input[data-parent]');
+    const row = input?.closest('[data-pool]');
+    const v = visited[row?.dataset.pool];
+    if (!v?.done) return;  // the date of an unclaimed row is only used by "Claim"
+
+    if (input.dataset.parent === 'date') {
+      const first = firstVisit(v);
+      const date = fromDateInput(input.value);
+      if (!date || dateKey(date) === dateKey(first)) return;
+
+      logChange(row.dataset.pool, 'date', first, date);
+
+      // Move the claim (first visit) to the new day, keeping its time of day if known.
+      let moved = date;
+      if (hasVisitTime(first)) {
+        const at = new Date(first);
+        at.setFullYear(Number(input.value.slice(0, 4)), Number(input.value.slice(5, 7)) - 1, Number(input.value.slice(8, 10)));
+        moved = at.toISOString();
+      }
+      v.visits = sortVisits([moved, ...v.visits.slice(1)]);
+    } else if (input.dataset.parent === 'assisted') {
+      if (input.checked) v.assisted = true;
+      else delete v.assisted;
+      logChange(row.dataset.pool, input.checked ? 'assisted' : 'unassisted');
+    } else {
+      return;
+    }
+
+    afterParentChange();
+    refresh();
+  });
+}
+
 // ----------------------------------------------------------
 // INITIALISATION
 // ----------------------------------------------------------
 
 async function init() {
-  pools = await loadPools();
+  profile = applyCrewTitles(t('title.app'));
+
+  ({ quests, quest } = await loadActiveQuest());
+
+  // Bad entries are repaired or dropped by data.js and reported here.
+  let problems = [];
+  try {
+    ({ pools, problems } = await loadPools(quest.pools));
+  } catch (err) {
+    console.error(err);
+    showFatalError(err.message);
+    return;
+  }
+  showDataProblems(problems, quest.pools);
+
+  badges = await loadAchievements(quest.achievements);
+
+  // Progress is stored per quest (and per crew member), so re-read it
+  // now we know which quest it is.
+  visited = readVisited();
+  riddleProgress = readRiddleProgress();
+  earnedBadges = readBadges();
+  selectedIndex = readSelection(pools);
+  currentStampsPage = readStampsPage();
 
-  // Keep selection in bounds (in case pools list changed)
-  if (selectedIndex < 0) selectedIndex = 0;
-  if (selectedIndex >= pools.length) selectedIndex = Math.max(0, pools.length - 1);
+  // Quests finished before the finale was remembered have seen it already.
+  if (pools.length && pools.every(p => visited[p.id]?.done)) writeFinaleShown(true);
 
   // --------------------------
   // Button wiring
   // --------------------------
+  // The list and passport each have their own URL, so the back button works.
   if (toggleBtn) {
-    toggleBtn.addEventListener('click', () => setView(!onStampsView));
+    toggleBtn.addEventListener('click', () => {
+      const p = pools[selectedIndex];
+      navigate(onStampsView && p ? `pool/${encodeURIComponent(p.id)}` : 'passport');
+    });
   }
 
   if (resetBtn) {
     resetBtn.addEventListener('click', () => {
-      const ok = confirm('Reset all treasure on this device, First Mate?');
+      const ok = confirm(t('passport.confirmReset', { name: profile.name, quest: quest.title }));
       if (!ok) return;
 
       visited = {};
       writeVisited(visited);
+      riddleProgress = {};
+      writeRiddleProgress(riddleProgress);
+      earnedBadges = {};
+      writeBadges(earnedBadges);
+      writeFinaleShown(false);
+      logChange(null, 'reset');
+      deleteJournalEntries(`${profile.id}|${quest.id}|`).catch(err =>
+        console.warn('Error clearing journal entries', err)
+      );
       currentStampsPage = 0;
       writeStampsPage(currentStampsPage);
+      galleryPage = 0;
 
       renderList();
       renderStamps();
+      renderBadges();
       updateCount();
     });
   }
 
-  if (btnUp) {
-    btnUp.addEventListener('click', () => {
-      if (!pools.length) return;
-      selectedIndex = (selectedIndex + 1) % pools.length;
-      writeSelection(selectedIndex);
-      renderList();
-      panToSelected();
-    });
-  }
+  if (parentBtn) parentBtn.addEventListener('click', showParentPanel);
+
+  if (stampsTabBtn) stampsTabBtn.addEventListener('click', () => setPassportTab('stamps'));
+  if (galleryTabBtn) galleryTabBtn.addEventListener('click', () => setPassportTab('gallery'));
+  if (badgesTabBtn) badgesTabBtn.addEventListener('click', () => setPassportTab('badges'));
+
+  // A new sort or filter starts the gallery from its first page.
+  const onGalleryChange = () => {
+    // Picking "distance" again finds where we are now.
+    if (gallerySortSel.value === 'distance') galleryHere = null;
+    writeGalleryOptions({ sort: gallerySortSel.value, show: galleryShowSel.value });
+    galleryPage = 0;
+    renderStamps();
+  };
+  gallerySortSel?.addEventListener('change', onGalleryChange);
+  galleryShowSel?.addEventListener('change', onGalleryChange);
+
+  if (btnUp) btnUp.addEventListener('click', () => stepPool(1));
+  if (btnDown) btnDown.addEventListener('click', () => stepPool(-1));
+
+  // ← / → change pool too, unless you're typing, a dialog is up, or the
+  // map has the keyboard (it pans with the arrows).
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (onStampsView || closeCurrentOverlay || listView?.closest('.screen')?.hidden) return;
+    if (e.target.closest?.('input, textarea, select, .leaflet-container')) return;
+
+    e.preventDefault();
+    stepPool(e.key === 'ArrowRight' ? 1 : -1);
+  });
 
-  if (btnDown) {
-    btnDown.addEventListener('click', () => {
-      if (!pools.length) return;
-      selectedIndex = (selectedIndex - 1 + pools.length) % pools.length;
-      writeSelection(selectedIndex);
-      renderList();
-      panToSelected();
-    });
-  }
+  // …and so does swiping the pool's name card sideways.
+  onSwipe(document.getElementById('poolList'), (direction) => stepPool(direction === 'left' ? 1 : -1));
 
 
   // Inline map action buttons (rendered inside the pool header)
@@ -562,6 +2187,21 @@ async function init() {
         return;
       }
 
+      if (action === 'nearest') {
+        findNearestTreasure(btn);
+        return;
+      }
+
+      if (action === 'nearest-off') {
+        leaveNearestMode();
+        return;
+      }
+
+      if (action === 'log-visit') {
+        logAnotherVisit(pools[selectedIndex]?.id);
+        return;
+      }
+
       if (action === 'full-map') {
         document.body.classList.toggle('full-map');
         if (map) setTimeout(() => map.invalidateSize(), 150);
@@ -572,17 +2212,35 @@ async function init() {
 
   if (prevStampsPageBtn) {
     prevStampsPageBtn.addEventListener('click', () => {
-      currentStampsPage = Math.max(0, currentStampsPage - 1);
-      writeStampsPage(currentStampsPage);
+      setPassportPage(Math.max(0, passportPage() - 1));
       renderStamps();
+      playSound('pageTurn');
     });
   }
 
   if (nextStampsPageBtn) {
     nextStampsPageBtn.addEventListener('click', () => {
-      currentStampsPage = currentStampsPage + 1;
-      writeStampsPage(currentStampsPage);
+      setPassportPage(passportPage() + 1);
       renderStamps();
+      playSound('pageTurn');
+    });
+  }
+
+  if (backupBtn) {
+    backupBtn.addEventListener('click', showBackupPanel);
+  }
+
+  if (importFileInput) {
+    importFileInput.addEventListener('change', async () => {
+      const file = importFileInput.files?.[0];
+      importFileInput.value = '';  // so picking the same file again still fires
+      if (!file) return;
+
+      try {
+        startImport(parseBackupText(await file.text()));
+      } catch (err) {
+        alert(err.message);
+      }
     });
   }
 
@@ -590,12 +2248,79 @@ async function init() {
   // First render
   // --------------------------
 
-  // Start on list view, and keep Reset hidden until Treasure page
-  if (resetBtn) resetBtn.style.display = 'none';
+  // showPool() / showPassport() pick the view; this just gets the map ready.
   setupMap();
+  updateCount();
+
+  // Missing stamp images are only found once they try to load.
+  // Re-render with the fallback stamp if any turn up.
+  checkStampImages(pools).then(stampProblems => {
+    if (!stampProblems.length) return;
+    showDataProblems([...problems, ...stampProblems], quest.pools);
+    renderList();
+    renderStamps();
+    panToSelected();
+  });
+
+  // A share link opened on the splash screen leaves its code here for us.
+  let pendingImport = null;
+  try {
+    pendingImport = sessionStorage.getItem('pendingImport');
+    sessionStorage.removeItem('pendingImport');
+  } catch (e) {}
+
+  // (the splash sends us to ./passport when there's one waiting)
+  if (pendingImport) {
+    try {
+      startImport(decodeShareCode(pendingImport));
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+}
+
+// ----------------------------------------------------------
+// ROUTES (called by main.js)
+// ----------------------------------------------------------
+
+let ready = null;
+
+// Load everything the first time the list or passport is shown.
+function initOnce() {
+  if (!ready) {
+    ready = init().catch(err => {
+      console.error('Error during app init', err);
+      showFatalError(err.message);
+    });
+  }
+  return ready;
+}
+
+/** ./pool/:id — the list view, on that pool (or the saved one, if it's unknown). */
+export async function showPool(poolId) {
+  await initOnce();
+
+  const index = pools.findIndex(p => p.id === poolId);
+  setView(false);
+  selectPool(index >= 0 ? index : selectedIndex);
+
   renderList();
   panToSelected();
-  updateCount();
 }
 
-document.addEventListener('DOMContentLoaded', init);
+/** ./passport — the treasure passport. */
+export async function showPassport() {
+  await initOnce();
+  setView(true);
+}
+
+// Progress changed in another tab (e.g. a claim made on the map there):
+// re-read it and redraw, so both tabs agree.
+subscribe(({ remote }) => {
+  if (!remote || !pools.length) return;
+  visited = readVisited();
+  riddleProgress = readRiddleProgress();
+  earnedBadges = readBadges();
+  renderList();
+  renderStamps();
+});
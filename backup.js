@@ -0,0 +1,273 @@
+// backup.js
+// =========
+// Backup, restore and transfer of treasure progress.
+//
+// Two ways to move progress around:
+//   1. A JSON backup file (everything, including GPS distances).
+//   2. A short "share code" that fits in a link, e.g.
+//        ./?import=VFExfGhhcmJvdXJ8...
+//
+// Both carry the visited map for ONE quest. Nothing in here touches the
+// DOM or storage directly: app.js reads/writes with readVisited/writeVisited
+// and uses these helpers to build, check and merge the data.
+// Share codes only carry the DAY of each visit, not the time.
+
+import {
+  dateKey,
+  dateFromKey,
+  firstVisit,
+  hasVisitTime,
+  sortVisits,
+  visitDate
+} from './dates.js';
+import { normalizeVisitedMap } from './storage.js';
+import { t } from './i18n.js';
+
+// Identifies our backup files (so we don't try to import any old JSON).
+const BACKUP_APP = 'treasure-quest';
+const BACKUP_FORMAT = 1;
+
+// Share codes start with this, so we can tell a code from random text.
+const SHARE_PREFIX = 'TQ1';
+
+// One letter per verification kind in share codes.
+const VERIFICATION_TO_CODE = { location: 'L', override: 'O' };
+const CODE_TO_VERIFICATION = { L: 'location', O: 'override' };
+
+// ----------------------------------------------------------
+// BACKUP FILE
+// ----------------------------------------------------------
+
+/**
+ * Build the object that goes into a downloadable backup file.
+ */
+export function buildBackup({ questId, profile, visited }) {
+  return {
+    app: BACKUP_APP,
+    format: BACKUP_FORMAT,
+    exportedAt: new Date().toISOString(),
+    quest: questId,
+    crew: profile ? { name: profile.name, avatar: profile.avatar } : null,
+    visited: onlyClaimed(visited)
+  };
+}
+
+/** A friendly file name, e.g. "treasure-santiago-harbour-2025-12-16.json". */
+export function backupFileName(questId, profile) {
+  const who = String(profile?.name || 'crew').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const day = new Date().toISOString().slice(0, 10);
+  return `treasure-${who}-${questId}-${day}.json`;
+}
+
+/**
+ * Read the text of a backup file.
+ * Also accepts a bare visited map (what's actually saved, see storage.js),
+ * so a grown-up can paste one in from the browser's dev tools.
+ *
+ * Returns { quest, visited } or throws an Error with a friendly message.
+ */
+export function parseBackupText(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(t('backup.notJson'));
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(t('backup.notBackup'));
+  }
+
+  if (data.app === BACKUP_APP) {
+    if (data.format !== BACKUP_FORMAT) {
+      throw new Error(t('backup.newerVersion'));
+    }
+    if (!data.visited || typeof data.visited !== 'object') {
+      throw new Error(t('backup.empty'));
+    }
+    return { quest: data.quest || null, visited: data.visited };
+  }
+
+  // No header: treat it as a raw visited map.
+  return { quest: null, visited: data };
+}
+
+// ----------------------------------------------------------
+// SHARE CODE
+// ----------------------------------------------------------
+
+/**
+ * Turn a visited map into a short, URL-safe code.
+ * Format before encoding: "TQ1|harbour|woolwich:20251216+20260102:L,balmain:20251218:O"
+ * (each pool's visit days are joined with "+").
+ */
+export function encodeShareCode(questId, visited) {
+  const claims = Object.entries(onlyClaimed(visited)).map(([id, v]) => {
+    const days = [...new Set((v.visits || []).map(dateKey))].join('+');
+    return [id, days, VERIFICATION_TO_CODE[v.verification] || ''].join(':');
+  });
+
+  const plain = [SHARE_PREFIX, questId, claims.join(',')].join('|');
+  return toBase64Url(plain);
+}
+
+/**
+ * The reverse of encodeShareCode(). Accepts a bare code or a whole link
+ * containing "?import=CODE". Returns { quest, visited } or throws.
+ */
+export function decodeShareCode(input) {
+  let code = String(input || '').trim();
+
+  // Pasted a whole link? Pull the code out of it.
+  const match = code.match(/[?&#]import=([A-Za-z0-9_-]+)/);
+  if (match) code = match[1];
+
+  let plain;
+  try {
+    plain = fromBase64Url(code);
+  } catch {
+    throw new Error(t('backup.badCode'));
+  }
+
+  const [prefix, quest, claimsPart = ''] = plain.split('|');
+  if (prefix !== SHARE_PREFIX || !quest) {
+    throw new Error(t('backup.badCode'));
+  }
+
+  const visited = {};
+  for (const item of claimsPart.split(',').filter(Boolean)) {
+    const [id, keys = '', flag] = item.split(':');
+    if (!id) continue;
+
+    visited[id] = { done: true, visits: keys.split('+').map(dateFromKey).filter(Boolean) };
+    if (CODE_TO_VERIFICATION[flag]) visited[id].verification = CODE_TO_VERIFICATION[flag];
+  }
+
+  return { quest, visited };
+}
+
+/** The link that opens the app and offers to import `code`. */
+export function shareLinkFor(code) {
+  // Relative to the app's folder, not the current route (see router.js).
+  const url = new URL('./', document.baseURI);
+  url.searchParams.set('import', code);
+  return url.toString();
+}
+
+// ----------------------------------------------------------
+// VALIDATE + PREVIEW + MERGE
+// ----------------------------------------------------------
+
+/**
+ * Check incoming claims against the current quest's pools.
+ * Claims for pools that don't exist (or junk entries) are skipped.
+ * Backups made before visit lists existed are converted on the way in.
+ *
+ * Returns { visited, skipped: [id, ...] }
+ */
+export function validateAgainstPools(incoming, pools) {
+  const known = new Set(pools.map(p => p.id));
+  const visited = {};
+  const skipped = [];
+
+  for (const [id, entry] of Object.entries(normalizeVisitedMap(incoming))) {
+    if (!entry.done) continue;
+
+    if (!known.has(id)) {
+      skipped.push(id);
+      continue;
+    }
+    visited[id] = entry;
+  }
+
+  return { visited, skipped };
+}
+
+/**
+ * Compare what's on this device with what's being imported.
+ *
+ * Returns {
+ *   added:     [id, ...]                    claimed only in the import
+ *   conflicts: [{ id, here, there }, ...]   claimed in both, on different days
+ *   same:      [id, ...]                    claimed in both, on the same day
+ * }
+ * `here` and `there` are each side's first visit.
+ */
+export function previewMerge(current, incoming) {
+  const added = [];
+  const conflicts = [];
+  const same = [];
+
+  for (const [id, there] of Object.entries(incoming)) {
+    const here = current[id];
+    if (!here?.done) {
+      added.push(id);
+    } else if (dateKey(firstVisit(here)) !== dateKey(firstVisit(there))) {
+      conflicts.push({ id, here: firstVisit(here), there: firstVisit(there) });
+    } else {
+      same.push(id);
+    }
+  }
+
+  return { added, conflicts, same };
+}
+
+/**
+ * Merge two visited maps. When both have a claim for the same pool, the
+ * visits are combined, and the details (how it was claimed, the riddle…)
+ * come from the EARLIEST claim (that's when the treasure was really found).
+ */
+export function mergeVisited(current, incoming) {
+  const result = { ...onlyClaimed(current) };
+
+  for (const [id, there] of Object.entries(incoming)) {
+    const here = result[id];
+    if (!here) {
+      result[id] = there;
+      continue;
+    }
+
+    const hereFirst = visitDate(firstVisit(here));
+    const thereFirst = visitDate(firstVisit(there));
+    const earliest = thereFirst && (!hereFirst || thereFirst < hereFirst) ? there : here;
+
+    result[id] = { ...earliest, visits: mergeVisits(here.visits, there.visits) };
+  }
+
+  return result;
+}
+
+// ----------------------------------------------------------
+// INTERNAL HELPERS
+// ----------------------------------------------------------
+
+// Both lists together, oldest first. A day-only visit (from a share code)
+// is dropped when the same day already has a visit with an exact time.
+function mergeVisits(a = [], b = []) {
+  const all = sortVisits([...a, ...b]);
+  const timedDays = new Set(all.filter(hasVisitTime).map(dateKey));
+  return all.filter(v => hasVisitTime(v) || !timedDays.has(dateKey(v)));
+}
+
+function onlyClaimed(visited) {
+  const result = {};
+  for (const [id, v] of Object.entries(visited || {})) {
+    if (v?.done) result[id] = v;
+  }
+  return result;
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(code) {
+  if (!/^[A-Za-z0-9_-]+$/.test(code)) throw new Error('Not a share code');
+  const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
@@ -0,0 +1,176 @@
+// certificate.js
+// ==============
+// Draws the "quest complete" certificate on a canvas, ready to save as a
+// PNG and frame: the kid's name, Captain Raymond, every stamp and the day
+// the last treasure was found.
+//
+// Nothing here reads progress: print.js passes in everything it needs.
+
+import { t } from './i18n.js';
+
+// A4 landscape shape, big enough to print sharply.
+const WIDTH = 2000;
+const HEIGHT = 1414;
+
+const INK = '#1F2732';
+const GOLD = '#BD9A4C';
+const GOLD_DEEP = '#8C6A2F';
+const FONT = 'Nunito, system-ui, sans-serif';
+
+/** Load an image, resolving with null (not an error) if it won't load. */
+function loadImage(src) {
+  return new Promise(resolve => {
+    if (!src) {
+      resolve(null);
+      return;
+    }
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+// Draw `img` centred in a box, keeping its shape.
+function drawContained(ctx, img, x, y, w, h) {
+  const scale = Math.min(w / img.width, h / img.height);
+  const dw = img.width * scale;
+  const dh = img.height * scale;
+  ctx.drawImage(img, x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+}
+
+// Shrink the font until `text` fits in `maxWidth`.
+function fitText(ctx, text, weight, size, maxWidth) {
+  let px = size;
+  ctx.font = `${weight} ${px}px ${FONT}`;
+  while (px > 20 && ctx.measureText(text).width > maxWidth) {
+    px -= 4;
+    ctx.font = `${weight} ${px}px ${FONT}`;
+  }
+}
+
+/**
+ * Draw the certificate. Resolves with the canvas.
+ *
+ *   name        the crew member's name
+ *   questTitle  e.g. "Harbour Pools"
+ *   mascotSrc   Captain Raymond's picture
+ *   stamps      [stampSrc, ...] one per pool
+ *   completedOn display date of the last claim, e.g. "02/03/2026"
+ */
+export async function drawCertificate({ name, questTitle, mascotSrc, stamps, completedOn }) {
+  // The page font may still be loading; the canvas won't wait for it.
+  try {
+    await document.fonts?.load(`800 40px ${FONT}`);
+  } catch (e) {}
+
+  const [mascot, ...stampImages] = await Promise.all([
+    loadImage(mascotSrc),
+    ...stamps.map(loadImage)
+  ]);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext('2d');
+
+  // Parchment
+  const paper = ctx.createRadialGradient(WIDTH / 2, HEIGHT / 2, 200, WIDTH / 2, HEIGHT / 2, WIDTH * 0.7);
+  paper.addColorStop(0, '#FFF9EA');
+  paper.addColorStop(1, '#F0DFB4');
+  ctx.fillStyle = paper;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  // Double gold border
+  ctx.strokeStyle = GOLD_DEEP;
+  ctx.lineWidth = 14;
+  ctx.strokeRect(40, 40, WIDTH - 80, HEIGHT - 80);
+  ctx.strokeStyle = GOLD;
+  ctx.lineWidth = 4;
+  ctx.strokeRect(70, 70, WIDTH - 140, HEIGHT - 140);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  const middle = WIDTH / 2;
+
+  // Heading
+  ctx.fillStyle = GOLD_DEEP;
+  ctx.font = `800 96px ${FONT}`;
+  ctx.fillText(t('certificate.heading'), middle, 220);
+
+  ctx.fillStyle = INK;
+  ctx.font = `600 44px ${FONT}`;
+  ctx.fillText(t('certificate.certify'), middle, 310);
+
+  fitText(ctx, name, 800, 130, WIDTH - 700);
+  ctx.fillText(name, middle, 450);
+
+  const foundAll = t('certificate.foundAll', { quest: questTitle });
+  fitText(ctx, foundAll, 600, 44, WIDTH - 500);
+  ctx.fillText(foundAll, middle, 530);
+
+  // Stamps: as many rows as needed, centred
+  const usable = stampImages.filter(Boolean);
+  if (usable.length) {
+    const areaLeft = 460;
+    const areaWidth = WIDTH - areaLeft - 160;
+    const areaTop = 590;
+    const areaHeight = 480;
+
+    const perRow = Math.min(usable.length, Math.max(4, Math.ceil(Math.sqrt(usable.length * 2.5))));
+    const rows = Math.ceil(usable.length / perRow);
+    const size = Math.min(areaWidth / perRow, areaHeight / rows) - 20;
+
+    usable.forEach((img, i) => {
+      const row = Math.floor(i / perRow);
+      const inRow = Math.min(perRow, usable.length - row * perRow);
+      const rowLeft = areaLeft + (areaWidth - inRow * (size + 20)) / 2;
+      const x = rowLeft + (i % perRow) * (size + 20) + 10;
+      const y = areaTop + (areaHeight - rows * (size + 20)) / 2 + row * (size + 20) + 10;
+      drawContained(ctx, img, x, y, size, size);
+    });
+  }
+
+  // Captain Raymond, bottom left
+  if (mascot) drawContained(ctx, mascot, 110, HEIGHT - 560, 380, 460);
+
+  // Date + signature
+  ctx.fillStyle = INK;
+  ctx.font = `700 40px ${FONT}`;
+  ctx.fillText(t('certificate.completedOn', { date: completedOn }), middle + 150, HEIGHT - 210);
+
+  ctx.strokeStyle = INK;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(middle - 100, HEIGHT - 150);
+  ctx.lineTo(middle + 400, HEIGHT - 150);
+  ctx.stroke();
+
+  ctx.font = `italic 600 36px ${FONT}`;
+  ctx.fillText(t('certificate.signature'), middle + 150, HEIGHT - 105);
+
+  return canvas;
+}
+
+/** Save a canvas as a PNG download called `fileName`. */
+export function downloadCanvas(canvas, fileName) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error(t('certificate.failed')));
+        return;
+      }
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      // Give the browser a moment to start the download before freeing it.
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      resolve();
+    }, 'image/png');
+  });
+}
@@ -0,0 +1,42 @@
+// crew.js
+// =======
+// Small display helpers for crew profiles (who is playing).
+// The profiles themselves are saved by storage.js.
+
+import { readActiveProfile } from './storage.js';
+import { t } from './i18n.js';
+import { escapeHtml } from './notices.js';
+
+// Avatars a kid can pick from. Emoji keep it simple: no extra image files.
+export const CREW_AVATARS = ['🏴‍☠️', '🦜', '🐙', '🦈', '🐬', '🐠', '🦀', '🐢', '🧜', '⚓'];
+
+/** "Santiago" → "Santiago’s Treasure Quest" */
+export function questTitleFor(profile) {
+  return t('crew.questTitle', { name: profile.name });
+}
+
+/**
+ * Put the active crew member's name into the page header and <title>.
+ * `suffix` is the bit after the dash in the tab title, e.g. t('title.map').
+ */
+export function applyCrewTitles(suffix) {
+  const profile = readActiveProfile();
+  const title = questTitleFor(profile);
+
+  document.title = suffix ? `${title} — ${suffix}` : title;
+
+  // One heading per screen (map, list + passport)
+  document.querySelectorAll('.crew-title').forEach(heading => {
+    heading.textContent = title;
+  });
+
+  return profile;
+}
+
+/**
+ * Replace "{name}" in a piece of copy with the crew member's name. The
+ * result is HTML: names are typed by kids, so the name is escaped.
+ */
+export function withCrewName(text, profile) {
+  return String(text || '').replace(/\{name\}/g, () => escapeHtml(profile?.name || t('crew.firstMate')));
+}
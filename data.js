@@ -1,29 +1,377 @@
 // data.js
 // =======
-// Loads the pools list from pools.json.
+// Loads the quest manifest (quests.json) and each quest's pools list.
 //
 // IMPORTANT:
-// We keep *all* useful fields (id, name, suburb, stamp, etc.) so every page
-// can key storage by a stable pool.id and render the right stamp artwork.
+// We keep *all* useful fields (id, name, suburb, stamp, facilities, etc.) so
+// every page can key storage by a stable pool.id and render the right stamp
+// artwork.
 
-export async function loadPools() {
-  const response = await fetch('pools.json', { cache: 'no-store' });
+import {
+  DEFAULT_QUEST_ID,
+  readActiveQuestId,
+  writeActiveQuestId,
+  readPoolsCache,
+  writePoolsCache,
+  readEditorDraft
+} from './storage.js';
+import { parseRiddle } from './riddles.js';
+import { parseFacilities } from './facilities.js';
+import { t, formatDate, localized } from './i18n.js';
+import { parseBadges } from './achievements.js';
 
-  if (!response.ok) {
-    throw new Error(`Failed to load pools.json (status ${response.status})`);
+// How close (in metres) you need to be to claim a pool when pools.json
+// doesn't give that pool its own "radius".
+export const DEFAULT_CLAIM_RADIUS_M = 250;
+
+// Stamp used when a pool has no stamp, or its image is missing.
+export const FALLBACK_STAMP = 'assets/chest.png';
+
+// The quest editor (editor.html) opens the app with ?preview=<pools file>
+// to try out its draft. The tab keeps showing the draft until it's closed
+// (or opened with ?preview=off).
+const PREVIEW_KEY = 'poolsPreview';
+
+// Used if quests.json is missing or broken, so the original harbour
+// quest always works.
+const FALLBACK_QUEST = {
+  id: DEFAULT_QUEST_ID,
+  title: { en: 'Sydney Harbour Pools', es: 'Piscinas del puerto de Sídney' },
+  mascot: 'assets/raymond-pirate.png',
+  pools: 'pools.json',
+  achievements: 'achievements.json',
+  center: [-33.8688, 151.2093],
+  zoom: 11,
+  finale: {
+    title: { en: 'ALL TREASURE FOUND!', es: '¡TODO EL TESORO ENCONTRADO!' },
+    subtitle: { en: 'Captain Raymond is proud of you, {name}!', es: '¡El Capitán Raymond está muy orgulloso de ti, {name}!' }
+  }
+};
+
+// One quests.json entry, with its text in the current language.
+function parseQuest(q) {
+  return {
+    id: String(q.id),
+    title: localized(q.title) || q.id,
+    mascot: q.mascot || FALLBACK_QUEST.mascot,
+    pools: q.pools,
+    achievements: q.achievements || null,
+    center: Array.isArray(q.center) && q.center.length === 2
+      ? q.center.map(Number)
+      : FALLBACK_QUEST.center,
+    zoom: Number(q.zoom) || FALLBACK_QUEST.zoom,
+    finale: {
+      title: localized(q.finale?.title || FALLBACK_QUEST.finale.title),
+      subtitle: localized(q.finale?.subtitle || FALLBACK_QUEST.finale.subtitle)
+    }
+  };
+}
+
+/**
+ * Load the list of quests from quests.json.
+ * Each quest looks like:
+ *   { id, title, mascot, pools: "pools.json", achievements: "achievements.json",
+ *     center: [lat, lng], zoom, finale: { title, subtitle } }
+ * `center`/`zoom` are where the overview map starts, and "{name}" in the
+ * finale text is replaced with the crew member's name. The title and
+ * finale can be given per language (see localized() in i18n.js).
+ */
+export async function loadQuests() {
+  let raw;
+  try {
+    const response = await fetch('quests.json', { cache: 'no-store' });
+    if (!response.ok) throw new Error(`status ${response.status}`);
+    raw = await response.json();
+  } catch (e) {
+    console.warn('Could not load quests.json, using the harbour quest only', e);
+    return [parseQuest(FALLBACK_QUEST)];
+  }
+
+  const quests = (Array.isArray(raw) ? raw : [])
+    .filter(q => q && q.id && q.pools)
+    .map(parseQuest);
+
+  return quests.length ? quests : [parseQuest(FALLBACK_QUEST)];
+}
+
+/**
+ * Load the manifest and pick the quest being played.
+ * Returns { quests, quest }.
+ */
+export async function loadActiveQuest() {
+  const quests = await loadQuests();
+  const activeId = readActiveQuestId();
+  const quest = quests.find(q => q.id === activeId) || quests[0];
+
+  // If the saved quest was removed from the manifest, switch storage over
+  // to the quest we actually picked so progress is saved in the right place.
+  if (quest.id !== activeId) writeActiveQuestId(quest.id);
+
+  return { quests, quest };
+}
+
+/**
+ * Load a quest's badges (see achievements.js for the rule format).
+ * Badges are a bonus, so any problem just means "no badges".
+ */
+export async function loadAchievements(file) {
+  if (!file) return [];
+  try {
+    const response = await fetch(file, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`status ${response.status}`);
+    return parseBadges(await response.json());
+  } catch (e) {
+    console.warn(`Could not load ${file}`, e);
+    return [];
+  }
+}
+
+// ----------------------------------------------------------
+// POOLS
+// ----------------------------------------------------------
+
+/**
+ * Load one quest's pools file (defaults to the harbour pools.json).
+ *
+ * Every entry is checked by validatePools(): bad entries are repaired or
+ * dropped, and each problem is reported so the page can show a banner.
+ * If the file can't be fetched or isn't valid JSON, we fall back to the
+ * last good list we saved.
+ *
+ * Returns { pools, problems } and only throws when there is nothing at
+ * all to show.
+ */
+export async function loadPools(file = 'pools.json') {
+  const preview = previewDraft(file);
+  if (preview) return preview;
+
+  let raw;
+  try {
+    const response = await fetch(file, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Failed to load ${file} (status ${response.status})`);
+    }
+    raw = await response.json();
+  } catch (err) {
+    const cached = readPoolsCache(file);
+    if (!cached) throw err;
+
+    return {
+      pools: cached.pools,
+      problems: [{
+        index: null,
+        id: null,
+        field: null,
+        message: t('notices.cachedList', { file, error: err.message, date: formatDate(new Date(cached.savedAt)) }),
+        fix: 'cached'
+      }]
+    };
+  }
+
+  const { pools, problems } = validatePools(raw);
+  if (!pools.length) {
+    const cached = readPoolsCache(file);
+    if (!cached) throw new Error(`${file} has no usable pools in it`);
+    problems.push({
+      index: null,
+      id: null,
+      field: null,
+      message: t('notices.noUsablePools', { file }),
+      fix: 'cached'
+    });
+    return { pools: cached.pools, problems };
+  }
+
+  writePoolsCache(file, pools);
+  return { pools, problems };
+}
+
+/**
+ * Check the raw JSON from a pools file.
+ *
+ * Returns { pools, problems }, where each problem looks like:
+ *   { index: 2, id: 'woolwich', field: 'lat', message: '"abc" is not a number', fix: 'dropped' }
+ * `fix` says what we did about it: 'dropped' (entry skipped) or 'repaired'.
+ */
+export function validatePools(raw) {
+  const pools = [];
+  const problems = [];
+  const seenIds = new Set();
+
+  if (!Array.isArray(raw)) {
+    problems.push({
+      index: null,
+      id: null,
+      field: null,
+      message: 'The pools file should be a list: [ { … }, { … } ]',
+      fix: 'dropped'
+    });
+    return { pools, problems };
   }
 
-  const raw = await response.json();
-
-  // Be defensive: coerce lat/lng into numbers so Leaflet is happy.
-  return (raw || []).map(p => ({
-    id: p.id,
-    name: p.name,
-    suburb: p.suburb,
-    location: p.location,
-    area: p.area,
-    lat: Number(p.lat),
-    lng: Number(p.lng),
-    stamp: p.stamp
+  raw.forEach((entry, index) => {
+    const note = (field, message, fix) =>
+      problems.push({ index, id: entry?.id ?? null, field, message, fix });
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      note(null, 'is not a pool { … }', 'dropped');
+      return;
+    }
+
+    // --- Fields we can't do without: drop the entry ---
+
+    const id = typeof entry.id === 'string' ? entry.id.trim() : '';
+    if (!id) {
+      note('id', 'is missing', 'dropped');
+      return;
+    }
+    if (seenIds.has(id)) {
+      note('id', `"${id}" is already used by an earlier pool`, 'dropped');
+      return;
+    }
+
+    const lat = toCoordinate(entry.lat, 90);
+    if (lat === null) {
+      note('lat', `${JSON.stringify(entry.lat)} is not a latitude`, 'dropped');
+      return;
+    }
+
+    const lng = toCoordinate(entry.lng, 180);
+    if (lng === null) {
+      note('lng', `${JSON.stringify(entry.lng)} is not a longitude`, 'dropped');
+      return;
+    }
+
+    seenIds.add(id);
+
+    // --- Fields we can patch up: repair and keep going ---
+
+    let name = entry.name;
+    if (typeof name !== 'string' || !name.trim()) {
+      note('name', `is missing, using "${id}"`, 'repaired');
+      name = id;
+    }
+
+    let suburb = entry.suburb;
+    if (suburb != null && typeof suburb !== 'string') {
+      note('suburb', 'should be text', 'repaired');
+      suburb = '';
+    }
+
+    let stamp = entry.stamp;
+    if (typeof stamp !== 'string' || !stamp.trim()) {
+      note('stamp', 'is missing, using the treasure chest', 'repaired');
+      stamp = FALLBACK_STAMP;
+    }
+
+    let radius = DEFAULT_CLAIM_RADIUS_M;
+    if (entry.radius != null) {
+      if (Number(entry.radius) > 0) {
+        radius = Number(entry.radius);
+      } else {
+        note('radius', `${JSON.stringify(entry.radius)} is not a distance, using ${DEFAULT_CLAIM_RADIUS_M} m`, 'repaired');
+      }
+    }
+
+    // Riddles are optional; a broken one is dropped, not the whole pool.
+    let riddle = null;
+    if (entry.riddle != null) {
+      riddle = parseRiddle(entry.riddle);
+      if (!riddle) note('riddle', 'needs a "question" and an "answer", so it was left out', 'repaired');
+    }
+
+    // Facilities are optional too; bad values are left out one by one.
+    const { facilities, problems: facilityProblems } = parseFacilities(entry.facilities);
+    facilityProblems.forEach(message => note('facilities', message, 'repaired'));
+
+    pools.push({
+      id,
+      name,
+      suburb,
+      location: entry.location,
+      area: entry.area,
+      lat,
+      lng,
+      stamp,
+      radius,
+      riddle,
+      facilities
+    });
+  });
+
+  return { pools, problems };
+}
+
+/**
+ * Make sure every pool's stamp image actually loads. Missing ones are
+ * swapped for the treasure chest (in place) and reported.
+ *
+ * Done after the first render, so big stamp images don't delay the app.
+ * Returns the list of problems (empty when every stamp is fine).
+ */
+export async function checkStampImages(pools) {
+  const problems = [];
+
+  await Promise.all(pools.map(async (p, index) => {
+    if (p.stamp === FALLBACK_STAMP) return;
+    if (await imageLoads(p.stamp)) return;
+
+    problems.push({
+      index,
+      id: p.id,
+      field: 'stamp',
+      message: `image "${p.stamp}" wasn’t found, using the treasure chest`,
+      fix: 'repaired'
+    });
+    p.stamp = FALLBACK_STAMP;
   }));
+
+  return problems;
+}
+
+// The editor's draft of `file` as { pools, problems }, when this tab is
+// previewing it (see PREVIEW_KEY). Never saved as the last good list.
+function previewDraft(file) {
+  let previewing = null;
+  try {
+    const asked = new URLSearchParams(window.location.search).get('preview');
+    if (asked === 'off') sessionStorage.removeItem(PREVIEW_KEY);
+    else if (asked) sessionStorage.setItem(PREVIEW_KEY, asked);
+    previewing = sessionStorage.getItem(PREVIEW_KEY);
+  } catch (e) {}
+  if (previewing !== file) return null;
+
+  const draft = readEditorDraft(file);
+  if (!draft) return null;
+
+  const { pools, problems } = validatePools(draft.pools);
+  if (!pools.length) return null;
+
+  problems.unshift({
+    index: null,
+    id: null,
+    field: null,
+    message: t('notices.previewing', { file, date: formatDate(new Date(draft.savedAt)) }),
+    fix: 'preview'
+  });
+  return { pools, problems };
+}
+
+// A number within ±limit, or null. Rejects blanks ("" would become 0).
+function toCoordinate(value, limit) {
+  if (value === '' || value === null || typeof value === 'boolean') return null;
+  const num = Number(value);
+  return Number.isFinite(num) && Math.abs(num) <= limit ? num : null;
+}
+
+// Resolves true/false. Gives up (and assumes it's fine) after a while,
+// so a slow connection never blocks anything.
+function imageLoads(src) {
+  return new Promise(resolve => {
+    const img = new Image();
+    const timer = setTimeout(() => resolve(true), 10000);
+    img.onload = () => { clearTimeout(timer); resolve(true); };
+    img.onerror = () => { clearTimeout(timer); resolve(false); };
+    img.src = src;
+  });
 }
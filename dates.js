@@ -0,0 +1,106 @@
+// dates.js
+// ========
+// Helpers for the visit dates stored with each claim.
+//
+// Each claimed pool keeps a list of visits, oldest first. A visit is an
+// ISO string: a full timestamp ("2025-12-16T03:04:05.000Z") when we know
+// the exact time, or just a day ("2025-12-16") when we don't (visits
+// migrated from old saves, or added by a grown-up in parent mode).
+//
+// Older saves stored a display date like "16/12/2025" (en-AU) instead;
+// dateKey() still copes with that shape too.
+//
+// Showing a date to the crew is done by formatDate() in i18n.js, so it
+// comes out the way their language writes dates.
+
+// "2025-12-16" (a day with no time)
+const DAY_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+// "2025-12-16T03:04:05.000Z" (or any other full ISO timestamp)
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}T/;
+
+// Turn a stored date into a sortable key (YYYYMMDD), in local time.
+export function dateKey(d) {
+  if (!d) return '';
+  // A timestamp: use the local day (a 7am Sydney swim is still "today").
+  if (TIMESTAMP.test(d)) {
+    const date = new Date(d);
+    if (Number.isNaN(date.getTime())) return '';
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('');
+  }
+  // If already ISO.
+  if (DAY_ONLY.test(d)) return d.replace(/-/g, '');
+  // If AU format DD/MM/YYYY.
+  if (/^\d{2}\/\d{2}\/\d{4}$/.test(d)) {
+    const [day, month, year] = d.split('/');
+    return `${year}${month}${day}`;
+  }
+  // Fallback: strip non-digits.
+  return String(d).replace(/\D/g, '');
+}
+
+// The reverse of dateKey(): YYYYMMDD → YYYY-MM-DD (a day-only visit).
+export function dateFromKey(key) {
+  if (!/^\d{8}$/.test(key || '')) return null;
+  return `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}`;
+}
+
+// ----------------------------------------------------------
+// VISITS
+// ----------------------------------------------------------
+
+/** Is `s` something we can store as a visit? */
+export function isVisit(s) {
+  return typeof s === 'string' && (DAY_ONLY.test(s) || TIMESTAMP.test(s)) && !!visitDate(s);
+}
+
+/** Does this visit know the time of day (not just the day)? */
+export function hasVisitTime(visit) {
+  return TIMESTAMP.test(visit || '');
+}
+
+/**
+ * A visit as a Date. Day-only visits count as midday local time,
+ * so they land on the right day whatever the time zone.
+ */
+export function visitDate(visit) {
+  if (!visit) return null;
+
+  let date;
+  if (DAY_ONLY.test(visit)) {
+    const [y, m, d] = visit.split('-').map(Number);
+    date = new Date(y, m - 1, d, 12);
+  } else {
+    date = new Date(visit);
+  }
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/** Sort visits oldest first and drop duplicates (returns a new array). */
+export function sortVisits(visits) {
+  return [...new Set(visits)].sort((a, b) => visitDate(a) - visitDate(b));
+}
+
+/** The first visit (the claim) of a visited-map entry, or null. */
+export function firstVisit(v) {
+  return v?.visits?.[0] || null;
+}
+
+/** The most recent visit of a visited-map entry, or null. */
+export function lastVisit(v) {
+  return v?.visits?.length ? v.visits[v.visits.length - 1] : null;
+}
+
+/**
+ * The claimed pools, in the order they were claimed (how the passport
+ * and the overview's voyage trail list them). Returns a new array.
+ */
+export function inClaimOrder(pools, visited) {
+  const claimTime = p => visitDate(firstVisit(visited[p.id]))?.getTime() ?? 0;
+  return pools
+    .filter(p => visited[p.id]?.done)
+    .sort((a, b) => claimTime(a) - claimTime(b));
+}
@@ -0,0 +1,542 @@
+// editor.js
+// =========
+// The quest editor (editor.html), for grown-ups putting together a pools
+// file: click the map to drop a pool, drag its marker to move it, fill in
+// its details and stamp, put the pools in order, then download the file
+// (or try it out in the app first).
+//
+// The work in progress is saved as a draft (see readEditorDraft() in
+// storage.js), so it survives a reload and the app can preview it (see
+// previewDraft() in data.js). The draft holds the file's own entries, so
+// anything the editor doesn't show (facilities, riddles, …) is kept.
+
+import { loadQuests, validatePools, DEFAULT_CLAIM_RADIUS_M, FALLBACK_STAMP } from './data.js';
+import { showFatalError } from './notices.js';
+import { t, formatDateTime, translatePage } from './i18n.js';
+import { applyTheme } from './themes.js';
+import { TILE_URL, registerServiceWorker } from './offline.js';
+import {
+  readActiveQuestId,
+  writeActiveQuestId,
+  readEditorDraft,
+  writeEditorDraft,
+  clearEditorDraft,
+  flush
+} from './storage.js';
+
+// The stamp art to pick from. A web page can't list a folder, so keep this
+// in step with assets/ (and SHELL_FILES in sw.js).
+const STAMP_CHOICES = [
+  'assets/anchor.png',
+  'assets/chest.png',
+  'assets/compass.png',
+  'assets/flag.png',
+  'assets/map.png',
+  'assets/pouch.png',
+  'assets/scroll.png',
+  'assets/spyglass.png',
+  'assets/stamp-anchor.png',
+  'assets/stamp-compass.png',
+  'assets/stamp-flag.png',
+  'assets/stamp-map.png',
+  'assets/stamp-scroll.png',
+  'assets/stamp-telescope.png',
+  'assets/stamp-treasure-chest.png',
+  'assets/stamp-treasure-pouch.png'
+];
+
+// Six decimal places is about 10 cm: plenty to find a pool with.
+const COORD_DECIMALS = 6;
+
+// Pool ids end up in links (./pool/woolwich), so keep them plain.
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const form       = document.getElementById('editorForm');
+const listEl     = document.getElementById('editorList');
+const countEl    = document.getElementById('editorCount');
+const problemsEl = document.getElementById('editorProblems');
+const statusEl   = document.getElementById('editorStatus');
+const stampsEl   = document.getElementById('editorStamps');
+
+let quest = null;      // the quest being edited (see quests.json)
+let entries = [];      // its pools, as they'll be written to the file
+let selected = null;   // index of the pool in the form, or null
+let map = null;
+let markerLayer = null;
+
+// ----------------------------------------------------------
+// THE ENTRIES
+// ----------------------------------------------------------
+
+function roundCoordinate(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? Number(num.toFixed(COORD_DECIMALS)) : value;
+}
+
+// [lat, lng] for the map, or null while either is missing.
+function coordinates(entry) {
+  if (entry.lat == null || entry.lat === '' || entry.lng == null || entry.lng === '') return null;
+  const lat = Number(entry.lat);
+  const lng = Number(entry.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+}
+
+// Entries as read from a file: blank gaps dropped, coordinates rounded.
+// Returns { list, dropped } where `dropped` counts what was left out.
+function tidyEntries(raw) {
+  const list = raw
+    .filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry))
+    .map(entry => ({
+      ...entry,
+      ...(entry.lat != null && entry.lat !== '' ? { lat: roundCoordinate(entry.lat) } : {}),
+      ...(entry.lng != null && entry.lng !== '' ? { lng: roundCoordinate(entry.lng) } : {})
+    }));
+  return { list, dropped: raw.length - list.length };
+}
+
+// "new-pool", "new-pool-2", … whichever isn't taken yet.
+function unusedId(base) {
+  const taken = new Set(entries.map(entry => entry.id));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
+
+// Everything wrong with the entries, as { index, message }.
+function findProblems() {
+  const found = [];
+
+  // The same checks the app makes when it loads the file…
+  for (const p of validatePools(entries).problems) {
+    const field = p.field ? `${p.field}: ` : '';
+    found.push({ index: p.index, message: `${field}${p.message}` });
+  }
+
+  // …plus ids that would make awkward links.
+  entries.forEach((entry, index) => {
+    if (typeof entry.id === 'string' && entry.id && !ID_PATTERN.test(entry.id)) {
+      found.push({ index, message: t('editor.idFormat', { id: entry.id }) });
+    }
+  });
+
+  return found.sort((a, b) => (a.index ?? -1) - (b.index ?? -1));
+}
+
+// Save the draft and redraw everything.
+function saveDraft() {
+  writeEditorDraft(quest.pools, entries);
+  render();
+}
+
+// ----------------------------------------------------------
+// DRAWING
+// ----------------------------------------------------------
+
+function poolLabel(entry, index) {
+  return entry.name || entry.id || t('editor.untitled', { number: index + 1 });
+}
+
+function renderProblems(problems) {
+  problemsEl.innerHTML = '';
+  for (const p of problems) {
+    const li = document.createElement('li');
+    li.textContent = p.index === null
+      ? p.message
+      : `${t('notices.pool', { number: p.index + 1 })} · ${p.message}`;
+    problemsEl.appendChild(li);
+  }
+}
+
+function renderList(problems) {
+  const broken = new Set(problems.map(p => p.index));
+
+  countEl.textContent = t('editor.count', { count: entries.length, file: quest.pools });
+  listEl.innerHTML = '';
+
+  entries.forEach((entry, index) => {
+    const li = document.createElement('li');
+    li.className = 'editor-pool';
+    li.classList.toggle('selected', index === selected);
+    li.classList.toggle('broken', broken.has(index));
+
+    li.innerHTML = `
+      <button class="editor-pool-name" type="button" data-action="select"></button>
+      <button class="editor-pool-btn" type="button" data-action="up" aria-label="${t('editor.moveUp')}" title="${t('editor.moveUp')}">↑</button>
+      <button class="editor-pool-btn" type="button" data-action="down" aria-label="${t('editor.moveDown')}" title="${t('editor.moveDown')}">↓</button>
+      <button class="editor-pool-btn" type="button" data-action="remove" aria-label="${t('editor.remove')}" title="${t('editor.remove')}">✕</button>
+    `;
+    li.querySelector('[data-action="select"]').textContent = poolLabel(entry, index);
+    li.querySelector('[data-action="up"]').disabled = index === 0;
+    li.querySelector('[data-action="down"]').disabled = index === entries.length - 1;
+    li.dataset.index = index;
+    listEl.appendChild(li);
+  });
+}
+
+function stampIcon(entry, isSelected) {
+  const size = isSelected ? 44 : 34;
+  return L.icon({
+    iconUrl: typeof entry.stamp === 'string' && entry.stamp ? entry.stamp : FALLBACK_STAMP,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+    className: isSelected ? 'marker-stamp editor-marker-selected' : 'marker-stamp'
+  });
+}
+
+function renderMarkers() {
+  markerLayer.clearLayers();
+
+  entries.forEach((entry, index) => {
+    const point = coordinates(entry);
+    if (!point) return;
+
+    const marker = L.marker(point, {
+      icon: stampIcon(entry, index === selected),
+      alt: poolLabel(entry, index),
+      title: poolLabel(entry, index),
+      draggable: true,
+      keyboard: true,
+      zIndexOffset: index === selected ? 1000 : 0
+    });
+
+    marker.on('click', () => selectPool(index));
+    marker.on('dragend', () => {
+      const { lat: newLat, lng: newLng } = marker.getLatLng();
+      entries[index] = { ...entries[index], lat: roundCoordinate(newLat), lng: roundCoordinate(newLng) };
+      selected = index;
+      saveDraft();
+    });
+    marker.addTo(markerLayer);
+  });
+}
+
+function renderStamps(current) {
+  stampsEl.innerHTML = '';
+  for (const src of STAMP_CHOICES) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'editor-stamp';
+    btn.dataset.stamp = src;
+    btn.title = src;
+    btn.setAttribute('aria-pressed', String(src === current));
+    btn.innerHTML = `<img src="${src}" alt="${src}">`;
+    stampsEl.appendChild(btn);
+  }
+}
+
+function renderForm() {
+  const entry = entries[selected];
+  form.hidden = !entry;
+  if (!entry) return;
+
+  form.elements.id.value = entry.id ?? '';
+  form.elements.name.value = entry.name ?? '';
+  form.elements.suburb.value = entry.suburb ?? '';
+  form.elements.lat.value = entry.lat ?? '';
+  form.elements.lng.value = entry.lng ?? '';
+  form.elements.radius.value = entry.radius ?? '';
+  form.elements.radius.placeholder = String(DEFAULT_CLAIM_RADIUS_M);
+  checkIdInput();
+  renderStamps(entry.stamp);
+}
+
+function render() {
+  const problems = findProblems();
+  renderProblems(problems);
+  renderList(problems);
+  renderMarkers();
+  renderForm();
+}
+
+function showStatus(text) {
+  statusEl.textContent = text;
+}
+
+// ----------------------------------------------------------
+// EDITING
+// ----------------------------------------------------------
+
+function selectPool(index, { pan = false } = {}) {
+  selected = index;
+  render();
+
+  const point = entries[index] && coordinates(entries[index]);
+  if (pan && point) map.panTo(point);
+}
+
+function addPool(latlng) {
+  entries.push({
+    id: unusedId('new-pool'),
+    name: '',
+    suburb: '',
+    lat: roundCoordinate(latlng.lat),
+    lng: roundCoordinate(latlng.lng),
+    stamp: STAMP_CHOICES[entries.length % STAMP_CHOICES.length],
+    radius: DEFAULT_CLAIM_RADIUS_M
+  });
+  selected = entries.length - 1;
+  saveDraft();
+  form.elements.name.focus();
+}
+
+function movePool(index, step) {
+  const to = index + step;
+  if (to < 0 || to >= entries.length) return;
+  [entries[index], entries[to]] = [entries[to], entries[index]];
+  if (selected === index) selected = to;
+  else if (selected === to) selected = index;
+  saveDraft();
+}
+
+function removePool(index) {
+  if (!window.confirm(t('editor.confirmRemove', { pool: poolLabel(entries[index], index) }))) return;
+  entries.splice(index, 1);
+  if (selected === index) selected = null;
+  else if (selected > index) selected--;
+  saveDraft();
+}
+
+// Another pool already using this id? (Each pool's progress is saved under it.)
+function checkIdInput() {
+  const input = form.elements.id;
+  const id = input.value.trim();
+  const taken = entries.some((entry, index) => index !== selected && entry.id === id);
+
+  input.setCustomValidity(
+    taken ? t('editor.idTaken', { id })
+      : id && !ID_PATTERN.test(id) ? t('editor.idFormat', { id })
+      : ''
+  );
+  return !taken;
+}
+
+function onFormChange(e) {
+  const input = e.target;
+  const entry = entries[selected];
+  if (!entry || !input.name) return;
+
+  const value = input.value.trim();
+  const changes = {};
+
+  switch (input.name) {
+    case 'id':
+      // Taken ids aren't saved: the input says why.
+      if (!checkIdInput()) {
+        input.reportValidity();
+        return;
+      }
+      changes.id = value;
+      break;
+    case 'lat':
+    case 'lng':
+      changes[input.name] = value === '' ? '' : roundCoordinate(value);
+      break;
+    case 'radius':
+      changes.radius = value === '' ? undefined : Number(value);
+      break;
+    default:
+      changes[input.name] = value;
+  }
+
+  entries[selected] = { ...entry, ...changes };
+  // A blank radius means "the usual distance" (DEFAULT_CLAIM_RADIUS_M).
+  if (entries[selected].radius === undefined) delete entries[selected].radius;
+  saveDraft();
+}
+
+// Typing a taken id says so straight away.
+function onFormInput(e) {
+  if (e.target.name === 'id') checkIdInput();
+}
+
+function onStampClick(e) {
+  const btn = e.target.closest('[data-stamp]');
+  if (!btn || !entries[selected]) return;
+  entries[selected] = { ...entries[selected], stamp: btn.dataset.stamp };
+  saveDraft();
+}
+
+function onListClick(e) {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const index = Number(btn.closest('[data-index]').dataset.index);
+
+  switch (btn.dataset.action) {
+    case 'select': selectPool(index, { pan: true }); break;
+    case 'up':     movePool(index, -1); break;
+    case 'down':   movePool(index, 1); break;
+    case 'remove': removePool(index); break;
+  }
+}
+
+// ----------------------------------------------------------
+// FILES
+// ----------------------------------------------------------
+
+// The quest's file as it is on the server (not the app's cleaned-up copy,
+// so facilities, riddles and anything newer come through untouched).
+async function fetchEntries(file) {
+  const response = await fetch(file, { cache: 'no-store' });
+  if (!response.ok) throw new Error(`Failed to load ${file} (status ${response.status})`);
+  const raw = await response.json();
+  if (!Array.isArray(raw)) throw new Error(t('editor.notAList', { file }));
+  return raw;
+}
+
+function useEntries(raw) {
+  const { list, dropped } = tidyEntries(raw);
+  entries = list;
+  selected = null;
+  if (dropped) showStatus(t('editor.droppedBlanks', { count: dropped }));
+  saveDraft();
+  fitPools();
+}
+
+function fitPools() {
+  const points = entries.map(coordinates).filter(Boolean);
+
+  if (points.length) map.fitBounds(points, { padding: [30, 30], maxZoom: 15 });
+  else map.setView(quest.center, quest.zoom);
+}
+
+async function openQuest(next) {
+  quest = next;
+  selected = null;
+
+  const draft = readEditorDraft(quest.pools);
+  if (draft) {
+    entries = draft.pools;
+    showStatus(t('editor.draftFrom', { date: formatDateTime(draft.savedAt) }));
+    render();
+    fitPools();
+    return;
+  }
+
+  try {
+    const raw = await fetchEntries(quest.pools);
+    showStatus('');
+    useEntries(raw);
+  } catch (err) {
+    // A quest whose file isn't there yet starts empty.
+    console.warn(err);
+    showStatus(t('editor.loadFailed', { file: quest.pools, error: err.message }));
+    entries = [];
+    render();
+    fitPools();
+  }
+}
+
+async function revert() {
+  if (!window.confirm(t('editor.confirmRevert', { file: quest.pools }))) return;
+  clearEditorDraft(quest.pools);
+  await openQuest(quest);
+}
+
+function download() {
+  const blob = new Blob([`${JSON.stringify(entries, null, 2)}\n`], { type: 'application/json' });
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = quest.pools.split('/').pop();
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before freeing it.
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+async function importFile(file) {
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch (err) {
+    alert(t('editor.notJson', { file: file.name }));
+    return;
+  }
+  if (!Array.isArray(raw)) {
+    alert(t('editor.notAList', { file: file.name }));
+    return;
+  }
+  if (entries.length && !window.confirm(t('editor.confirmImport', { file: file.name }))) return;
+
+  showStatus(t('editor.imported', { file: file.name }));
+  useEntries(raw);
+}
+
+// Open the app on the map, showing this draft instead of the real file.
+async function preview() {
+  if (!validatePools(entries).pools.length) {
+    alert(t('editor.nothingToPreview'));
+    return;
+  }
+
+  writeEditorDraft(quest.pools, entries);
+  if (readActiveQuestId() !== quest.id) writeActiveQuestId(quest.id);
+  await flush();
+  window.location.href = `index.html?route=map&preview=${encodeURIComponent(quest.pools)}`;
+}
+
+// ----------------------------------------------------------
+// PAGE
+// ----------------------------------------------------------
+
+function setupQuestPicker(quests) {
+  const select = document.getElementById('editorQuest');
+  select.innerHTML = '';
+  for (const q of quests) {
+    const option = document.createElement('option');
+    option.value = q.id;
+    option.textContent = q.title;
+    option.selected = q === quest;
+    select.appendChild(option);
+  }
+
+  select.addEventListener('change', () => {
+    openQuest(quests.find(q => q.id === select.value));
+  });
+}
+
+async function init() {
+  translatePage();
+  applyTheme();
+
+  const quests = await loadQuests();
+  quest = quests.find(q => q.id === readActiveQuestId()) || quests[0];
+
+  map = L.map('editorMap', { scrollWheelZoom: true }).setView(quest.center, quest.zoom);
+  L.tileLayer(TILE_URL, {
+    maxZoom: 19,
+    attribution: '&copy; OpenStreetMap'
+  }).addTo(map);
+  markerLayer = L.layerGroup().addTo(map);
+  map.on('click', (e) => addPool(e.latlng));
+
+  setupQuestPicker(quests);
+
+  form.addEventListener('change', onFormChange);
+  form.addEventListener('input', onFormInput);
+  form.addEventListener('submit', (e) => e.preventDefault());
+  stampsEl.addEventListener('click', onStampClick);
+  listEl.addEventListener('click', onListClick);
+
+  const fileInput = document.getElementById('editorImportFile');
+  document.getElementById('editorImport').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (file) importFile(file);
+  });
+  document.getElementById('editorDownload').addEventListener('click', download);
+  document.getElementById('editorPreview').addEventListener('click', preview);
+  document.getElementById('editorRevert').addEventListener('click', () => revert());
+
+  await openQuest(quest);
+}
+
+registerServiceWorker();
+init().catch(err => {
+  console.error('Error loading the quest editor', err);
+  showFatalError(err.message);
+});
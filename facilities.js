@@ -0,0 +1,127 @@
+// facilities.js
+// =============
+// What's at each pool, for planning a family outing: toilets, a kiosk,
+// shade, whether it's netted or tidal, how deep it gets…
+//
+// A pool in pools.json can carry:
+//   "facilities": {
+//     "toilets": true,
+//     "kiosk": false,
+//     "sharkNet": true,       ← netted harbour pool
+//     "tidal": false,         ← rock pool the sea washes over
+//     "shade": true,
+//     "parking": true,
+//     "pram": true,           ← pram / wheelchair friendly path
+//     "depth": [0.5, 2]       ← metres, shallowest to deepest (or just the deepest: 2)
+//   }
+// Anything left out is "don't know" and simply isn't shown.
+
+import { t, formatNumber } from './i18n.js';
+
+// The yes/no facilities, in the order they're shown.
+// `icon` goes on cards, popups and the overview's filter chips; the
+// names are "facility.<key>" messages (see messages-en.js).
+export const FACILITIES = [
+  { key: 'toilets',  icon: '🚻' },
+  { key: 'kiosk',    icon: '🍦' },
+  { key: 'shade',    icon: '⛱️' },
+  { key: 'parking',  icon: '🅿️' },
+  { key: 'pram',     icon: '👶' },
+  { key: 'sharkNet', icon: '🦈' },
+  { key: 'tidal',    icon: '🌊' }
+];
+
+// Nobody's pool is deeper than this; anything bigger is a typo.
+const MAX_DEPTH_M = 20;
+
+/**
+ * Clean up a pool's "facilities" from pools.json.
+ *
+ * Returns { facilities, problems } where facilities looks like
+ *   { toilets: true | false | null, …, depth: { min, max } | null }
+ * (null = not known) and problems is a list of messages about values
+ * that were left out.
+ */
+export function parseFacilities(raw) {
+  const facilities = { depth: null };
+  FACILITIES.forEach(f => { facilities[f.key] = null; });
+
+  const problems = [];
+  if (raw == null) return { facilities, problems };
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    problems.push('should be { "toilets": true, … }, so it was left out');
+    return { facilities, problems };
+  }
+
+  for (const { key } of FACILITIES) {
+    if (raw[key] == null) continue;
+    if (typeof raw[key] === 'boolean') facilities[key] = raw[key];
+    else problems.push(`"${key}" should be true or false, so it was left out`);
+  }
+
+  if (raw.depth != null) {
+    facilities.depth = parseDepth(raw.depth);
+    if (!facilities.depth) problems.push(`depth ${JSON.stringify(raw.depth)} isn’t in metres, so it was left out`);
+  }
+
+  const known = new Set(['depth', ...FACILITIES.map(f => f.key)]);
+  for (const key of Object.keys(raw)) {
+    if (!known.has(key)) problems.push(`"${key}" isn’t a facility we know about, so it was ignored`);
+  }
+
+  return { facilities, problems };
+}
+
+/** Does the pool have every facility in `keys` (e.g. ['toilets', 'shade'])? */
+export function hasFacilities(pool, keys) {
+  return keys.every(key => pool.facilities?.[key] === true);
+}
+
+/** The facility's name, e.g. "Toilets". */
+export function facilityLabel(key) {
+  return t(`facility.${key}`);
+}
+
+/** "0.5–2 m deep", "Up to 2 m deep", or '' when we don't know. */
+export function formatDepth(depth) {
+  if (!depth) return '';
+  const metres = (value) => formatNumber(value, Number.isInteger(value) ? 0 : 1);
+
+  if (depth.min == null || depth.min === depth.max) return t('facility.depthUpTo', { max: metres(depth.max) });
+  return t('facility.depthRange', { min: metres(depth.min), max: metres(depth.max) });
+}
+
+/**
+ * The facilities a pool has, as a row of icons for a card or popup.
+ * Returns '' when there's nothing to show.
+ */
+export function facilitiesHtml(pool) {
+  const f = pool.facilities;
+  if (!f) return '';
+
+  const items = FACILITIES
+    .filter(({ key }) => f[key] === true)
+    .map(({ key, icon }) => `<li title="${facilityLabel(key)}"><span aria-hidden="true">${icon}</span> ${facilityLabel(key)}</li>`);
+
+  const depth = formatDepth(f.depth);
+  if (depth) items.push(`<li title="${t('facility.depth')}"><span aria-hidden="true">↕️</span> ${depth}</li>`);
+
+  return items.length ? `<ul class="facilities" aria-label="${t('facility.list')}">${items.join('')}</ul>` : '';
+}
+
+// 2 → { min: null, max: 2 };  [0.5, 2] → { min: 0.5, max: 2 };  junk → null
+function parseDepth(value) {
+  const toMetres = (v) => {
+    const num = typeof v === 'number' ? v : NaN;
+    return Number.isFinite(num) && num > 0 && num <= MAX_DEPTH_M ? num : null;
+  };
+
+  if (Array.isArray(value) && value.length === 2) {
+    const [min, max] = value.map(toMetres);
+    return min !== null && max !== null && min <= max ? { min, max } : null;
+  }
+
+  const max = toMetres(value);
+  return max !== null ? { min: null, max } : null;
+}
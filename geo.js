@@ -0,0 +1,211 @@
+// geo.js
+// ======
+// Small helpers for working with the device's position.
+//
+// Kept separate from app.js so any page (app, overview) can ask
+// "how far away is this pool?" (or "which order should we visit them in?")
+// without pulling in the whole app.
+
+import { t, formatNumber } from './i18n.js';
+
+// Average radius of the Earth in metres (good enough for harbour distances).
+const EARTH_RADIUS_M = 6371000;
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+/**
+ * Straight-line ("as the seagull flies") distance in metres between two
+ * points, using the haversine formula.
+ *
+ * Both arguments are objects with { lat, lng }.
+ */
+export function distanceMetres(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Turn metres into a friendly label: "80 m", "1.4 km", "12 km".
+ */
+export function formatDistance(metres) {
+  if (!Number.isFinite(metres)) return '';
+  if (metres < 1000) return t('units.metres', { value: formatNumber(Math.round(metres / 10) * 10) });
+  if (metres < 10000) return t('units.kilometres', { value: formatNumber(metres / 1000, 1) });
+  return t('units.kilometres', { value: formatNumber(Math.round(metres / 1000)) });
+}
+
+/**
+ * Promise wrapper around navigator.geolocation.getCurrentPosition().
+ *
+ * Resolves with { lat, lng, accuracy } (accuracy in metres).
+ * Rejects with an Error whose `code` is one of:
+ *   'unsupported' | 'denied' | 'unavailable' | 'timeout'
+ */
+export function getCurrentPosition(options = {}) {
+  return new Promise((resolve, reject) => {
+    if (!('geolocation' in navigator)) {
+      const err = new Error('Geolocation is not supported on this device');
+      err.code = 'unsupported';
+      reject(err);
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        resolve({
+          lat: pos.coords.latitude,
+          lng: pos.coords.longitude,
+          accuracy: pos.coords.accuracy
+        });
+      },
+      (geoErr) => {
+        // Map the numeric GeolocationPositionError codes to readable names.
+        const codes = { 1: 'denied', 2: 'unavailable', 3: 'timeout' };
+        const err = new Error(geoErr.message || 'Could not get position');
+        err.code = codes[geoErr.code] || 'unavailable';
+        reject(err);
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: 15000,
+        maximumAge: 30000,
+        ...options
+      }
+    );
+  });
+}
+
+/**
+ * Like getCurrentPosition(), but only if the device has ALREADY been
+ * allowed to share its location, so a page can use it without popping up
+ * a permission prompt. Resolves with { lat, lng, accuracy } or null.
+ */
+export async function getPositionIfAllowed() {
+  try {
+    const status = await navigator.permissions?.query({ name: 'geolocation' });
+    if (status?.state !== 'granted') return null;
+    return await getCurrentPosition({ enableHighAccuracy: false, timeout: 8000 });
+  } catch {
+    return null;
+  }
+}
+
+// ----------------------------------------------------------
+// TRAVEL TIMES
+// ----------------------------------------------------------
+// Very rough: real paths wind around the harbour, so the straight-line
+// distance is stretched a bit before dividing by a typical speed.
+
+const DETOUR_FACTOR = 1.3;
+const WALK_METRES_PER_MIN = 75;    // about 4.5 km/h, kid-sized steps
+const DRIVE_METRES_PER_MIN = 500;  // about 30 km/h through the suburbs
+
+// Past this, a walk isn't worth suggesting.
+const MAX_WALK_MIN = 90;
+
+/** 5 → "5 min", 80 → "1 h 20 min" */
+export function formatMinutes(minutes) {
+  const m = Math.max(1, Math.round(minutes));
+  if (m < 60) return t('units.minutes', { m });
+  return m % 60
+    ? t('units.hoursMinutes', { h: Math.floor(m / 60), m: m % 60 })
+    : t('units.hours', { h: m / 60 });
+}
+
+/**
+ * "~16 min walk • ~3 min drive" for a straight-line distance in metres.
+ * Long distances only get the drive.
+ */
+export function formatTravelTime(metres) {
+  if (!Number.isFinite(metres)) return '';
+  const path = metres * DETOUR_FACTOR;
+  const walk = path / WALK_METRES_PER_MIN;
+  const drive = path / DRIVE_METRES_PER_MIN;
+
+  const parts = [];
+  if (walk <= MAX_WALK_MIN) parts.push(t('units.walk', { time: formatMinutes(walk) }));
+  parts.push(t('units.drive', { time: formatMinutes(drive) }));
+  return parts.join(' • ');
+}
+
+// ----------------------------------------------------------
+// NEAREST + ROUTES
+// ----------------------------------------------------------
+
+/**
+ * Sort places (anything with { lat, lng }) by distance from `here`.
+ * Returns [{ place, distance }, ...], closest first.
+ */
+export function sortByDistance(here, places) {
+  return places
+    .map(place => ({ place, distance: distanceMetres(here, place) }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+// Nearest-neighbour: from `from`, always go to the closest place not yet visited.
+function greedyPath(from, places) {
+  const left = [...places];
+  const path = [];
+  let current = from;
+
+  while (left.length) {
+    let best = 0;
+    for (let i = 1; i < left.length; i++) {
+      if (distanceMetres(current, left[i]) < distanceMetres(current, left[best])) best = i;
+    }
+    current = left.splice(best, 1)[0];
+    path.push(current);
+  }
+  return path;
+}
+
+// "2-opt": keep reversing any stretch of the path that makes it shorter.
+// Undoes the zig-zags the greedy pass leaves behind. `fixedFirst` keeps
+// path[0] (the starting point) where it is. Reversing path[i..j] only
+// changes the two legs at its ends, so only those are measured.
+function untangle(path, fixedFirst) {
+  const best = [...path];
+  const leg = (a, b) => (a && b ? distanceMetres(a, b) : 0);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = fixedFirst ? 1 : 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const before = best[i - 1];
+        const after = best[j + 1];
+        const saving = leg(before, best[i]) + leg(best[j], after) - leg(before, best[j]) - leg(best[i], after);
+        if (saving > 1) {
+          best.splice(i, j - i + 1, ...best.slice(i, j + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Suggest an order to visit `places` in (shortest total distance we can
+ * find quickly). Starts from `start` ({ lat, lng }) if given; otherwise
+ * from the westernmost place, with either end free to move. Returns the
+ * places, reordered.
+ */
+export function planRoute(start, places) {
+  if (places.length < 2) return [...places];
+
+  if (start) {
+    return untangle([start, ...greedyPath(start, places)], true).slice(1);
+  }
+
+  const first = places.reduce((west, p) => (p.lng < west.lng ? p : west));
+  return untangle([first, ...greedyPath(first, places.filter(p => p !== first))], false);
+}
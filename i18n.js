@@ -0,0 +1,201 @@
+// i18n.js
+// =======
+// Every piece of text the crew sees comes through here, so the whole app
+// can switch language (some of our grandparents read Spanish).
+//
+// • t('list.claim')                       → "🏴‍☠️ Claim Treasure"
+// • t('list.visitedTimes', { count: 3 })  → "Visited 3 times"
+// • formatDate('2025-12-16')              → "16/12/2025" (or the Spanish way)
+//
+// The messages live in messages-en.js and messages-es.js. A message can
+// have "{name}"-style placeholders, and a message that depends on a number
+// is an object of plural forms: { one: '{count} stamp', other: '{count} stamps' }.
+// Anything missing from a translation falls back to English.
+// A theme pack can swap some of the wording too (see themes.js).
+//
+// Static text in the HTML is marked up instead:
+//   <button data-i18n="list.next">Next</button>
+//   <input data-i18n-placeholder="crew.name"> (also -title, -aria-label, -alt)
+
+import { MESSAGES_EN } from './messages-en.js';
+import { MESSAGES_ES } from './messages-es.js';
+import { readLanguage, writeLanguage, flush } from './storage.js';
+import { visitDate } from './dates.js';
+
+// `locale` is what dates and numbers are formatted with.
+export const LANGUAGES = [
+  { code: 'en', name: 'English', locale: 'en-AU', messages: MESSAGES_EN },
+  { code: 'es', name: 'Español', locale: 'es', messages: MESSAGES_ES }
+];
+
+const FALLBACK = LANGUAGES[0];
+
+// The saved choice, or the device's language if we have it, or English.
+// Picked once per page load: changing language reloads the page.
+function pickLanguage() {
+  const saved = LANGUAGES.find(l => l.code === readLanguage());
+  if (saved) return saved;
+
+  const wanted = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of wanted) {
+    const match = LANGUAGES.find(l => String(tag || '').toLowerCase().split('-')[0] === l.code);
+    if (match) return match;
+  }
+  return FALLBACK;
+}
+
+const language = pickLanguage();
+
+// Wording from the theme pack, by language code (see overrideMessages()).
+let overrides = {};
+
+// Keys we've already complained about (so the console isn't flooded).
+const warned = new Set();
+
+/** The language in use, e.g. { code: 'es', name: 'Español', locale: 'es' }. */
+export function currentLanguage() {
+  return language;
+}
+
+/**
+ * Lay extra messages over the catalogues, e.g. a theme pack's
+ * { en: { 'crew.firstMate': 'Junior Explorer' }, es: { … } }.
+ * The override in the current language wins, then the catalogue, then
+ * the English override, then the English catalogue.
+ */
+export function overrideMessages(byLanguage = {}) {
+  overrides = byLanguage;
+}
+
+/**
+ * Look up a message and fill in its placeholders.
+ * Plural messages pick their form from `params.count`.
+ */
+export function t(key, params = {}) {
+  let message =
+    overrides[language.code]?.[key] ??
+    language.messages[key] ??
+    overrides[FALLBACK.code]?.[key] ??
+    FALLBACK.messages[key];
+
+  if (message === undefined) {
+    if (!warned.has(key)) {
+      warned.add(key);
+      console.warn(`No message for "${key}"`);
+    }
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(language.locale).select(Number(params.count) || 0);
+    message = message[form] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (whole, name) =>
+    params[name] === undefined ? whole : String(params[name])
+  );
+}
+
+/**
+ * Pick the current language out of a data file's text (quests.json,
+ * achievements.json, riddles in pools.json). It can be plain, the same in
+ * every language, or given per language:
+ *   "title": "First Treasure"
+ *   "title": { "en": "First Treasure", "es": "Primer tesoro" }
+ * Falls back to English, then whichever language there is.
+ */
+export function localized(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return value[language.code] ?? value[FALLBACK.code] ?? Object.values(value)[0];
+}
+
+// ----------------------------------------------------------
+// DATES + NUMBERS
+// ----------------------------------------------------------
+
+/**
+ * A visit (timestamp or day, see dates.js) or a Date, as a short date:
+ * "16/12/2025" in English. Returns '' for anything that isn't a date.
+ */
+export function formatDate(value, options = {}) {
+  const date = value instanceof Date ? value : visitDate(value);
+  if (!date || Number.isNaN(date.getTime())) return '';
+  return new Intl.DateTimeFormat(language.locale, options).format(date);
+}
+
+/** A timestamp with its time: "16/12/2025, 7:04 am". */
+export function formatDateTime(value) {
+  return formatDate(value, { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/** 1.4 → "1.4" (or "1,4"), with at most `maxDecimals` decimals. */
+export function formatNumber(value, maxDecimals = 0) {
+  return new Intl.NumberFormat(language.locale, {
+    minimumFractionDigits: maxDecimals,
+    maximumFractionDigits: maxDecimals
+  }).format(value);
+}
+
+/** ['Jan', 'Feb', 'Mar'] → "Jan, Feb and Mar" (or "Jan, Feb y Mar"). */
+export function formatList(items) {
+  try {
+    return new Intl.ListFormat(language.locale, { type: 'conjunction' }).format(items);
+  } catch {
+    return items.join(', ');
+  }
+}
+
+/** 3 → "Mar" (short month name). */
+export function monthName(month) {
+  return new Intl.DateTimeFormat(language.locale, { month: 'short' }).format(new Date(2000, month - 1, 1));
+}
+
+/** 9 → "9 am" (the hour on its own, as the language writes it). */
+export function formatHour(hour) {
+  return new Intl.DateTimeFormat(language.locale, { hour: 'numeric' }).format(new Date(2000, 0, 1, hour));
+}
+
+// ----------------------------------------------------------
+// PAGE TEXT + LANGUAGE PICKER
+// ----------------------------------------------------------
+
+const ATTRIBUTES = ['title', 'aria-label', 'placeholder', 'alt'];
+
+/** Translate every data-i18n(-*) element under `root`. */
+export function translatePage(root = document) {
+  if (root === document) document.documentElement.lang = language.code;
+
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+
+  for (const attr of ATTRIBUTES) {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  }
+}
+
+/**
+ * Fill a <select> with the languages and switch when it changes.
+ * Like switching quests, switching language reloads the page.
+ */
+export function setupLanguagePicker(select) {
+  if (!select) return;
+
+  select.innerHTML = '';
+  for (const l of LANGUAGES) {
+    const option = document.createElement('option');
+    option.value = l.code;
+    option.textContent = l.name;
+    option.lang = l.code;
+    option.selected = l === language;
+    select.appendChild(option);
+  }
+
+  select.addEventListener('change', async () => {
+    writeLanguage(select.value);
+    await flush();
+    window.location.reload();
+  });
+}
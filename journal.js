@@ -0,0 +1,113 @@
+// journal.js
+// ==========
+// The visit journal: a photo, a note, who came along, the water
+// temperature and a 1–5 "splash rating" for each claimed pool.
+//
+// Photos are far too big for localStorage, so journal entries live in
+// IndexedDB instead. Photos are shrunk before saving so a summer's worth
+// still fits comfortably on a phone.
+
+import { t } from './i18n.js';
+
+const DB_NAME = 'treasure-journal';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+// Longest side of a saved photo, in pixels, and JPEG quality (0–1).
+const PHOTO_MAX_SIZE = 1280;
+const PHOTO_QUALITY = 0.82;
+
+let dbPromise = null;
+
+/** Open (and create, the first time) the journal database. */
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error(t('journal.unsupported')));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Let a later call try again if opening failed.
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+// Run one request in a transaction and resolve with its result.
+async function withStore(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * The key for one crew member's entry about one pool in one quest,
+ * e.g. "crew-1|harbour|woolwich".
+ */
+export function journalKey(profileId, questId, poolId) {
+  return `${profileId}|${questId}|${poolId}`;
+}
+
+/**
+ * Read an entry. Resolves with null if there isn't one yet.
+ * Shape: { key, note, companions, waterTemp, splash, photo: Blob | null, updatedAt }
+ */
+export async function readJournalEntry(key) {
+  return (await withStore('readonly', store => store.get(key))) || null;
+}
+
+/** Save (add or replace) an entry. */
+export async function writeJournalEntry(entry) {
+  await withStore('readwrite', store => store.put({ ...entry, updatedAt: new Date().toISOString() }));
+}
+
+/**
+ * Delete every entry starting with `prefix`, e.g. "crew-1|" for a crew
+ * member, or "crew-1|harbour|" for one crew member's quest.
+ */
+export async function deleteJournalEntries(prefix) {
+  // Keys are strings, so everything starting with `prefix` sorts between
+  // prefix and prefix + a very high character.
+  const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+  await withStore('readwrite', store => store.delete(range));
+}
+
+/**
+ * Shrink a photo from the camera / gallery to at most PHOTO_MAX_SIZE
+ * pixels on its longest side. Resolves with a JPEG Blob.
+ */
+export async function downscalePhoto(file) {
+  const bitmap = await createImageBitmap(file);
+
+  const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error(t('journal.photoFailed')))),
+      'image/jpeg',
+      PHOTO_QUALITY
+    );
+  });
+}
@@ -0,0 +1,108 @@
+// main.js
+// =======
+// Starts the app. index.html is one page with four screens (splash, map,
+// list + passport, settings); the URL decides which one shows (see router.js):
+//
+//   ./               splash
+//   ./map            overview map
+//   ./pool/:id       list view for one pool
+//   ./passport       treasure passport
+//   ./settings       settings
+//
+// Each screen's module sets itself up the first time it's shown.
+
+import { addRoute, setFallbackRoute, startRouter, navigate } from './router.js';
+import { showSplash, splashSeen } from './splash.js';
+import { showOverview } from './overview.js';
+import { showPool, showPassport } from './app.js';
+import { showSettings } from './settings.js';
+import { registerServiceWorker } from './offline.js';
+import { showFatalError, showStorageWarning } from './notices.js';
+import { onStorageProblem } from './storage.js';
+import { translatePage, setupLanguagePicker } from './i18n.js';
+import { applyTheme, setupThemePicker } from './themes.js';
+import { setupSound, setupSoundControl } from './sounds.js';
+import { setupSync, setupSyncStatus } from './sync.js';
+
+// The <body> classes each screen's styles expect (see style.css).
+const SCREEN_BODY_CLASSES = {
+  splash: 'splash-body kids',
+  map: 'overview-body',
+  app: '',
+  settings: ''
+};
+
+function showScreen(name) {
+  document.querySelectorAll('.screen').forEach(screen => {
+    screen.hidden = screen.id !== `${name}Screen`;
+  });
+  document.body.className = SCREEN_BODY_CLASSES[name];
+}
+
+// Run a screen's (possibly async) show function, reporting any failure.
+function run(show) {
+  Promise.resolve()
+    .then(show)
+    .catch(err => {
+      console.error('Error showing screen', err);
+      showFatalError(err.message);
+    });
+}
+
+// True until the first route has been shown.
+let firstRoute = true;
+
+/**
+ * Wrap a route so a new session always starts on the splash, even when
+ * opened from a deep link. "Begin" then carries on to that link.
+ */
+function screenRoute(name, show) {
+  return (params) => {
+    firstRoute = false;
+
+    if (!splashSeen()) {
+      showScreen('splash');
+      run(showSplash);
+      return;
+    }
+
+    showScreen(name);
+    run(() => show(params));
+  };
+}
+
+addRoute('', () => {
+  // Re-opening the app mid-session skips the splash; Exit still shows it.
+  if (firstRoute && splashSeen()) {
+    firstRoute = false;
+    navigate('map', { replace: true, keepQuery: true });
+    return;
+  }
+
+  firstRoute = false;
+  showScreen('splash');
+  run(showSplash);
+});
+
+addRoute('map', screenRoute('map', showOverview));
+addRoute('pool/:id', screenRoute('app', ({ id }) => showPool(id)));
+addRoute('passport', screenRoute('app', showPassport));
+addRoute('settings', screenRoute('settings', showSettings));
+
+// Anything else (an old bookmark, a typo): go to the map.
+setFallbackRoute(() => navigate('map', { replace: true, keepQuery: true }));
+
+translatePage();
+applyTheme();
+document.querySelectorAll('[data-language-picker]').forEach(setupLanguagePicker);
+document.querySelectorAll('[data-theme-picker]').forEach(setupThemePicker);
+document.querySelectorAll('[data-sound-control]').forEach(setupSoundControl);
+document.querySelectorAll('[data-sync-status]').forEach(setupSyncStatus);
+setupSound();
+setupSync();
+
+registerServiceWorker();
+startRouter();
+
+// Tell the crew if their treasure can't be saved (e.g. a private window).
+onStorageProblem(showStorageWarning);
@@ -0,0 +1,451 @@
+// messages-en.js
+// ==============
+// English text for every screen (see i18n.js for how these are used).
+// This is the complete list: other languages fall back to it, so a new
+// message only has to be added here to show up everywhere.
+//
+// Keys are grouped by screen. "{name}" bits are filled in by the code;
+// objects with one / other are plural forms picked by {count}.
+
+export const MESSAGES_EN = {
+  // --- Shared ---
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+  'common.delete': 'Delete',
+  'common.close': 'Close',
+  'common.done': 'Done',
+  'common.tapAnywhere': 'tap anywhere',
+  'common.language': 'Language',
+  'common.chooseLanguage': 'Choose a language',
+  'common.theme': 'Theme',
+  'common.chooseTheme': 'Choose a theme',
+
+  // --- Theme packs (themes.js) ---
+  'theme.pirate': '🏴‍☠️ Pirate',
+  'theme.ocean': '🐠 Ocean explorer',
+
+  // --- Crew (crew.js + splash screen) ---
+  'crew.questTitle': '{name}’s Treasure Quest',
+  'crew.firstMate': 'First Mate',
+  'crew.whoIsPlaying': 'Who’s playing?',
+  'crew.name': 'Name',
+  'crew.pickAvatar': 'Pick an avatar',
+  'crew.add': '＋ Add crew',
+  'crew.edit': 'Edit {name}',
+  'crew.stamps': { one: '{count} stamp', other: '{count} stamps' },
+  'crew.confirmDelete': 'Delete {name} and all of their treasure? This can’t be undone.',
+
+  'splash.title': 'Captain Raymond’s Treasure Quest',
+  'splash.ahoy': 'Ahoy there,',
+  'splash.greeting': 'First Mate {name}!',
+  'splash.mascotAlt': 'Captain Raymond the Pirate',
+  'splash.importNote': '📦 Treasure is waiting to come aboard! Choose who it belongs to, then begin.',
+  'splash.begin': 'Begin the Quest',
+  'splash.resume': 'Resume Quest',
+
+  // --- Tab titles (after the dash) ---
+  'title.map': 'Map',
+  'title.app': 'App',
+  'title.passport': 'Passport',
+  'title.settings': 'Settings',
+
+  // --- Overview map ---
+  'map.openTreasureMaps': 'Open Treasure Maps',
+  'map.exit': 'Exit',
+  'map.heading': 'Visit a Pool and collect treasure!',
+  'map.loading': 'Loading locations…',
+  'map.loadError': 'Error loading locations.',
+  'map.noLocations': 'No locations charted yet.',
+  'map.progress': 'Treasure found at {found} of {total} locations.',
+  'map.quest': 'Quest',
+  'map.chooseQuest': 'Choose a quest',
+  'map.questFound': '{title} ({count} found)',
+  'map.openPool': 'Open treasure map',
+  'map.legendNotFound': '❌ Not found yet',
+  'map.legendFound': '🏴‍☠️ Treasure found',
+  'map.legendRoute': '┈ Suggested order for the rest',
+  'map.filterGroup': 'Only show pools with',
+  'map.filterNotFound': 'Not found yet',
+  'map.hideOthers': 'Hide the others',
+  'map.filterShowing': 'Showing {count} of {total} pools',
+  'map.legendVoyage': '━ Our voyage so far',
+  'map.replay': '⛵ Replay our voyage',
+  'map.replaySkip': '⏭ Skip to the end',
+  'map.voyageTitle': '⛵ Our voyage so far',
+  'map.voyageSummary': '{pools}, {distance} sailed, {days}',
+  'map.voyagePools': {
+    one: '{count} pool',
+    other: '{count} pools'
+  },
+  'map.voyageDays': {
+    one: '{count} day',
+    other: '{count} days'
+  },
+
+  'offline.title': 'Offline map',
+  'offline.checking': 'Checking saved map…',
+  'offline.download': '⬇️ Download {quest} map',
+  'offline.downloadHarbour': '⬇️ Download harbour map',
+  'offline.clear': '🗑 Clear saved map',
+  'offline.saved': 'Saved for offline ({count} tiles, about {size}).',
+  'offline.partlySaved': '{saved} of {total} tiles saved. About {size} to download.',
+  'offline.saving': 'Saving map… {done} / {total}',
+  'offline.failed': ' ({count} couldn’t be downloaded — try again with better signal.)',
+  'offline.confirmClear': 'Remove the saved map from this device? Your treasure is not affected.',
+
+  // --- List view ---
+  'list.myTreasure': 'My Treasure',
+  'list.backToList': 'Back to List',
+  'list.toggleHint': 'Toggle Stamps/List',
+  'list.map': 'Map',
+  'list.backToMap': 'Back to the map',
+  'list.prev': 'Prev',
+  'list.next': 'Next',
+  'list.prevPool': 'Previous pool',
+  'list.nextPool': 'Next pool',
+  'list.openInMaps': 'Open in Maps',
+  'list.fullMap': 'Full Map',
+  'list.nearest': '🧭 Nearest treasure',
+  'list.findingYou': '🧭 Finding you…',
+  'list.noPools': 'No pools loaded.',
+  'list.claim': '🏴‍☠️ Claim Treasure',
+  'list.claimed': '✓ Treasure claimed • {date}',
+  'list.locked': '🔒 Solve the riddle first',
+  'list.checking': '🧭 Checking your position…',
+  'list.visitedTimes': { one: 'Visited {count} time', other: 'Visited {count} times' },
+  'list.distance': '📍 {distance} away • {travel}',
+  'list.usualOrder': 'Usual order',
+  'list.logVisit': '➕ Log another visit',
+  'list.nearestDenied': 'Your device said no to sharing its location, so the pools stay in their usual order.',
+  'list.nearestUnavailable': 'We couldn’t find your position just now. Try again in a moment.',
+
+  // --- Riddles ---
+  'riddle.label': '🧩 Riddle',
+  'riddle.solved': '✓ Riddle solved! Now claim your treasure.',
+  'riddle.yourAnswer': 'Your answer',
+  'riddle.check': 'Check',
+  'riddle.hint': '💡 Hint ({count} left)',
+  'riddle.wrong': 'Not quite, {firstMate} — try again!',
+
+  // --- Claiming ---
+  'claim.treasureFound': 'Treasure Found!',
+  'claim.newBadge': 'New Badge!',
+  'claim.stampAlt': 'Treasure stamp',
+  'claim.mascotAlt': 'Raymond pirate',
+  'claim.sailCloser': 'Sail closer, {firstMate}!',
+  'claim.away': '{distance} away',
+  'claim.getWithin': 'Get within {radius} of {pool} to claim this treasure.',
+  'claim.denied': 'Your device said no to sharing its location.',
+  'claim.unsupported': 'This device can’t tell us where it is.',
+  'claim.timeout': 'The compass took too long to find us.',
+  'claim.unavailable': 'We couldn’t find your position just now.',
+  'claim.tryAgain': 'Try again',
+  'claim.override': 'Grown-up override',
+  'claim.alreadyToday': '{pool} is already logged for today. Come back another day!',
+  'claim.welcomeBack': 'Welcome back!',
+  'claim.visitNumber': '{pool} • visit number {count}',
+
+  // --- Grown-up PIN ---
+  'pin.choose': 'Grown-ups only! Choose a parent PIN (4–8 digits):',
+  'pin.badFormat': 'The PIN needs to be 4 to 8 digits.',
+  'pin.confirm': 'Type the same PIN again to confirm:',
+  'pin.mismatch': 'Those PINs didn’t match. Nothing was changed.',
+  'pin.enter': 'Grown-ups only! Enter the parent PIN:',
+  'pin.wrong': 'That PIN isn’t right.',
+
+  // --- Passport ---
+  'passport.print': 'Print my passport',
+  'passport.printHint': 'Print the passport or get a certificate',
+  'passport.backup': 'Backup & Transfer',
+  'passport.backupHint': 'Backup or move treasure',
+  'passport.parentMode': 'Parent Mode',
+  'passport.parentHint': 'Fix claims and dates (grown-ups only)',
+  'passport.reset': 'Reset Treasure',
+  'passport.resetHint': 'Reset treasure',
+  'passport.stampsTab': 'Stamps',
+  'passport.badgesTab': 'Badges',
+  'passport.galleryTab': 'Gallery',
+  'passport.prevPage': '« Prev',
+  'passport.nextPage': 'Next »',
+  'passport.page': 'Page {page} of {total}',
+  'passport.stampAlt': 'stamp',
+  'passport.visits': 'Visited {count} times, first on {first}, last on {last}',
+  'passport.atPool': '📍 Claimed at the pool',
+  'passport.atPoolDistance': '📍 Claimed at the pool ({distance} away)',
+  'passport.override': '🔑 Grown-up override',
+  'passport.assisted': '🤝 A grown-up helped',
+  'passport.riddleTime': '🧩 Riddle solved in {time}',
+  'passport.firstTry': 'first try!',
+  'passport.wrongGuesses': { one: '{count} wrong guess', other: '{count} wrong guesses' },
+  'passport.hints': { one: '{count} hint', other: '{count} hints' },
+  'passport.confirmReset': 'Reset all of {name}’s treasure (and journal entries) for {quest}?',
+
+  'badges.none': 'No badges for this quest yet.',
+  'badges.earned': '🏅 Earned',
+  'badges.earnedOn': '🏅 Earned {date}',
+  'badges.poolsProgress': '{current} of {target} pools',
+  'badges.withinDays': 'Best so far: {current} of {target} within {days} days',
+  'badges.beforeHourDone': 'Claimed before {time}',
+  'badges.beforeHourTodo': 'Claim a pool before {time}',
+  'badges.months': '{current} of {target} months',
+  'badges.monthsToGo': '{current} of {target} months (still to go: {months})',
+
+  // --- Passport gallery ---
+  'gallery.sort': 'Sort by',
+  'gallery.sort.date': 'Visit date',
+  'gallery.sort.name': 'Name',
+  'gallery.sort.suburb': 'Suburb',
+  'gallery.sort.distance': 'Distance from here',
+  'gallery.show': 'Show',
+  'gallery.show.all': 'Every pool',
+  'gallery.show.claimed': 'Found',
+  'gallery.show.unclaimed': 'Still to find',
+  'gallery.mystery': 'Mystery pool',
+  'gallery.teaser': 'Somewhere in {suburb}…',
+  'gallery.teaserNoSuburb': 'Somewhere on the map…',
+  'gallery.notFoundYet': 'Not found yet',
+  'gallery.away': '🧭 {distance} from here',
+  'gallery.noneFound': 'No stamps yet. Go and find one!',
+  'gallery.allFound': 'Every pool found!',
+
+  // --- Journal ---
+  'journal.open': '📓 Journal',
+  'journal.close': '✕ Close journal',
+  'journal.empty': 'No journal entry yet. How was the swim?',
+  'journal.photoAlt': 'Photo from {pool}',
+  'journal.crew': 'Crew',
+  'journal.water': 'Water',
+  'journal.waterTemp': '{temp} °C',
+  'journal.splash': 'Splash',
+  'journal.splashOutOf': '{rating} out of 5',
+  'journal.edit': '✏️ Edit entry',
+  'journal.write': '✏️ Write an entry',
+  'journal.photo': 'Photo',
+  'journal.removePhoto': 'Remove the saved photo',
+  'journal.note': 'Note',
+  'journal.notePlaceholder': 'What did you spot?',
+  'journal.companions': 'Who came along?',
+  'journal.companionsPlaceholder': 'Mum, Grandpa, Luna the dog',
+  'journal.waterTempLabel': 'Water temperature (°C)',
+  'journal.splashRating': 'Splash rating',
+  'journal.saving': 'Saving…',
+  'journal.saveFailed': 'Couldn’t save: {error}',
+  'journal.unsupported': 'This browser can’t store journal entries.',
+  'journal.photoFailed': 'Couldn’t shrink that photo.',
+
+  // --- Backup + transfer ---
+  'backup.title': 'Backup & Transfer',
+  'backup.fileHeading': 'Backup file',
+  'backup.fileText': 'Save {name}’s treasure to a file, or bring it back from one.',
+  'backup.download': '⬇️ Download backup',
+  'backup.restore': '⬆️ Restore from file',
+  'backup.moveHeading': 'Move to another phone',
+  'backup.moveText': 'Open this link on the other phone, or type the code in there.',
+  'backup.copyLink': '📋 Copy link',
+  'backup.copied': '✓ Copied!',
+  'backup.codeHeading': 'Got a code?',
+  'backup.codePlaceholder': 'Paste a code or link',
+  'backup.import': 'Import',
+  'backup.otherQuest': 'That treasure belongs to {quest}. Switch to that quest on the map page, then import it again.',
+  'backup.aDifferentQuest': 'a different quest',
+  'backup.nothingForQuest': 'There’s no treasure for this quest in that backup.',
+  'backup.importTitle': 'Import treasure?',
+  'backup.newTreasure': 'New treasure ({count})',
+  'backup.nothingNew': 'Nothing new.',
+  'backup.differentDates': 'Different dates ({count})',
+  'backup.mergeExplained': 'Merge keeps the earlier date. Replace uses the imported one.',
+  'backup.conflict': '{pool}: here {here}, imported {there}',
+  'backup.skipped': 'Skipped ({count})',
+  'backup.skippedText': 'These pools aren’t in this quest: {ids}',
+  'backup.merge': 'Merge',
+  'backup.replace': 'Replace all',
+  'backup.confirmReplace': 'Replace ALL of {name}’s treasure for {quest} with the imported treasure?',
+  'backup.notJson': 'That file isn’t a treasure backup (it isn’t valid JSON).',
+  'backup.notBackup': 'That file isn’t a treasure backup.',
+  'backup.newerVersion': 'That backup was made by a newer version of the app.',
+  'backup.empty': 'That backup has no treasure in it.',
+  'backup.badCode': 'That code doesn’t look right. Check it and try again.',
+
+  // --- Parent mode ---
+  'parent.title': 'Parent Mode',
+  'parent.claims': '{name}’s claims',
+  'parent.claimsText': 'Un-claim a pool tapped by mistake, or set the day it was really visited.',
+  'parent.visitDate': 'Visit date for {pool}',
+  'parent.unclaim': 'Un-claim',
+  'parent.claim': 'Claim',
+  'parent.assisted': 'A grown-up helped with this one',
+  'parent.changeLog': 'Change log',
+  'parent.noChanges': 'No changes yet.',
+  'parent.confirmUnclaim': 'Un-claim {pool}? Its stamp will disappear from the passport.',
+  'parent.pickDay': 'Pick the day it was visited first.',
+  'parent.logClaim': '{pool}: claimed for {date}',
+  'parent.logUnclaim': '{pool}: un-claimed (was {date})',
+  'parent.logDate': '{pool}: date {from} → {to}',
+  'parent.logAssisted': '{pool}: marked as assisted',
+  'parent.logUnassisted': '{pool}: no longer marked as assisted',
+  'parent.logReset': 'All treasure reset',
+  'parent.undated': 'undated',
+  'parent.noDate': 'none',
+
+  // --- Printable passport + certificate ---
+  'print.print': '🖨️ Print',
+  'print.back': 'Back',
+  'print.heading': 'Treasure Passport',
+  'print.title': '{avatar} {name}’s Treasure Passport',
+  'print.summary': '{quest} • {count} of {total} treasures found',
+  'print.notFound': 'Not found yet',
+  'print.found': 'Found!',
+  'print.certificateHeading': '🏆 Your certificate',
+  'print.certificateAlt': 'Treasure certificate',
+  'print.downloadCertificate': '⬇️ Download certificate',
+  'print.findMore': {
+    one: 'Find {count} more treasure to unlock your certificate!',
+    other: 'Find {count} more treasures to unlock your certificate!'
+  },
+
+  'certificate.heading': 'Certificate of Treasure',
+  'certificate.certify': 'This is to certify that',
+  'certificate.foundAll': 'found every treasure in {quest}',
+  'certificate.completedOn': 'Completed on {date}',
+  'certificate.signature': 'Captain Raymond',
+  'certificate.failed': 'Couldn’t make the certificate image.',
+
+  // --- Facilities ---
+  'facility.list': 'Facilities',
+  'facility.toilets': 'Toilets',
+  'facility.kiosk': 'Kiosk',
+  'facility.shade': 'Shade',
+  'facility.parking': 'Parking',
+  'facility.pram': 'Pram access',
+  'facility.sharkNet': 'Shark net',
+  'facility.tidal': 'Tidal',
+  'facility.depth': 'Depth',
+  'facility.depthUpTo': 'Up to {max} m deep',
+  'facility.depthRange': '{min}–{max} m deep',
+
+  // --- Distances + times ---
+  'units.metres': '{value} m',
+  'units.kilometres': '{value} km',
+  'units.minutes': '{m} min',
+  'units.hours': '{h} h',
+  'units.hoursMinutes': '{h} h {m} min',
+  'units.walk': '~{time} walk',
+  'units.drive': '~{time} drive',
+  'units.seconds': '{s}s',
+  'units.minutesSeconds': '{m}m {s}s',
+  'units.hoursMinutesShort': '{h}h {m}m',
+  'units.kilobytes': '{value} KB',
+  'units.megabytes': '{value} MB',
+
+  // --- Sound (sounds.js) ---
+  'sound.cheer': 'Yo-ho-ho!',
+  'sound.mute': 'Turn sound off',
+  'sound.unmute': 'Turn sound on',
+  'sound.volume': 'Volume',
+
+  // --- Settings screen (settings.js) ---
+  'settings.open': 'Settings',
+  'settings.heading': '⚙️ Settings',
+  'settings.name': 'Crew member’s name',
+  'settings.nameHint': 'Shown on the splash, the headers and the certificate.',
+  'settings.stampsPerPage': 'Stamps per passport page',
+  'settings.stampsPerPage.1': 'One big stamp',
+  'settings.stampsPerPage.4': '4 (2 × 2)',
+  'settings.stampsPerPage.9': '9 (3 × 3)',
+  'settings.overlayMs': 'Celebrations stay up for',
+  'settings.overlayMs.1400': 'A moment',
+  'settings.overlayMs.3000': '3 seconds',
+  'settings.overlayMs.6000': '6 seconds',
+  'settings.overlayMs.0': 'Until tapped',
+  'settings.mapView': 'The overview map starts at',
+  'settings.mapView.quest': 'The quest’s own view',
+  'settings.mapView.fit': 'Fit all pools',
+  'settings.mapView.last': 'Where it was left',
+  'settings.saved': 'Saved ✓',
+  'settings.sync': '👪 Family sync',
+  'settings.syncHint': 'Share stamps between the family’s phones through your own sync server (see server/sync-server.mjs). Use the same address and family code on each phone; crew members are matched by name.',
+  'settings.syncUrl': 'Server address',
+  'settings.syncFamily': 'Family code',
+  'settings.syncNow': 'Sync now',
+
+  // --- Quest editor (editor.js) ---
+  'editor.open': '🛠️ Quest editor',
+  'editor.openHint': 'For grown-ups: place pools on a map and download a new pools file.',
+  'editor.heading': '🛠️ Quest editor',
+  'editor.quest': 'Quest',
+  'editor.mapHint': 'Click the map to drop a new pool. Drag a marker to move it.',
+  'editor.preview': '▶️ Preview in the app',
+  'editor.download': '⬇️ Download',
+  'editor.import': '📂 Import…',
+  'editor.revert': 'Start again',
+  'editor.details': 'Pool details',
+  'editor.id': 'Id (used in links, can’t be shared)',
+  'editor.name': 'Name',
+  'editor.suburb': 'Suburb',
+  'editor.lat': 'Latitude',
+  'editor.lng': 'Longitude',
+  'editor.radius': 'Claim radius (m)',
+  'editor.stamp': 'Stamp',
+  'editor.extraHint': 'Facilities and riddles in the file are kept as they are.',
+  'editor.count': {
+    one: '{count} pool in {file}',
+    other: '{count} pools in {file}'
+  },
+  'editor.untitled': 'Pool #{number}',
+  'editor.moveUp': 'Move up',
+  'editor.moveDown': 'Move down',
+  'editor.remove': 'Remove',
+  'editor.confirmRemove': 'Remove {pool}?',
+  'editor.idTaken': '"{id}" is already used by another pool',
+  'editor.idFormat': '"{id}" should be lower-case letters, numbers and dashes',
+  'editor.draftFrom': 'Carrying on with your draft from {date}.',
+  'editor.loadFailed': 'Couldn’t load {file} ({error}), so this is a new list.',
+  'editor.notJson': '{file} isn’t a JSON file.',
+  'editor.notAList': '{file} should be a list: [ { … }, { … } ]',
+  'editor.droppedBlanks': {
+    one: 'Left out {count} blank entry.',
+    other: 'Left out {count} blank entries.'
+  },
+  'editor.confirmRevert': 'Throw your changes away and start again from {file}?',
+  'editor.confirmImport': 'Replace the pools here with the ones in {file}?',
+  'editor.imported': 'Imported {file}.',
+  'editor.nothingToPreview': 'Add a pool with an id and a spot on the map first.',
+
+  // --- Family sync (sync.js) ---
+  'sync.syncing': '🔄 Syncing…',
+  'sync.synced': '☁️ Synced {ago}',
+  'sync.notYet': '☁️ Not synced yet',
+  'sync.justNow': 'just now',
+  'sync.minutesAgo': { one: '{count} min ago', other: '{count} min ago' },
+  'sync.hoursAgo': { one: '{count} h ago', other: '{count} h ago' },
+  'sync.daysAgo': { one: '{count} day ago', other: '{count} days ago' },
+  'sync.offline': '📴 Offline',
+  'sync.offlineWaiting': { one: '📴 Offline • {count} change waiting', other: '📴 Offline • {count} changes waiting' },
+  'sync.failed': '⚠️ Sync failed (tap to retry)',
+  'sync.unreachable': 'Couldn’t reach the sync server',
+  'sync.serverError': 'The sync server said {status}: {error}',
+  'sync.busy': 'Another phone kept saving at the same time; trying again soon',
+
+  // --- Screen readers (a11y.js) ---
+  'a11y.treasureFound': 'Treasure found at {pool}, {count} of {total}',
+  'a11y.poolPosition': '{pool}, {index} of {total}',
+  'a11y.markerFound': '{pool}: treasure found',
+  'a11y.markerNotFound': '{pool}: not found yet',
+
+  // --- Problem banners ---
+  'notices.dismiss': 'Dismiss',
+  'notices.problemsTitle': 'Some treasure map details need fixing',
+  'notices.more': '…and {count} more.',
+  'notices.problemsHint': 'The quest still works with the pools that are OK. A grown-up can fix {file}.',
+  'notices.pool': 'Pool #{number}',
+  'notices.skipped': ' — skipped',
+  'notices.fixedUp': ' — fixed up',
+  'notices.fatalTitle': 'The treasure map didn’t load',
+  'notices.fatalHint': 'Check your connection and reload the page. If it keeps happening, a grown-up should check the pools file for mistakes.',
+  'notices.cachedList': 'Couldn’t load {file} ({error}). Showing the pool list saved on {date}.',
+  'notices.noUsablePools': '{file} has no usable pools. Showing the last good pool list instead.',
+  'notices.previewing': 'Previewing the quest editor’s draft of {file} (saved {date}). Open the app in a new tab to go back to the real one.',
+  'notices.storageTitle': 'Treasure isn’t being saved',
+  'notices.storageMemory': 'This browser won’t let the quest save anything (a private window?). Stamps claimed now will be gone when the page closes.',
+  'notices.storageSave': 'Saving progress failed, so stamps claimed now may be gone next time. The device may be out of space.'
+};
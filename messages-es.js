@@ -0,0 +1,440 @@
+// messages-es.js
+// ==============
+// Spanish text (see messages-en.js for the full list of keys).
+// Anything missing here is shown in English instead.
+
+export const MESSAGES_ES = {
+  // --- Shared ---
+  'common.save': 'Guardar',
+  'common.cancel': 'Cancelar',
+  'common.delete': 'Borrar',
+  'common.close': 'Cerrar',
+  'common.done': 'Listo',
+  'common.tapAnywhere': 'toca en cualquier sitio',
+  'common.language': 'Idioma',
+  'common.chooseLanguage': 'Elige un idioma',
+  'common.theme': 'Tema',
+  'common.chooseTheme': 'Elige un tema',
+
+  // --- Theme packs (themes.js) ---
+  'theme.pirate': '🏴‍☠️ Piratas',
+  'theme.ocean': '🐠 Exploración del océano',
+
+  // --- Crew (crew.js + splash screen) ---
+  'crew.questTitle': 'La búsqueda del tesoro de {name}',
+  'crew.firstMate': 'Grumete',
+  'crew.whoIsPlaying': '¿Quién juega?',
+  'crew.name': 'Nombre',
+  'crew.pickAvatar': 'Elige un avatar',
+  'crew.add': '＋ Añadir tripulante',
+  'crew.edit': 'Editar a {name}',
+  'crew.stamps': { one: '{count} sello', other: '{count} sellos' },
+  'crew.confirmDelete': '¿Borrar a {name} y todo su tesoro? No se puede deshacer.',
+
+  'splash.title': 'La búsqueda del tesoro del Capitán Raymond',
+  'splash.ahoy': '¡Ah del barco,',
+  'splash.greeting': 'grumete {name}!',
+  'splash.mascotAlt': 'El Capitán Raymond, el pirata',
+  'splash.importNote': '📦 ¡Hay un tesoro esperando para subir a bordo! Elige de quién es y empieza.',
+  'splash.begin': 'Empezar la búsqueda',
+  'splash.resume': 'Seguir la búsqueda',
+
+  // --- Tab titles (after the dash) ---
+  'title.map': 'Mapa',
+  'title.app': 'App',
+  'title.passport': 'Pasaporte',
+  'title.settings': 'Ajustes',
+
+  // --- Overview map ---
+  'map.openTreasureMaps': 'Abrir mapas del tesoro',
+  'map.exit': 'Salir',
+  'map.heading': '¡Visita una piscina y consigue su tesoro!',
+  'map.loading': 'Cargando lugares…',
+  'map.loadError': 'Error al cargar los lugares.',
+  'map.noLocations': 'Todavía no hay lugares en el mapa.',
+  'map.progress': 'Tesoro encontrado en {found} de {total} lugares.',
+  'map.quest': 'Búsqueda',
+  'map.chooseQuest': 'Elige una búsqueda',
+  'map.questFound': '{title} ({count} encontrados)',
+  'map.openPool': 'Abrir mapa del tesoro',
+  'map.legendNotFound': '❌ Sin encontrar',
+  'map.legendFound': '🏴‍☠️ Tesoro encontrado',
+  'map.legendRoute': '┈ Orden sugerido para el resto',
+  'map.filterGroup': 'Mostrar solo piscinas con',
+  'map.filterNotFound': 'Sin encontrar',
+  'map.hideOthers': 'Ocultar las demás',
+  'map.filterShowing': 'Mostrando {count} de {total} piscinas',
+  'map.legendVoyage': '━ Nuestra travesía hasta ahora',
+  'map.replay': '⛵ Repetir nuestra travesía',
+  'map.replaySkip': '⏭ Saltar al final',
+  'map.voyageTitle': '⛵ Nuestra travesía hasta ahora',
+  'map.voyageSummary': '{pools}, {distance} navegados, {days}',
+  'map.voyagePools': {
+    one: '{count} piscina',
+    other: '{count} piscinas'
+  },
+  'map.voyageDays': {
+    one: '{count} día',
+    other: '{count} días'
+  },
+
+  'offline.title': 'Mapa sin conexión',
+  'offline.checking': 'Comprobando el mapa guardado…',
+  'offline.download': '⬇️ Descargar el mapa de {quest}',
+  'offline.downloadHarbour': '⬇️ Descargar el mapa del puerto',
+  'offline.clear': '🗑 Borrar el mapa guardado',
+  'offline.saved': 'Guardado para usar sin conexión ({count} teselas, unos {size}).',
+  'offline.partlySaved': '{saved} de {total} teselas guardadas. Faltan unos {size} por descargar.',
+  'offline.saving': 'Guardando el mapa… {done} / {total}',
+  'offline.failed': ' ({count} no se pudieron descargar; inténtalo de nuevo con mejor señal.)',
+  'offline.confirmClear': '¿Quitar el mapa guardado de este dispositivo? Tu tesoro no se verá afectado.',
+
+  // --- List view ---
+  'list.myTreasure': 'Mi tesoro',
+  'list.backToList': 'Volver a la lista',
+  'list.toggleHint': 'Cambiar entre sellos y lista',
+  'list.map': 'Mapa',
+  'list.backToMap': 'Volver al mapa',
+  'list.prev': 'Anterior',
+  'list.next': 'Siguiente',
+  'list.prevPool': 'Piscina anterior',
+  'list.nextPool': 'Piscina siguiente',
+  'list.openInMaps': 'Abrir en Mapas',
+  'list.fullMap': 'Mapa completo',
+  'list.nearest': '🧭 Tesoro más cercano',
+  'list.findingYou': '🧭 Buscándote…',
+  'list.noPools': 'No se han cargado piscinas.',
+  'list.claim': '🏴‍☠️ Reclamar el tesoro',
+  'list.claimed': '✓ Tesoro reclamado • {date}',
+  'list.locked': '🔒 Primero resuelve el acertijo',
+  'list.checking': '🧭 Comprobando dónde estás…',
+  'list.visitedTimes': { one: 'Visitada {count} vez', other: 'Visitada {count} veces' },
+  'list.distance': '📍 a {distance} • {travel}',
+  'list.usualOrder': 'Orden normal',
+  'list.logVisit': '➕ Anotar otra visita',
+  'list.nearestDenied': 'Tu dispositivo no quiso compartir su ubicación, así que las piscinas siguen en su orden normal.',
+  'list.nearestUnavailable': 'No hemos podido encontrar dónde estás. Inténtalo otra vez en un momento.',
+
+  // --- Riddles ---
+  'riddle.label': '🧩 Acertijo',
+  'riddle.solved': '✓ ¡Acertijo resuelto! Ahora reclama tu tesoro.',
+  'riddle.yourAnswer': 'Tu respuesta',
+  'riddle.check': 'Comprobar',
+  'riddle.hint': { one: '💡 Pista (queda {count})', other: '💡 Pista (quedan {count})' },
+  'riddle.wrong': 'Casi, {firstMate}. ¡Prueba otra vez!',
+
+  // --- Claiming ---
+  'claim.treasureFound': '¡Tesoro encontrado!',
+  'claim.newBadge': '¡Nueva insignia!',
+  'claim.stampAlt': 'Sello del tesoro',
+  'claim.mascotAlt': 'Raymond el pirata',
+  'claim.sailCloser': '¡Navega más cerca, {firstMate}!',
+  'claim.away': 'a {distance}',
+  'claim.getWithin': 'Acércate a menos de {radius} de {pool} para reclamar este tesoro.',
+  'claim.denied': 'Tu dispositivo no quiso compartir su ubicación.',
+  'claim.unsupported': 'Este dispositivo no puede decirnos dónde está.',
+  'claim.timeout': 'La brújula tardó demasiado en encontrarnos.',
+  'claim.unavailable': 'No hemos podido encontrar dónde estás.',
+  'claim.tryAgain': 'Reintentar',
+  'claim.override': 'Permiso de un adulto',
+  'claim.alreadyToday': '{pool} ya está anotada hoy. ¡Vuelve otro día!',
+  'claim.welcomeBack': '¡Qué alegría verte otra vez!',
+  'claim.visitNumber': '{pool} • visita número {count}',
+
+  // --- Grown-up PIN ---
+  'pin.choose': '¡Solo adultos! Elige un PIN de padres (de 4 a 8 cifras):',
+  'pin.badFormat': 'El PIN tiene que tener de 4 a 8 cifras.',
+  'pin.confirm': 'Escribe el mismo PIN otra vez para confirmarlo:',
+  'pin.mismatch': 'Los PIN no coinciden. No se ha cambiado nada.',
+  'pin.enter': '¡Solo adultos! Escribe el PIN de padres:',
+  'pin.wrong': 'Ese PIN no es correcto.',
+
+  // --- Passport ---
+  'passport.print': 'Imprimir mi pasaporte',
+  'passport.printHint': 'Imprime el pasaporte o consigue un certificado',
+  'passport.backup': 'Copia y traspaso',
+  'passport.backupHint': 'Guardar o mover el tesoro',
+  'passport.parentMode': 'Modo padres',
+  'passport.parentHint': 'Corregir reclamaciones y fechas (solo adultos)',
+  'passport.reset': 'Reiniciar el tesoro',
+  'passport.resetHint': 'Reiniciar el tesoro',
+  'passport.stampsTab': 'Sellos',
+  'passport.badgesTab': 'Insignias',
+  'passport.galleryTab': 'Galería',
+  'passport.prevPage': '« Anterior',
+  'passport.nextPage': 'Siguiente »',
+  'passport.page': 'Página {page} de {total}',
+  'passport.stampAlt': 'sello',
+  'passport.visits': 'Visitada {count} veces, la primera el {first} y la última el {last}',
+  'passport.atPool': '📍 Reclamado en la piscina',
+  'passport.atPoolDistance': '📍 Reclamado en la piscina (a {distance})',
+  'passport.override': '🔑 Permiso de un adulto',
+  'passport.assisted': '🤝 Ayudó un adulto',
+  'passport.riddleTime': '🧩 Acertijo resuelto en {time}',
+  'passport.firstTry': '¡a la primera!',
+  'passport.wrongGuesses': { one: '{count} fallo', other: '{count} fallos' },
+  'passport.hints': { one: '{count} pista', other: '{count} pistas' },
+  'passport.confirmReset': '¿Reiniciar todo el tesoro de {name} (y su diario) en {quest}?',
+
+  'badges.none': 'Esta búsqueda todavía no tiene insignias.',
+  'badges.earned': '🏅 Conseguida',
+  'badges.earnedOn': '🏅 Conseguida el {date}',
+  'badges.poolsProgress': '{current} de {target} piscinas',
+  'badges.withinDays': 'Tu mejor marca: {current} de {target} en {days} días',
+  'badges.beforeHourDone': 'Reclamado antes de las {time}',
+  'badges.beforeHourTodo': 'Reclama una piscina antes de las {time}',
+  'badges.months': '{current} de {target} meses',
+  'badges.monthsToGo': '{current} de {target} meses (faltan: {months})',
+
+  // --- Passport gallery ---
+  'gallery.sort': 'Ordenar por',
+  'gallery.sort.date': 'Fecha de visita',
+  'gallery.sort.name': 'Nombre',
+  'gallery.sort.suburb': 'Barrio',
+  'gallery.sort.distance': 'Distancia desde aquí',
+  'gallery.show': 'Mostrar',
+  'gallery.show.all': 'Todas las piscinas',
+  'gallery.show.claimed': 'Encontradas',
+  'gallery.show.unclaimed': 'Por encontrar',
+  'gallery.mystery': 'Piscina misteriosa',
+  'gallery.teaser': 'En algún lugar de {suburb}…',
+  'gallery.teaserNoSuburb': 'En algún lugar del mapa…',
+  'gallery.notFoundYet': 'Aún no encontrada',
+  'gallery.away': '🧭 A {distance} de aquí',
+  'gallery.noneFound': 'Todavía no hay sellos. ¡Sal a buscar uno!',
+  'gallery.allFound': '¡Todas las piscinas encontradas!',
+
+  // --- Journal ---
+  'journal.open': '📓 Diario',
+  'journal.close': '✕ Cerrar el diario',
+  'journal.empty': 'Todavía no hay nada en el diario. ¿Qué tal el baño?',
+  'journal.photoAlt': 'Foto de {pool}',
+  'journal.crew': 'Tripulación',
+  'journal.water': 'Agua',
+  'journal.waterTemp': '{temp} °C',
+  'journal.splash': 'Chapuzón',
+  'journal.splashOutOf': '{rating} de 5',
+  'journal.edit': '✏️ Editar',
+  'journal.write': '✏️ Escribir en el diario',
+  'journal.photo': 'Foto',
+  'journal.removePhoto': 'Quitar la foto guardada',
+  'journal.note': 'Nota',
+  'journal.notePlaceholder': '¿Qué has visto?',
+  'journal.companions': '¿Quién vino?',
+  'journal.companionsPlaceholder': 'Mamá, el abuelo, Luna la perra',
+  'journal.waterTempLabel': 'Temperatura del agua (°C)',
+  'journal.splashRating': 'Nota del chapuzón',
+  'journal.saving': 'Guardando…',
+  'journal.saveFailed': 'No se pudo guardar: {error}',
+  'journal.unsupported': 'Este navegador no puede guardar el diario.',
+  'journal.photoFailed': 'No se pudo reducir esa foto.',
+
+  // --- Backup + transfer ---
+  'backup.title': 'Copia y traspaso',
+  'backup.fileHeading': 'Archivo de copia',
+  'backup.fileText': 'Guarda el tesoro de {name} en un archivo, o recupéralo desde uno.',
+  'backup.download': '⬇️ Descargar copia',
+  'backup.restore': '⬆️ Recuperar desde archivo',
+  'backup.moveHeading': 'Pasar a otro teléfono',
+  'backup.moveText': 'Abre este enlace en el otro teléfono, o escribe allí el código.',
+  'backup.copyLink': '📋 Copiar enlace',
+  'backup.copied': '✓ ¡Copiado!',
+  'backup.codeHeading': '¿Tienes un código?',
+  'backup.codePlaceholder': 'Pega un código o un enlace',
+  'backup.import': 'Importar',
+  'backup.otherQuest': 'Ese tesoro es de {quest}. Cambia a esa búsqueda en la página del mapa y vuelve a importarlo.',
+  'backup.aDifferentQuest': 'otra búsqueda',
+  'backup.nothingForQuest': 'Esa copia no tiene ningún tesoro de esta búsqueda.',
+  'backup.importTitle': '¿Importar el tesoro?',
+  'backup.newTreasure': 'Tesoro nuevo ({count})',
+  'backup.nothingNew': 'Nada nuevo.',
+  'backup.differentDates': 'Fechas distintas ({count})',
+  'backup.mergeExplained': 'Combinar se queda con la fecha más antigua. Reemplazar usa la importada.',
+  'backup.conflict': '{pool}: aquí {here}, importada {there}',
+  'backup.skipped': 'Omitidas ({count})',
+  'backup.skippedText': 'Estas piscinas no están en esta búsqueda: {ids}',
+  'backup.merge': 'Combinar',
+  'backup.replace': 'Reemplazar todo',
+  'backup.confirmReplace': '¿Reemplazar TODO el tesoro de {name} en {quest} por el tesoro importado?',
+  'backup.notJson': 'Ese archivo no es una copia del tesoro (no es JSON válido).',
+  'backup.notBackup': 'Ese archivo no es una copia del tesoro.',
+  'backup.newerVersion': 'Esa copia se hizo con una versión más nueva de la app.',
+  'backup.empty': 'Esa copia no tiene ningún tesoro.',
+  'backup.badCode': 'Ese código no parece correcto. Revísalo e inténtalo otra vez.',
+
+  // --- Parent mode ---
+  'parent.title': 'Modo padres',
+  'parent.claims': 'Reclamaciones de {name}',
+  'parent.claimsText': 'Anula una piscina reclamada por error, o pon el día en que se visitó de verdad.',
+  'parent.visitDate': 'Fecha de la visita a {pool}',
+  'parent.unclaim': 'Anular',
+  'parent.claim': 'Reclamar',
+  'parent.assisted': 'Un adulto ayudó con esta',
+  'parent.changeLog': 'Registro de cambios',
+  'parent.noChanges': 'Todavía no hay cambios.',
+  'parent.confirmUnclaim': '¿Anular {pool}? Su sello desaparecerá del pasaporte.',
+  'parent.pickDay': 'Primero elige el día de la visita.',
+  'parent.logClaim': '{pool}: reclamada el {date}',
+  'parent.logUnclaim': '{pool}: anulada (era el {date})',
+  'parent.logDate': '{pool}: fecha {from} → {to}',
+  'parent.logAssisted': '{pool}: marcada con ayuda de un adulto',
+  'parent.logUnassisted': '{pool}: ya no está marcada con ayuda de un adulto',
+  'parent.logReset': 'Se reinició todo el tesoro',
+  'parent.undated': 'sin fecha',
+  'parent.noDate': 'ninguna',
+
+  // --- Printable passport + certificate ---
+  'print.print': '🖨️ Imprimir',
+  'print.back': 'Volver',
+  'print.heading': 'Pasaporte del tesoro',
+  'print.title': '{avatar} Pasaporte del tesoro de {name}',
+  'print.summary': '{quest} • {count} de {total} tesoros encontrados',
+  'print.notFound': 'Sin encontrar',
+  'print.found': '¡Encontrado!',
+  'print.certificateHeading': '🏆 Tu certificado',
+  'print.certificateAlt': 'Certificado del tesoro',
+  'print.downloadCertificate': '⬇️ Descargar el certificado',
+  'print.findMore': {
+    one: '¡Encuentra {count} tesoro más para conseguir tu certificado!',
+    other: '¡Encuentra {count} tesoros más para conseguir tu certificado!'
+  },
+
+  'certificate.heading': 'Certificado del Tesoro',
+  'certificate.certify': 'Se certifica que',
+  'certificate.foundAll': 'encontró todos los tesoros de {quest}',
+  'certificate.completedOn': 'Completado el {date}',
+  'certificate.signature': 'Capitán Raymond',
+  'certificate.failed': 'No se pudo crear la imagen del certificado.',
+
+  // --- Facilities ---
+  'facility.list': 'Servicios',
+  'facility.toilets': 'Aseos',
+  'facility.kiosk': 'Quiosco',
+  'facility.shade': 'Sombra',
+  'facility.parking': 'Aparcamiento',
+  'facility.pram': 'Acceso con carrito',
+  'facility.sharkNet': 'Red antitiburones',
+  'facility.tidal': 'De marea',
+  'facility.depth': 'Profundidad',
+  'facility.depthUpTo': 'Hasta {max} m de hondo',
+  'facility.depthRange': 'De {min} a {max} m de hondo',
+
+  // --- Distances + times ---
+  'units.walk': '~{time} a pie',
+  'units.drive': '~{time} en coche',
+  'units.seconds': '{s} s',
+  'units.minutesSeconds': '{m} min {s} s',
+  'units.hoursMinutesShort': '{h} h {m} min',
+
+  // --- Sound (sounds.js) ---
+  'sound.cheer': '¡Yo-jo-jo!',
+  'sound.mute': 'Quitar el sonido',
+  'sound.unmute': 'Poner el sonido',
+  'sound.volume': 'Volumen',
+
+  // --- Settings screen (settings.js) ---
+  'settings.open': 'Ajustes',
+  'settings.heading': '⚙️ Ajustes',
+  'settings.name': 'Nombre de quien juega',
+  'settings.nameHint': 'Aparece en la bienvenida, en las cabeceras y en el certificado.',
+  'settings.stampsPerPage': 'Sellos por página del pasaporte',
+  'settings.stampsPerPage.1': 'Un sello grande',
+  'settings.stampsPerPage.4': '4 (2 × 2)',
+  'settings.stampsPerPage.9': '9 (3 × 3)',
+  'settings.overlayMs': 'Las celebraciones duran',
+  'settings.overlayMs.1400': 'Un momento',
+  'settings.overlayMs.3000': '3 segundos',
+  'settings.overlayMs.6000': '6 segundos',
+  'settings.overlayMs.0': 'Hasta que se toquen',
+  'settings.mapView': 'El mapa general empieza en',
+  'settings.mapView.quest': 'La vista de la búsqueda',
+  'settings.mapView.fit': 'Todas las piscinas a la vista',
+  'settings.mapView.last': 'Donde se dejó',
+  'settings.saved': 'Guardado ✓',
+  'settings.sync': '👪 Sincronizar en familia',
+  'settings.syncHint': 'Comparte los sellos entre los móviles de la familia a través de tu propio servidor (mira server/sync-server.mjs). Usa la misma dirección y el mismo código en cada móvil; cada tripulante se reconoce por su nombre.',
+  'settings.syncUrl': 'Dirección del servidor',
+  'settings.syncFamily': 'Código de la familia',
+  'settings.syncNow': 'Sincronizar ahora',
+
+  // --- Quest editor (editor.js) ---
+  'editor.open': '🛠️ Editor de búsquedas',
+  'editor.openHint': 'Para adultos: coloca piscinas en un mapa y descarga un nuevo archivo de piscinas.',
+  'editor.heading': '🛠️ Editor de búsquedas',
+  'editor.quest': 'Búsqueda',
+  'editor.mapHint': 'Haz clic en el mapa para añadir una piscina. Arrastra un marcador para moverlo.',
+  'editor.preview': '▶️ Probar en la app',
+  'editor.download': '⬇️ Descargar',
+  'editor.import': '📂 Importar…',
+  'editor.revert': 'Empezar de nuevo',
+  'editor.details': 'Datos de la piscina',
+  'editor.id': 'Id (se usa en los enlaces, no se puede repetir)',
+  'editor.name': 'Nombre',
+  'editor.suburb': 'Barrio',
+  'editor.lat': 'Latitud',
+  'editor.lng': 'Longitud',
+  'editor.radius': 'Radio para reclamar (m)',
+  'editor.stamp': 'Sello',
+  'editor.extraHint': 'Las instalaciones y los acertijos del archivo se mantienen tal cual.',
+  'editor.count': {
+    one: '{count} piscina en {file}',
+    other: '{count} piscinas en {file}'
+  },
+  'editor.untitled': 'Piscina n.º {number}',
+  'editor.moveUp': 'Subir',
+  'editor.moveDown': 'Bajar',
+  'editor.remove': 'Quitar',
+  'editor.confirmRemove': '¿Quitar {pool}?',
+  'editor.idTaken': '"{id}" ya lo usa otra piscina',
+  'editor.idFormat': '"{id}" solo debe tener minúsculas, números y guiones',
+  'editor.draftFrom': 'Sigues con tu borrador del {date}.',
+  'editor.loadFailed': 'No se pudo cargar {file} ({error}), así que la lista empieza vacía.',
+  'editor.notJson': '{file} no es un archivo JSON.',
+  'editor.notAList': '{file} debería ser una lista: [ { … }, { … } ]',
+  'editor.droppedBlanks': {
+    one: 'Se omitió {count} entrada vacía.',
+    other: 'Se omitieron {count} entradas vacías.'
+  },
+  'editor.confirmRevert': '¿Descartar los cambios y empezar de nuevo desde {file}?',
+  'editor.confirmImport': '¿Cambiar las piscinas de aquí por las de {file}?',
+  'editor.imported': 'Se importó {file}.',
+  'editor.nothingToPreview': 'Primero añade una piscina con id y un lugar en el mapa.',
+
+  // --- Family sync (sync.js) ---
+  'sync.syncing': '🔄 Sincronizando…',
+  'sync.synced': '☁️ Sincronizado {ago}',
+  'sync.notYet': '☁️ Aún sin sincronizar',
+  'sync.justNow': 'ahora mismo',
+  'sync.minutesAgo': { one: 'hace {count} min', other: 'hace {count} min' },
+  'sync.hoursAgo': { one: 'hace {count} h', other: 'hace {count} h' },
+  'sync.daysAgo': { one: 'hace {count} día', other: 'hace {count} días' },
+  'sync.offline': '📴 Sin conexión',
+  'sync.offlineWaiting': { one: '📴 Sin conexión • {count} cambio pendiente', other: '📴 Sin conexión • {count} cambios pendientes' },
+  'sync.failed': '⚠️ Falló la sincronización (toca para reintentar)',
+  'sync.unreachable': 'No se pudo conectar con el servidor',
+  'sync.serverError': 'El servidor respondió {status}: {error}',
+  'sync.busy': 'Otro móvil estaba guardando a la vez; se volverá a intentar pronto',
+
+  // --- Screen readers (a11y.js) ---
+  'a11y.treasureFound': 'Tesoro encontrado en {pool}, {count} de {total}',
+  'a11y.poolPosition': '{pool}, {index} de {total}',
+  'a11y.markerFound': '{pool}: tesoro encontrado',
+  'a11y.markerNotFound': '{pool}: aún sin encontrar',
+
+  // --- Problem banners ---
+  'notices.dismiss': 'Cerrar',
+  'notices.problemsTitle': 'Hay que corregir algunos datos del mapa del tesoro',
+  'notices.more': '…y {count} más.',
+  'notices.problemsHint': 'La búsqueda sigue funcionando con las piscinas que están bien. Un adulto puede corregir {file}.',
+  'notices.pool': 'Piscina n.º {number}',
+  'notices.skipped': ' — omitida',
+  'notices.fixedUp': ' — corregida',
+  'notices.fatalTitle': 'El mapa del tesoro no se ha cargado',
+  'notices.fatalHint': 'Comprueba la conexión y vuelve a cargar la página. Si sigue pasando, un adulto debería revisar el archivo de piscinas.',
+  'notices.cachedList': 'No se pudo cargar {file} ({error}). Se muestra la lista de piscinas guardada el {date}.',
+  'notices.noUsablePools': '{file} no tiene piscinas válidas. Se muestra la última lista buena.',
+  'notices.previewing': 'Vista previa del borrador de {file} del editor de búsquedas (guardado el {date}). Abre la app en una pestaña nueva para volver a la lista real.',
+  'notices.storageTitle': 'El tesoro no se está guardando',
+  'notices.storageMemory': 'Este navegador no deja guardar nada (¿una ventana privada?). Los sellos que se consigan ahora se perderán al cerrar la página.',
+  'notices.storageSave': 'No se pudo guardar el progreso, así que los sellos de ahora podrían perderse. Puede que el dispositivo no tenga espacio.'
+};
@@ -0,0 +1,110 @@
+// notices.js
+// ==========
+// Banners at the top of the page for when the pool data has problems
+// (or progress can't be saved).
+// Shared by every screen that has a <main> (map, list + passport, print).
+//
+// The problems themselves are about pools.json (field names and all), so
+// they stay in English for whoever fixes the file; the banner around them
+// is translated.
+
+import { t } from './i18n.js';
+
+// Show at most this many problems; the rest are summarised.
+const MAX_LISTED = 8;
+
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+// "Pool #3 (greenwich) · lat: "abc" is not a latitude — skipped"
+function describeProblem(p) {
+  const where = p.index === null || p.index === undefined
+    ? ''
+    : `${t('notices.pool', { number: p.index + 1 })}${p.id ? ` (${p.id})` : ''}`;
+  const field = p.field ? `${p.field}: ` : '';
+  const fix = { dropped: t('notices.skipped'), repaired: t('notices.fixedUp') }[p.fix] || '';
+
+  return `${where}${where ? ' · ' : ''}${field}${p.message}${fix}`;
+}
+
+function insertBanner(banner) {
+  // The <main> of whichever screen is showing (index.html has several).
+  const main = document.querySelector('.screen:not([hidden]) main') || document.querySelector('main');
+  (main || document.body).prepend(banner);
+}
+
+/**
+ * Show a dismissable banner listing problems found in the pools file.
+ * Calling it again replaces the previous banner (so later checks, like
+ * missing stamp images, can add to the list).
+ */
+export function showDataProblems(problems, file = 'pools.json') {
+  document.getElementById('dataProblems')?.remove();
+  if (!problems || !problems.length) return;
+
+  const listed = problems.slice(0, MAX_LISTED);
+  const more = problems.length - listed.length;
+
+  const banner = document.createElement('div');
+  banner.id = 'dataProblems';
+  banner.className = 'fatal-error warning';
+  banner.setAttribute('role', 'status');
+  banner.innerHTML = `
+    <button class="fatal-error-close" type="button" aria-label="${t('notices.dismiss')}">✕</button>
+    <div class="fatal-error-title">${t('notices.problemsTitle')}</div>
+    <ul class="fatal-error-list">
+      ${listed.map(p => `<li>${escapeHtml(describeProblem(p))}</li>`).join('')}
+      ${more > 0 ? `<li>${t('notices.more', { count: more })}</li>` : ''}
+    </ul>
+    <div class="fatal-error-hint">
+      ${t('notices.problemsHint', { file: escapeHtml(file) })}
+    </div>
+  `;
+
+  banner.querySelector('.fatal-error-close').addEventListener('click', () => banner.remove());
+  insertBanner(banner);
+}
+
+/**
+ * Show a banner for when the page can't work at all (e.g. no pools loaded
+ * and nothing saved to fall back on).
+ */
+export function showFatalError(message) {
+  document.getElementById('fatalError')?.remove();
+
+  const banner = document.createElement('div');
+  banner.id = 'fatalError';
+  banner.className = 'fatal-error';
+  banner.setAttribute('role', 'alert');
+  banner.innerHTML = `
+    <div class="fatal-error-title">${t('notices.fatalTitle')}</div>
+    <div class="fatal-error-msg">${escapeHtml(message)}</div>
+    <div class="fatal-error-hint">${t('notices.fatalHint')}</div>
+  `;
+
+  insertBanner(banner);
+}
+
+/**
+ * Warn that progress isn't being kept (see onStorageProblem() in
+ * storage.js): `kind` is 'memory' (nowhere to save it) or 'save'.
+ */
+export function showStorageWarning(kind) {
+  document.getElementById('storageWarning')?.remove();
+
+  const banner = document.createElement('div');
+  banner.id = 'storageWarning';
+  banner.className = 'fatal-error warning';
+  banner.setAttribute('role', 'status');
+  banner.innerHTML = `
+    <button class="fatal-error-close" type="button" aria-label="${t('notices.dismiss')}">✕</button>
+    <div class="fatal-error-title">${t('notices.storageTitle')}</div>
+    <div class="fatal-error-hint">${t(kind === 'memory' ? 'notices.storageMemory' : 'notices.storageSave')}</div>
+  `;
+
+  banner.querySelector('.fatal-error-close').addEventListener('click', () => banner.remove());
+  insertBanner(banner);
+}
@@ -0,0 +1,179 @@
+// offline.js
+// ==========
+// Everything to do with working offline:
+// • Registering the service worker (sw.js)
+// • Working out which map tiles cover our pools
+// • Downloading / counting / clearing the saved harbour map
+//
+// The service worker does the actual serving from cache. This file only
+// talks to the Cache API from the page, using the SAME cache name, so
+// tiles downloaded here are the ones sw.js hands back to Leaflet.
+
+import { t, formatNumber } from './i18n.js';
+
+// One tile server for every map in the app. (No {s} subdomains, so each
+// tile has exactly one URL and is only ever cached once.)
+export const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+// Must match TILE_CACHE in sw.js.
+export const TILE_CACHE = 'treasure-tiles-v1';
+
+// Zoom levels worth having offline:
+// • close-ups around each pool (what the list view shows)
+// • a wide view covering every pool (what the overview shows)
+const POOL_ZOOMS = [13, 14, 15, 16];
+const OVERVIEW_ZOOMS = [11, 12];
+
+// How many tiles either side of a pool's own tile to grab (1 → 3x3 block).
+const POOL_TILE_PADDING = 1;
+
+// OpenStreetMap tiles around the harbour average roughly this size.
+// Only used for the "about X MB" estimate.
+const AVERAGE_TILE_BYTES = 18 * 1024;
+
+// Be gentle with the volunteer-run tile servers: a few at a time.
+const DOWNLOAD_CONCURRENCY = 4;
+
+// ----------------------------------------------------------
+// SERVICE WORKER
+// ----------------------------------------------------------
+
+/** Register sw.js (quietly does nothing where not supported). */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('sw.js').catch(err =>
+    console.warn('Service worker registration failed', err)
+  );
+}
+
+// ----------------------------------------------------------
+// TILE MATHS
+// ----------------------------------------------------------
+// Standard "slippy map" tile numbering: at zoom z the world is a
+// 2^z by 2^z grid of 256px tiles.
+
+function lngToTileX(lng, z) {
+  return Math.floor(((lng + 180) / 360) * 2 ** z);
+}
+
+function latToTileY(lat, z) {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+}
+
+function tileUrl(z, x, y) {
+  return TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
+/**
+ * Every tile URL needed to see `pools` offline, with no duplicates.
+ */
+export function tileUrlsForPools(pools) {
+  const urls = new Set();
+  const located = pools.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  if (!located.length) return [];
+
+  // Close-ups: a small block of tiles around each pool.
+  for (const p of located) {
+    for (const z of POOL_ZOOMS) {
+      const cx = lngToTileX(p.lng, z);
+      const cy = latToTileY(p.lat, z);
+      for (let dx = -POOL_TILE_PADDING; dx <= POOL_TILE_PADDING; dx++) {
+        for (let dy = -POOL_TILE_PADDING; dy <= POOL_TILE_PADDING; dy++) {
+          urls.add(tileUrl(z, cx + dx, cy + dy));
+        }
+      }
+    }
+  }
+
+  // Wide view: the whole box containing every pool (plus a tile of margin).
+  const lats = located.map(p => p.lat);
+  const lngs = located.map(p => p.lng);
+  for (const z of OVERVIEW_ZOOMS) {
+    const minX = lngToTileX(Math.min(...lngs), z) - 1;
+    const maxX = lngToTileX(Math.max(...lngs), z) + 1;
+    const minY = latToTileY(Math.max(...lats), z) - 1;  // north = smaller y
+    const maxY = latToTileY(Math.min(...lats), z) + 1;
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        urls.add(tileUrl(z, x, y));
+      }
+    }
+  }
+
+  return [...urls];
+}
+
+/** Rough download size in bytes for a number of tiles. */
+export function estimateTileBytes(tileCount) {
+  return tileCount * AVERAGE_TILE_BYTES;
+}
+
+/** 3400000 → "3.2 MB" */
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return t('units.kilobytes', { value: formatNumber(Math.max(1, Math.round(bytes / 1024))) });
+  return t('units.megabytes', { value: formatNumber(bytes / (1024 * 1024), 1) });
+}
+
+// ----------------------------------------------------------
+// DOWNLOAD / COUNT / CLEAR
+// ----------------------------------------------------------
+
+/** Is the Cache API available here? (Not on plain http:// or very old browsers.) */
+export function offlineMapSupported() {
+  return 'caches' in window;
+}
+
+/**
+ * How many of `urls` are already saved.
+ */
+export async function countCachedTiles(urls) {
+  if (!offlineMapSupported()) return 0;
+
+  const cache = await caches.open(TILE_CACHE);
+  const saved = new Set((await cache.keys()).map(req => req.url));
+  return urls.filter(url => saved.has(url)).length;
+}
+
+/**
+ * Download every tile in `urls` into the tile cache.
+ * Tiles already saved are skipped. Calls onProgress(done, total) as it goes.
+ *
+ * Resolves with { saved, failed }.
+ */
+export async function downloadTiles(urls, onProgress) {
+  const cache = await caches.open(TILE_CACHE);
+  const already = new Set((await cache.keys()).map(req => req.url));
+
+  const queue = urls.filter(url => !already.has(url));
+  const total = urls.length;
+  let done = total - queue.length;
+  let failed = 0;
+
+  onProgress?.(done, total);
+
+  async function worker() {
+    while (queue.length) {
+      const url = queue.shift();
+      try {
+        const response = await fetch(url, { mode: 'cors' });
+        if (!response.ok) throw new Error(`status ${response.status}`);
+        await cache.put(url, response);
+      } catch (e) {
+        failed++;
+      }
+      done++;
+      onProgress?.(done, total);
+    }
+  }
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+  return { saved: total - failed, failed };
+}
+
+/** Throw away every saved map tile. */
+export async function clearTiles() {
+  if (!offlineMapSupported()) return;
+  await caches.delete(TILE_CACHE);
+}
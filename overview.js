@@ -1,8 +1,41 @@
 // overview.js
 // ===========
+// The overview map screen (./map): every pool in the quest, found or not.
+// main.js calls showOverview() each time the screen is shown.
 
-import { loadPools } from './data.js';
-import { readVisited, countVisited } from './storage.js';
+import { loadActiveQuest, loadPools, checkStampImages } from './data.js';
+import { showDataProblems, showFatalError } from './notices.js';
+import { applyCrewTitles } from './crew.js';
+import { navigate } from './router.js';
+import {
+  TILE_URL,
+  offlineMapSupported,
+  tileUrlsForPools,
+  estimateTileBytes,
+  formatBytes,
+  countCachedTiles,
+  downloadTiles,
+  clearTiles
+} from './offline.js';
+import {
+  readVisited,
+  countVisited,
+  readSelection,
+  writeActiveQuestId,
+  readMapFilters,
+  writeMapFilters,
+  readSettings,
+  readLastMapView,
+  writeLastMapView,
+  subscribe,
+  flush
+} from './storage.js';
+import { planRoute, getPositionIfAllowed, distanceMetres, formatDistance } from './geo.js';
+import { FACILITIES, hasFacilities, facilitiesHtml, facilityLabel } from './facilities.js';
+import { t, formatDate } from './i18n.js';
+import { themeStamp } from './themes.js';
+import { prefersReducedMotion, announce } from './a11y.js';
+import { inClaimOrder, firstVisit, visitDate } from './dates.js';
 
 function scheduleOverviewInvalidate(map) {
   if (!map) return;
@@ -27,7 +60,7 @@ function createOverviewIcon(pool, isVisited) {
 
   return L.icon({
     iconUrl: isVisited
-      ? pool.stamp                     // e.g. assets/stamp-compass.png
+      ? themeStamp(pool.stamp)         // e.g. assets/stamp-compass.png
       : './assets/marker-x.png',       // red X icon
     iconSize: [size, size],
     iconAnchor: [size / 2, size / 2],
@@ -36,6 +69,16 @@ function createOverviewIcon(pool, isVisited) {
   });
 }
 
+/**
+ * Swap a marker's icon when its pool is found (or un-found). Markers can
+ * be reached with Tab (Enter opens the popup), so the text read out for
+ * them changes too.
+ */
+function setOverviewIcon(marker, pool, isVisited) {
+  marker.options.alt = t(isVisited ? 'a11y.markerFound' : 'a11y.markerNotFound', { pool: pool.name });
+  marker.setIcon(createOverviewIcon(pool, isVisited));
+}
+
 function updateOverviewText(pools, visitedMap) {
   const badgeEl = document.getElementById('overviewBadge');
   const textEl  = document.getElementById('overviewText');
@@ -48,21 +91,499 @@ function updateOverviewText(pools, visitedMap) {
   if (textEl) {
     textEl.textContent =
       total === 0
-        ? 'No locations charted yet.'
-        : `Treasure found at ${visitedCount} of ${total} locations.`;
+        ? t('map.noLocations')
+        : t('map.progress', { found: visitedCount, total });
+  }
+}
+
+/**
+ * Fill the quest <select> and switch quests when it changes.
+ * Each quest keeps its own progress, so switching just reloads the page
+ * with a different quest active.
+ */
+function setupQuestPicker(quests, activeQuest) {
+  const picker = document.getElementById('questPicker');
+  if (!picker) return;
+
+  picker.innerHTML = '';
+  for (const q of quests) {
+    const found = countVisited(readVisited(q.id));
+    const option = document.createElement('option');
+    option.value = q.id;
+    option.textContent = found > 0 ? t('map.questFound', { title: q.title, count: found }) : q.title;
+    option.selected = q.id === activeQuest.id;
+    picker.appendChild(option);
+  }
+
+  // Nothing to choose between? Hide the picker.
+  picker.closest('.quest-picker')?.toggleAttribute('hidden', quests.length < 2);
+
+  picker.addEventListener('change', async () => {
+    writeActiveQuestId(picker.value);
+    await flush();
+    window.location.reload();
+  });
+}
+
+/**
+ * "Download harbour map" panel: saves the map tiles around every pool
+ * so the maps still work with no signal. See offline.js.
+ */
+async function setupOfflineMap(pools, quest) {
+  const panel       = document.getElementById('offlineMap');
+  const statusEl    = document.getElementById('offlineMapStatus');
+  const downloadBtn = document.getElementById('downloadMapBtn');
+  const clearBtn    = document.getElementById('clearMapBtn');
+  if (!panel || !offlineMapSupported()) return;
+
+  const urls = tileUrlsForPools(pools);
+  if (!urls.length) return;
+
+  panel.hidden = false;
+  downloadBtn.textContent = t('offline.download', { quest: quest.title });
+
+  async function refreshStatus() {
+    const saved = await countCachedTiles(urls);
+    const missing = urls.length - saved;
+
+    if (missing === 0) {
+      statusEl.textContent = t('offline.saved', {
+        count: urls.length,
+        size: formatBytes(estimateTileBytes(urls.length))
+      });
+    } else {
+      statusEl.textContent = t('offline.partlySaved', {
+        saved,
+        total: urls.length,
+        size: formatBytes(estimateTileBytes(missing))
+      });
+    }
+
+    downloadBtn.disabled = missing === 0;
+    clearBtn.disabled = saved === 0;
   }
+
+  downloadBtn.addEventListener('click', async () => {
+    downloadBtn.disabled = true;
+    clearBtn.disabled = true;
+
+    const { failed } = await downloadTiles(urls, (done, total) => {
+      statusEl.textContent = t('offline.saving', { done, total });
+    });
+
+    await refreshStatus();
+    if (failed) statusEl.textContent += t('offline.failed', { count: failed });
+  });
+
+  clearBtn.addEventListener('click', async () => {
+    const ok = confirm(t('offline.confirmClear'));
+    if (!ok) return;
+    await clearTiles();
+    await refreshStatus();
+  });
+
+  await refreshStatus();
+}
+
+/**
+ * Draw a dotted line through the pools still to find, in a sensible order
+ * (see planRoute in geo.js), with the step number above each marker.
+ * Starts from where we are if the device already shares its location.
+ */
+async function showSuggestedRoute(map, pools, visitedMap, markers) {
+  // Clear the last one: claims made since may have changed the route.
+  routeLine?.remove();
+  routeLine = null;
+  Object.values(markers).forEach(m => m.unbindTooltip());
+  document.getElementById('routeLegend')?.setAttribute('hidden', '');
+
+  const remaining = pools.filter(p =>
+    !visitedMap[p.id]?.done && Number.isFinite(p.lat) && Number.isFinite(p.lng)
+  );
+  if (!remaining.length) return;
+
+  const here = await getPositionIfAllowed();
+  const route = planRoute(here, remaining);
+
+  const points = (here ? [here, ...route] : route).map(p => [p.lat, p.lng]);
+  if (points.length < 2) return;
+
+  routeLine = L.polyline(points, {
+    color: '#0A1A2F',
+    weight: 3,
+    opacity: 0.7,
+    dashArray: '2 10',
+    lineCap: 'round',
+    interactive: false
+  }).addTo(map);
+
+  route.forEach((pool, i) => {
+    markers[pool.id]?.bindTooltip(String(i + 1), {
+      permanent: true,
+      direction: 'top',
+      offset: [0, -16],
+      className: 'route-step'
+    });
+  });
+
+  document.getElementById('routeLegend')?.removeAttribute('hidden');
+}
+
+// ----------------------------------------------------------
+// OUR VOYAGE (the trail through the pools found so far)
+// ----------------------------------------------------------
+
+// Replaying it: the ship takes this long per km of a leg, kept between
+// the two limits, and waits a moment at each pool to show the date.
+const REPLAY_MS_PER_KM = 400;
+const REPLAY_LEG_MIN_MS = 700;
+const REPLAY_LEG_MAX_MS = 2500;
+const REPLAY_STOP_MS = 800;
+
+// The claimed pools on the map, in the order they were claimed (the
+// passport's order, see inClaimOrder() in dates.js).
+function voyageStops(pools, visitedMap) {
+  return inClaimOrder(pools, visitedMap)
+    .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+}
+
+function voyageLine(points) {
+  return L.polyline(points, {
+    className: 'voyage-line',
+    weight: 4,
+    opacity: 0.85,
+    lineCap: 'round',
+    interactive: false
+  });
+}
+
+/** Draw the line joining the pools found so far, oldest claim first. */
+function showVoyage(map, pools, visitedMap) {
+  voyageTrail?.remove();
+  voyageTrail = null;
+
+  const stops = voyageStops(pools, visitedMap);
+  document.getElementById('voyageLegend')?.toggleAttribute('hidden', stops.length < 2);
+  document.getElementById('voyage')?.toggleAttribute('hidden', !stops.length);
+  if (stops.length < 2) return;
+
+  voyageTrail = voyageLine(stops.map(p => [p.lat, p.lng])).addTo(map);
+}
+
+// "6 pools, 42 km sailed, 23 days" (from the first claim to the last)
+function voyageSummary(stops, visitedMap) {
+  let metres = 0;
+  for (let i = 1; i < stops.length; i++) metres += distanceMetres(stops[i - 1], stops[i]);
+
+  const day = (p) => {
+    const date = visitDate(firstVisit(visitedMap[p.id])) || new Date();
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  };
+  const first = day(stops[0]);
+  const last = day(stops[stops.length - 1]);
+  const days = Math.round((last - first) / (24 * 60 * 60 * 1000)) + 1;
+
+  return {
+    text: t('map.voyageSummary', {
+      pools: t('map.voyagePools', { count: stops.length }),
+      distance: formatDistance(metres),
+      days: t('map.voyageDays', { count: days })
+    }),
+    dates: days > 1 ? `${formatDate(first)} – ${formatDate(last)}` : formatDate(first)
+  };
+}
+
+function showVoyageSummary(stops, visitedMap) {
+  const card = document.getElementById('voyageSummary');
+  if (!card) return;
+
+  const { text, dates } = voyageSummary(stops, visitedMap);
+  card.innerHTML = `
+    <button class="voyage-summary-close" type="button" aria-label="${t('notices.dismiss')}">✕</button>
+    <div class="voyage-summary-title">${t('map.voyageTitle')}</div>
+    <div class="voyage-summary-text"></div>
+    <div class="voyage-summary-dates"></div>
+  `;
+  card.querySelector('.voyage-summary-text').textContent = text;
+  card.querySelector('.voyage-summary-dates').textContent = dates;
+  card.querySelector('.voyage-summary-close').addEventListener('click', () => { card.hidden = true; });
+  card.hidden = false;
 }
 
+// Resolves after `ms`, or straight away once the replay is skipped.
+function replayPause(ms) {
+  if (replay?.skip) return Promise.resolve();
+  return new Promise(resolve => {
+    replay.wake = resolve;
+    setTimeout(resolve, ms);
+  });
+}
+
+// Move the ship from one pool to the next, drawing the trail behind it.
+function sailLeg(ship, trail, points, from, to) {
+  const ms = Math.min(REPLAY_LEG_MAX_MS,
+    Math.max(REPLAY_LEG_MIN_MS, distanceMetres(from, to) / 1000 * REPLAY_MS_PER_KM));
+
+  // Hold on to this replay: a skip can end it (and clear `replay`)
+  // before the next frame comes round, so that frame is cancelled too.
+  const run = replay;
+
+  return new Promise(resolve => {
+    const start = performance.now();
+    let frame = 0;
+    run.wake = () => {
+      cancelAnimationFrame(frame);
+      resolve();
+    };
+
+    function step(now) {
+      const done = run.skip ? 1 : Math.min(1, (now - start) / ms);
+      const here = [from.lat + (to.lat - from.lat) * done, from.lng + (to.lng - from.lng) * done];
+      ship.setLatLng(here);
+      trail.setLatLngs([...points, here]);
+
+      if (done < 1) frame = requestAnimationFrame(step);
+      else resolve();
+    }
+    frame = requestAnimationFrame(step);
+  });
+}
+
+/**
+ * "Replay our voyage": a little ship sails the trail from the first claim
+ * to the latest, each stamp popping back in with its date, then a summary
+ * card. Tapping the button again skips to the end (so does asking the
+ * device for less motion).
+ */
+async function replayVoyage() {
+  if (replay) {
+    replay.skip = true;
+    replay.wake?.();
+    return;
+  }
+  if (!overview) return;
+
+  const { map, pools, markers } = overview;
+  const visitedMap = readVisited();
+  const stops = voyageStops(pools, visitedMap);
+  if (!stops.length) return;
+
+  const button = document.getElementById('replayBtn');
+  document.getElementById('voyageSummary')?.setAttribute('hidden', '');
+  replay = { skip: prefersReducedMotion(), wake: null };
+  if (button) button.textContent = t('map.replaySkip');
+
+  // Back to an empty sea: the trail and the stamps come back one by one.
+  voyageTrail?.remove();
+  stops.forEach(p => markers[p.id] && setOverviewIcon(markers[p.id], p, false));
+  map.closePopup();
+  map.fitBounds(stops.map(p => [p.lat, p.lng]), { padding: [40, 40], maxZoom: 15, animate: !replay.skip });
+
+  const points = [];
+  const trail = voyageLine([]).addTo(map);
+  const ship = L.marker([stops[0].lat, stops[0].lng], {
+    icon: L.divIcon({ className: 'voyage-ship', html: '⛵', iconSize: [32, 32], iconAnchor: [16, 24] }),
+    interactive: false,
+    keyboard: false,
+    zIndexOffset: 2000
+  }).addTo(map);
+  let label = null;
+
+  try {
+    for (let i = 0; i < stops.length; i++) {
+      const pool = stops[i];
+      if (i > 0) await sailLeg(ship, trail, points, stops[i - 1], pool);
+      points.push([pool.lat, pool.lng]);
+      trail.setLatLngs(points);
+
+      const marker = markers[pool.id];
+      if (marker) {
+        setOverviewIcon(marker, pool, true);
+        marker.getElement()?.classList.add('voyage-pop');
+      }
+
+      label?.remove();
+      label = L.tooltip({ permanent: true, direction: 'top', offset: [0, -26], className: 'voyage-date' })
+        .setLatLng([pool.lat, pool.lng])
+        .setContent(formatDate(firstVisit(visitedMap[pool.id])))
+        .addTo(map);
+
+      await replayPause(REPLAY_STOP_MS);
+    }
+  } finally {
+    label?.remove();
+    ship.remove();
+    trail.remove();
+    replay = null;
+    if (button) button.textContent = t('map.replay');
+
+    // Whatever happened meanwhile (a claim in another tab), end up on
+    // the map as it is now.
+    const latest = readVisited();
+    for (const pool of pools) {
+      if (markers[pool.id]) setOverviewIcon(markers[pool.id], pool, !!latest[pool.id]?.done);
+    }
+    applyFilters();
+    showVoyage(map, pools, latest);
+  }
+
+  showVoyageSummary(stops, visitedMap);
+  announce(voyageSummary(stops, visitedMap).text);
+}
+
+// ----------------------------------------------------------
+// FILTER CHIPS ("toilets + shade + not found yet")
+// ----------------------------------------------------------
+
+// Markers that don't match the filters are faded, or taken off the map
+// altogether with "Hide the others".
+const FILTERED_OPACITY = 0.3;
+
+/**
+ * Add a chip for each facility that at least one pool in the quest has,
+ * plus "Not found yet". Chips combine: a pool must match all of them.
+ */
+function setupFilters(pools) {
+  const panel  = document.getElementById('mapFilters');
+  const chips  = document.getElementById('mapFilterChips');
+  const hideEl = document.getElementById('hideFilteredToggle');
+  if (!panel || !chips) return;
+
+  const offered = FACILITIES.filter(f => pools.some(p => p.facilities?.[f.key] === true));
+  if (!offered.length) return;
+
+  // Forget saved chips this quest doesn't offer, so nothing is hidden by
+  // a filter you can't see.
+  const saved = readMapFilters();
+  filters = {
+    ...saved,
+    facilities: saved.facilities.filter(key => offered.some(f => f.key === key))
+  };
+
+  chips.innerHTML = [
+    ...offered.map(f => `
+      <button class="filter-chip" type="button" data-filter="${f.key}" aria-pressed="false">
+        <span aria-hidden="true">${f.icon}</span> ${facilityLabel(f.key)}
+      </button>`),
+    `<button class="filter-chip" type="button" data-filter="unclaimed" aria-pressed="false">
+      <span aria-hidden="true">❌</span> ${t('map.filterNotFound')}
+    </button>`
+  ].join('');
+
+  chips.addEventListener('click', (e) => {
+    const chip = e.target.closest('.filter-chip');
+    if (!chip) return;
+
+    const key = chip.dataset.filter;
+    if (key === 'unclaimed') {
+      filters.unclaimed = !filters.unclaimed;
+    } else if (filters.facilities.includes(key)) {
+      filters.facilities = filters.facilities.filter(k => k !== key);
+    } else {
+      filters.facilities = [...filters.facilities, key];
+    }
+
+    writeMapFilters(filters);
+    applyFilters();
+  });
+
+  if (hideEl) {
+    hideEl.checked = filters.hide;
+    hideEl.addEventListener('change', () => {
+      filters.hide = hideEl.checked;
+      writeMapFilters(filters);
+      applyFilters();
+    });
+  }
+
+  panel.hidden = false;
+}
+
+/** Fade (or hide) the markers that don't match the chips that are on. */
+function applyFilters() {
+  if (!overview || !filters) return;
+  const { map, pools, markers } = overview;
+  const visitedMap = readVisited();
+
+  document.querySelectorAll('#mapFilterChips .filter-chip').forEach(chip => {
+    const key = chip.dataset.filter;
+    const on = key === 'unclaimed' ? filters.unclaimed : filters.facilities.includes(key);
+    chip.setAttribute('aria-pressed', String(on));
+  });
+
+  const filtering = filters.unclaimed || filters.facilities.length > 0;
+  let matching = 0;
+
+  for (const pool of pools) {
+    const marker = markers[pool.id];
+    if (!marker) continue;
+
+    const matches = hasFacilities(pool, filters.facilities) &&
+      !(filters.unclaimed && visitedMap[pool.id]?.done);
+    if (matches) matching++;
+
+    marker.setOpacity(matches ? 1 : FILTERED_OPACITY);
+    if (!matches && filters.hide) marker.remove();
+    else if (!map.hasLayer(marker)) marker.addTo(map);
+  }
+
+  const statusEl = document.getElementById('mapFilterStatus');
+  if (statusEl) {
+    statusEl.textContent = filtering ? t('map.filterShowing', { count: matching, total: pools.length }) : '';
+  }
+}
+
+// ----------------------------------------------------------
+// WHERE THE MAP STARTS
+// ----------------------------------------------------------
+
+// How long the map has to sit still before where it is gets saved.
+const SAVE_VIEW_DELAY_MS = 500;
+
+/**
+ * Put the map where the settings screen says: the quest's own centre and
+ * zoom (quests.json), every pool in sight, or wherever it was left last
+ * time. Returns the choice that was used.
+ */
+function settleMap(map, quest, pools) {
+  const { mapView } = readSettings();
+  const last = mapView === 'last' ? readLastMapView(quest.id) : null;
+  const points = pools
+    .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng))
+    .map(p => [p.lat, p.lng]);
+
+  if (last) {
+    map.setView(last.center, last.zoom, { animate: false });
+  } else if (mapView === 'fit' && points.length) {
+    map.fitBounds(points, { padding: [30, 30], maxZoom: 15, animate: false });
+  } else {
+    map.setView(quest.center, quest.zoom, { animate: false });
+  }
+  return mapView;
+}
+
+// Set up once by initOverviewMap(), then refreshed on every visit.
+let overview = null;   // { map, pools, markers, quest, mapView }
+let routeLine = null;
+let voyageTrail = null;
+let replay = null;     // the voyage replay under way: { skip, wake }
+let filters = null;    // see readMapFilters() in storage.js
+
 async function initOverviewMap() {
   const mapEl = document.getElementById('overviewMap');
   if (!mapEl) return;
 
+  // No sliding and fading when the device asks for less motion.
+  const calm = prefersReducedMotion();
   const map = L.map(mapEl, {
     zoomControl: true,
-    scrollWheelZoom: true
-  }).setView([-33.8688, 151.2093], 11);
+    scrollWheelZoom: true,
+    zoomAnimation: !calm,
+    fadeAnimation: !calm,
+    markerZoomAnimation: !calm
+  }).setView([-33.8688, 151.2093], 11);   // Sydney, until the quest is known
 
-  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+  L.tileLayer(TILE_URL, {
     maxZoom: 18,
     attribution: '&copy; OpenStreetMap'
   }).addTo(map);
@@ -70,47 +591,155 @@ async function initOverviewMap() {
   map.whenReady(() => scheduleOverviewInvalidate(map));
 
   let pools = [];
+  let problems = [];
+  let activeQuest = null;
   try {
-    pools = await loadPools();
+    const { quests, quest } = await loadActiveQuest();
+    activeQuest = quest;
+    setupQuestPicker(quests, quest);
+    map.setView(quest.center, quest.zoom, { animate: false });
+
+    ({ pools, problems } = await loadPools(quest.pools));
   } catch (err) {
     console.error(err);
-    mapEl.textContent = 'Error loading locations.';
+    mapEl.textContent = t('map.loadError');
+    showFatalError(err.message);
     return;
   }
+  showDataProblems(problems, activeQuest.pools);
 
   const visitedMap = readVisited();
   updateOverviewText(pools, visitedMap);
 
+  setupOfflineMap(pools, activeQuest).catch(err =>
+    console.warn('Offline map unavailable', err)
+  );
+
+  // Markers by pool id, so we can swap icons later
+  const markers = {};
+
   for (const pool of pools) {
     if (!Number.isFinite(pool.lat) || !Number.isFinite(pool.lng)) continue;
 
     const info = visitedMap[pool.id];
     const isVisited = !!(info && info.done);
 
-    const marker = L.marker(
-      [pool.lat, pool.lng],
-      { icon: createOverviewIcon(pool, isVisited) }
-    ).addTo(map);
+    const marker = L.marker([pool.lat, pool.lng], {
+      icon: createOverviewIcon(pool, isVisited),
+      alt: t(isVisited ? 'a11y.markerFound' : 'a11y.markerNotFound', { pool: pool.name }),
+      keyboard: true
+    }).addTo(map);
 
-    marker.bindPopup(`<strong>${pool.name}</strong>`);
+    marker.bindPopup(`
+      <strong>${pool.name}</strong><br>
+      ${facilitiesHtml(pool)}
+      <a href="pool/${encodeURIComponent(pool.id)}" data-route>${t('map.openPool')}</a>
+    `);
+    markers[pool.id] = marker;
   }
 
-  // Final iOS-safe settle
+  // Missing stamp images only show up once they try to load; data.js swaps
+  // in a fallback stamp, so refresh those markers and report the problem.
+  checkStampImages(pools).then(stampProblems => {
+    if (!stampProblems.length) return;
+    showDataProblems([...problems, ...stampProblems], activeQuest.pools);
+
+    for (const { id } of stampProblems) {
+      const pool = pools.find(p => p.id === id);
+      if (pool && markers[id]) {
+        setOverviewIcon(markers[id], pool, !!readVisited()[id]?.done);
+      }
+    }
+  });
+
+  document.getElementById('replayBtn')?.addEventListener('click', () => {
+    replayVoyage().catch(err => console.warn('Couldn’t replay the voyage', err));
+  });
+
+  // "Open Treasure Maps" goes to the list view on the selected pool.
+  document.getElementById('openAppBtn')?.addEventListener('click', () => {
+    const pool = pools[readSelection(pools)];
+    navigate(pool ? `pool/${encodeURIComponent(pool.id)}` : 'map');
+  });
+
+  overview = { map, pools, markers, quest: activeQuest, mapView: settleMap(map, activeQuest, pools) };
+  setupFilters(pools);
+
+  // Final iOS-safe settle, after which moving the map is remembered
+  // (for the "where I left it" setting). Each save writes the whole
+  // storage document and tells the other tabs, so only once it has
+  // stopped moving for a moment.
   setTimeout(() => {
     scheduleOverviewInvalidate(map);
-    map.setView([-33.8688, 151.2093], 11, { animate: false });
+    settleMap(map, activeQuest, pools);
+    let saveTimer = null;
+    map.on('moveend', () => {
+      window.clearTimeout(saveTimer);
+      saveTimer = window.setTimeout(() => {
+        const { lat, lng } = map.getCenter();
+        writeLastMapView({ center: [lat, lng], zoom: map.getZoom() }, activeQuest.id);
+      }, SAVE_VIEW_DELAY_MS);
+    });
   }, 900);
 }
 
-document.addEventListener('DOMContentLoaded', () => {
-  const openBtn = document.getElementById('openAppBtn');
-  if (openBtn) {
-    openBtn.addEventListener('click', () => {
-      window.location.href = 'app.html';
-    });
+/**
+ * Bring the map up to date with the latest claims (they may have been
+ * made in the list view since the map was last shown).
+ */
+function refreshOverview() {
+  if (!overview) return;
+  const { map, pools, markers, quest } = overview;
+  document.title = `${document.title} — ${quest.title}`;
+
+  // The start view was changed on the settings screen.
+  if (readSettings().mapView !== overview.mapView) {
+    overview.mapView = settleMap(map, quest, pools);
+  }
+
+  const visitedMap = readVisited();
+  updateOverviewText(pools, visitedMap);
+
+  for (const pool of pools) {
+    if (markers[pool.id]) setOverviewIcon(markers[pool.id], pool, !!visitedMap[pool.id]?.done);
+  }
+
+  // "Not found yet" may match fewer pools since the last visit.
+  applyFilters();
+
+  // A replay still sailing from last time jumps to the end (it tidies up).
+  if (replay) {
+    replay.skip = true;
+    replay.wake?.();
+  } else {
+    showVoyage(map, pools, visitedMap);
   }
 
-  initOverviewMap().catch(err =>
-    console.error('Error during overview init', err)
+  showSuggestedRoute(map, pools, visitedMap, markers).catch(err =>
+    console.warn('Couldn’t plan a route', err)
   );
+
+  scheduleOverviewInvalidate(map);
+}
+
+let ready = null;
+
+/** ./map — set the map up the first time, then refresh it. */
+export async function showOverview() {
+  applyCrewTitles(t('title.map'));
+
+  if (!ready) {
+    ready = initOverviewMap().catch(err =>
+      console.error('Error during overview init', err)
+    );
+  }
+  await ready;
+
+  refreshOverview();
+}
+
+// Stamps claimed in another tab show up on the map straight away.
+subscribe(({ remote }) => {
+  const showing = !document.getElementById('mapScreen')?.hidden;
+  if (remote && ready && showing) showOverview();
 });
@@ -0,0 +1,125 @@
+// print.js
+// ========
+// The "Print my passport" page: every pool in the quest on paper-friendly
+// cards, and (once the quest is complete) a certificate to download.
+
+import { loadActiveQuest, loadPools, FALLBACK_STAMP } from './data.js';
+import { showDataProblems, showFatalError } from './notices.js';
+import { applyCrewTitles } from './crew.js';
+import { firstVisit, visitDate } from './dates.js';
+import { t, formatDate, translatePage } from './i18n.js';
+import { applyTheme, themeStamp, themeMascot } from './themes.js';
+import { readVisited, countVisited } from './storage.js';
+import { registerServiceWorker } from './offline.js';
+import { drawCertificate, downloadCanvas } from './certificate.js';
+
+// "16/12/2025 · 02/01/2026 · 14/02/2026" (or a reminder to go find it)
+function visitDatesText(v) {
+  if (!v?.done) return t('print.notFound');
+  if (!v.visits.length) return t('print.found');
+  return v.visits.map(visit => formatDate(visit)).join(' · ');
+}
+
+function renderPassport(profile, quest, pools, visited) {
+  document.getElementById('printTitle').textContent =
+    t('print.title', { avatar: profile.avatar, name: profile.name });
+  document.getElementById('printSummary').textContent =
+    t('print.summary', { quest: quest.title, count: countVisited(visited), total: pools.length });
+
+  const grid = document.getElementById('printGrid');
+  grid.innerHTML = '';
+
+  for (const p of pools) {
+    const v = visited[p.id];
+    const card = document.createElement('div');
+    card.className = `print-stamp ${v?.done ? 'claimed' : 'empty'}`;
+
+    card.innerHTML = `
+      <div class="print-stamp-art">
+        ${v?.done ? `<img src="${themeStamp(p.stamp || FALLBACK_STAMP)}" alt="">` : ''}
+      </div>
+      <div class="print-stamp-name">${p.name}</div>
+      ${p.suburb ? `<div class="print-stamp-suburb">${p.suburb}</div>` : ''}
+      <div class="print-stamp-dates">${visitDatesText(v)}</div>
+    `;
+
+    grid.appendChild(card);
+  }
+}
+
+// The day the quest was finished: the latest of the claims.
+function completedOn(pools, visited) {
+  const claims = pools
+    .map(p => firstVisit(visited[p.id]))
+    .filter(Boolean)
+    .sort((a, b) => visitDate(a) - visitDate(b));
+  return claims.length ? formatDate(claims[claims.length - 1]) : formatDate(new Date());
+}
+
+async function renderCertificate(profile, quest, pools, visited) {
+  const hint = document.getElementById('certificateHint');
+  const section = document.getElementById('certificate');
+
+  const complete = pools.length > 0 && pools.every(p => visited[p.id]?.done);
+  if (!complete) {
+    const left = pools.length - countVisited(visited);
+    hint.textContent = t('print.findMore', { count: left });
+    hint.hidden = false;
+    return;
+  }
+
+  const canvas = await drawCertificate({
+    name: profile.name,
+    questTitle: quest.title,
+    mascotSrc: themeMascot(quest.mascot),
+    stamps: pools.map(p => themeStamp(p.stamp || FALLBACK_STAMP)),
+    completedOn: completedOn(pools, visited)
+  });
+
+  document.getElementById('certificateImg').src = canvas.toDataURL('image/png');
+  section.hidden = false;
+
+  const who = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  document.getElementById('certificateBtn').addEventListener('click', () => {
+    downloadCanvas(canvas, `certificate-${who}-${quest.id}.png`).catch(err => alert(err.message));
+  });
+}
+
+async function init() {
+  translatePage();
+  applyTheme();
+  const profile = applyCrewTitles(t('title.passport'));
+  const { quest } = await loadActiveQuest();
+
+  let pools;
+  let problems;
+  try {
+    ({ pools, problems } = await loadPools(quest.pools));
+  } catch (err) {
+    console.error(err);
+    showFatalError(err.message);
+    return;
+  }
+  showDataProblems(problems, quest.pools);
+
+  const visited = readVisited();
+
+  document.getElementById('printBtn').addEventListener('click', () => window.print());
+
+  // Back to the passport screen (see router.js for ?route=).
+  document.getElementById('backBtn').addEventListener('click', () => {
+    window.location.href = 'index.html?route=passport';
+  });
+
+  renderPassport(profile, quest, pools, visited);
+  await renderCertificate(profile, quest, pools, visited);
+}
+
+registerServiceWorker();
+
+// Storage is opened at import (top-level await in storage.js), so the
+// page has usually finished loading by now: start straight away.
+init().catch(err => {
+  console.error('Error loading printable passport', err);
+  showFatalError(err.message);
+});
@@ -0,0 +1,89 @@
+// riddles.js
+// ==========
+// Riddle clues that must be solved before a pool can be claimed.
+//
+// A pool in pools.json can carry:
+//   "riddle": {
+//     "question": "Which river flows past Woolwich Baths?",
+//     "choices": ["Lane Cove River", "Parramatta River", "Nile"],   ← optional
+//     "answer": "Lane Cove River",          ← or a list of accepted answers
+//     "hints": ["It's named after a cove", "…", "…"]               ← up to 3
+//   }
+// With "choices" it's multiple choice; without, the kid types an answer.
+// Each field can also be given per language, e.g.
+//     "question": { "en": "Which river…?", "es": "¿Qué río…?" },
+//     "answer": { "en": ["sailors"], "es": ["marineros"] }
+// (see localized() in i18n.js).
+
+import { t, localized } from './i18n.js';
+
+// More than this many hints just gives the game away.
+export const MAX_HINTS = 3;
+
+/**
+ * Clean up a riddle from pools.json. Returns null if it can't be used.
+ * The result always has { question, choices: [] | [...], answers: [...], hints: [...] }.
+ */
+export function parseRiddle(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const text = localized(raw.question);
+  const question = typeof text === 'string' ? text.trim() : '';
+  const answer = localized(raw.answer);
+  const answers = (Array.isArray(answer) ? answer : [answer])
+    .filter(a => typeof a === 'string' && a.trim())
+    .map(a => a.trim());
+
+  if (!question || !answers.length) return null;
+
+  const rawChoices = localized(raw.choices);
+  const choices = Array.isArray(rawChoices)
+    ? rawChoices.filter(c => typeof c === 'string' && c.trim()).map(c => c.trim())
+    : [];
+
+  // Multiple choice only makes sense if the right answer is one of the choices.
+  const usableChoices = choices.length >= 2 && choices.some(c => isCorrectFor(answers, c))
+    ? choices
+    : [];
+
+  const rawHints = localized(raw.hints);
+  const hints = (Array.isArray(rawHints) ? rawHints : [])
+    .filter(h => typeof h === 'string' && h.trim())
+    .map(h => h.trim())
+    .slice(0, MAX_HINTS);
+
+  return { question, choices: usableChoices, answers, hints };
+}
+
+/**
+ * "  The Lane-Cove river! " → "lane cove river", "¡El Árbol!" → "arbol"
+ * So kids don't lose out over capitals, accents, spaces, punctuation or
+ * a leading article (English or Spanish).
+ */
+export function normalizeAnswer(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^(the|a|an|el|la|los|las|un|una) /, '');
+}
+
+function isCorrectFor(answers, guess) {
+  const g = normalizeAnswer(guess);
+  return !!g && answers.some(a => normalizeAnswer(a) === g);
+}
+
+/** Is `guess` a right answer to `riddle`? */
+export function checkRiddleAnswer(riddle, guess) {
+  return isCorrectFor(riddle.answers, guess);
+}
+
+/** 154 → "2m 34s", 40 → "40s", 4000 → "1h 6m" */
+export function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(seconds || 0));
+  if (s < 60) return t('units.seconds', { s });
+  if (s < 3600) return t('units.minutesSeconds', { m: Math.floor(s / 60), s: s % 60 });
+  return t('units.hoursMinutesShort', { h: Math.floor(s / 3600), m: Math.floor((s % 3600) / 60) });
+}
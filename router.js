@@ -0,0 +1,127 @@
+// router.js
+// =========
+// A tiny client-side router using the history API, so every screen has a
+// real URL that can be bookmarked or shared:
+//
+//   ./               the splash screen (who's playing?)
+//   ./map            the overview map
+//   ./pool/woolwich  one pool in the list view
+//   ./passport       the treasure passport
+//   ./settings       name, passport layout, celebrations, map start
+//
+// Paths here never start with "/": they're relative to the folder the app
+// lives in (APP_ROOT), so it works from a sub-folder too. The back and
+// forward buttons re-run the matching route.
+//
+// Static hosts don't know about these paths, so a fresh load of
+// ./pool/woolwich arrives via 404.html, which hands the path over as
+// ./?route=pool/woolwich. (Once installed, sw.js answers these paths with
+// index.html directly.)
+
+// The folder the app lives in (router.js sits at the top of it).
+export const APP_ROOT = new URL('./', import.meta.url);
+
+const routes = [];
+let fallback = null;
+
+/**
+ * Register a route. `pattern` is a path like "pool/:id"; the handler gets
+ * the named parts, e.g. { id: "woolwich" }.
+ */
+export function addRoute(pattern, handler) {
+  const names = [];
+  const source = pattern
+    .split('/')
+    .map(part => {
+      if (!part.startsWith(':')) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(part.slice(1));
+      return '([^/]+)';
+    })
+    .join('/');
+
+  routes.push({ regex: new RegExp(`^${source}$`), names, handler });
+}
+
+/** What to do when no route matches (e.g. go to the map). */
+export function setFallbackRoute(handler) {
+  fallback = handler;
+}
+
+/** The current path relative to APP_ROOT, e.g. "pool/woolwich" ("" for the splash). */
+export function currentRoute() {
+  const root = APP_ROOT.pathname;
+  const path = location.pathname.startsWith(root)
+    ? location.pathname.slice(root.length)
+    : location.pathname.replace(/^\//, '');
+
+  return decodeURIComponent(path.replace(/^index\.html$/, '').replace(/\/$/, ''));
+}
+
+/** The full URL for a route path, e.g. routeUrl('passport'). */
+export function routeUrl(path) {
+  return new URL(path, APP_ROOT).toString();
+}
+
+/**
+ * Go to `path` and show it. `replace` swaps the current history entry
+ * instead; `keepQuery` carries the query string over (e.g. ?import=… or
+ * ?preview=… when redirecting to the map).
+ */
+export function navigate(path, { replace = false, keepQuery = false } = {}) {
+  const url = routeUrl(path) + (keepQuery ? location.search : '');
+  if (replace) history.replaceState(null, '', url);
+  else history.pushState(null, '', url);
+  dispatch();
+}
+
+/**
+ * Change the URL without re-running any route, to keep it in step with
+ * what's already on screen (e.g. Prev/Next in the list view).
+ */
+export function setRoute(path) {
+  const url = routeUrl(path);
+  if (url !== location.href) history.replaceState(null, '', url);
+}
+
+function dispatch() {
+  const path = currentRoute();
+
+  for (const route of routes) {
+    const match = path.match(route.regex);
+    if (!match) continue;
+
+    const params = {};
+    route.names.forEach((name, i) => { params[name] = match[i + 1]; });
+    route.handler(params);
+    return;
+  }
+
+  fallback?.(path);
+}
+
+// Same-page links: <a href="map" data-route>Map</a>
+function onLinkClick(e) {
+  const link = e.target.closest('a[data-route]');
+  if (!link || e.defaultPrevented || e.button !== 0) return;
+  if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;  // new tab etc.
+
+  e.preventDefault();
+  const url = new URL(link.href);
+  navigate(url.pathname.slice(APP_ROOT.pathname.length));
+}
+
+/** Start listening for back/forward and link clicks, then show the current route. */
+export function startRouter() {
+  // Arrived from 404.html / sw.js with the real path in ?route=…
+  const params = new URLSearchParams(location.search);
+  const handedOver = params.get('route');
+  if (handedOver !== null) {
+    params.delete('route');
+    const rest = params.toString();
+    history.replaceState(null, '', routeUrl(handedOver.replace(/^\//, '')) + (rest ? `?${rest}` : ''));
+  }
+
+  window.addEventListener('popstate', dispatch);
+  document.addEventListener('click', onLinkClick);
+  dispatch();
+}
@@ -0,0 +1,188 @@
+// sync-server.mjs
+// ===============
+// A small progress server for family sync (see sync.js), so two phones
+// can share the kids' stamps. No packages needed, just Node 18 or newer:
+//
+//   node server/sync-server.mjs              listens on port 8787
+//   PORT=9000 node server/sync-server.mjs    …or another one
+//
+// Then, in the app: Settings → Family sync, enter this server's address
+// (e.g. http://192.168.1.20:8787) and the same family code on each phone.
+//
+// Everything is kept in one JSON file next to this one (sync-data.json,
+// or SYNC_DATA_FILE). There are no accounts: anyone who knows a family
+// code can read and change its stamps, so keep it on your home network.
+//
+// THE API
+// -------
+// One record per family, quest and crew member (by name, lower case):
+//
+//   GET /sync/:family/:quest/:crew
+//     → 200 { rev, visited, changes, updatedAt }   (rev 0 and {} if nothing yet)
+//
+//   PUT /sync/:family/:quest/:crew   with { rev, visited, changes }
+//     → 200 { rev, visited, changes, updatedAt }   saved; rev goes up by one
+//     → 409 { rev, visited, changes, updatedAt }   someone else saved first:
+//                                                  merge with this and try again
+//
+// `visited` is the app's visited map, and `changes` when each pool's claim
+// last changed (see readVisitChanges() in storage.js). The server doesn't
+// merge anything itself: the app does (see mergeProgress() in sync.js).
+
+import http from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA_FILE ||
+  fileURLToPath(new URL('./sync-data.json', import.meta.url));
+
+// Bigger bodies than this are refused (a quest's stamps are a few KB).
+const MAX_BODY_BYTES = 512 * 1024;
+
+// Family codes, quest ids and crew names in the URL.
+const FAMILY_PATTERN = /^[a-z0-9-]{4,40}$/i;
+const PART_PATTERN = /^[^/]{1,60}$/;
+
+// ----------------------------------------------------------
+// THE DATA FILE
+// ----------------------------------------------------------
+// { "<family>|<quest>|<crew>": { rev, visited, updatedAt }, … }
+
+let records = {};
+
+async function loadRecords() {
+  try {
+    records = JSON.parse(await readFile(DATA_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    records = {};
+  }
+}
+
+// Changes are queued so two at once can't interleave, and one that fails
+// to save doesn't hold up the ones after it.
+let saving = Promise.resolve();
+
+/**
+ * Change one record: `update(current)` returns the new record, or null to
+ * leave it as it is. The change is only kept once it's on disk.
+ * Resolves with the record as it now stands.
+ */
+function updateRecord(key, update) {
+  const step = saving.catch(() => {}).then(async () => {
+    const record = update(current(key));
+    if (!record) return current(key);
+
+    const next = { ...records, [key]: record };
+    const temp = `${DATA_FILE}.tmp`;
+    await writeFile(temp, JSON.stringify(next, null, 2));
+    await rename(temp, DATA_FILE);
+    records = next;
+    return record;
+  });
+  saving = step;
+  return step;
+}
+
+// ----------------------------------------------------------
+// REQUESTS
+// ----------------------------------------------------------
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    // The app is usually served from somewhere else.
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Too much data'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+      } catch {
+        reject(Object.assign(new Error('That isn’t JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// "/sync/smith-family/harbour/santiago" → the record's key, or null.
+function recordKey(pathname) {
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (parts.length !== 4 || parts[0] !== 'sync') return null;
+
+  const [, family, quest, crew] = parts;
+  if (!FAMILY_PATTERN.test(family) || !PART_PATTERN.test(quest) || !PART_PATTERN.test(crew)) return null;
+  return [family.toLowerCase(), quest, crew.toLowerCase()].join('|');
+}
+
+function current(key) {
+  return records[key] || { rev: 0, visited: {}, changes: {}, updatedAt: null };
+}
+
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let key;
+  try {
+    key = recordKey(pathname);
+  } catch {
+    key = null;   // badly encoded URL
+  }
+  if (!key) return send(res, 404, { error: 'Use /sync/<family code>/<quest>/<crew name>' });
+
+  if (req.method === 'GET') return send(res, 200, current(key));
+
+  if (req.method === 'PUT') {
+    const body = await readBody(req);
+    const visited = body?.visited;
+    const changes = body?.changes ?? {};
+    const isMap = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+    if (!isMap(visited) || !isMap(changes)) {
+      return send(res, 400, { error: 'Send { rev, visited, changes }' });
+    }
+
+    let conflict = false;
+    const record = await updateRecord(key, (saved) => {
+      if (Number(body.rev) !== saved.rev) {
+        conflict = true;
+        return null;
+      }
+      return { rev: saved.rev + 1, visited, changes, updatedAt: new Date().toISOString() };
+    });
+    return send(res, conflict ? 409 : 200, record);
+  }
+
+  return send(res, 405, { error: 'Only GET and PUT' });
+}
+
+await loadRecords();
+
+http.createServer((req, res) => {
+  handle(req, res).catch((err) => {
+    if (!err.status) console.error(err);
+    send(res, err.status || 500, { error: err.status ? err.message : 'Something went wrong' });
+  });
+}).listen(PORT, () => {
+  console.log(`Treasure Quest sync server on http://localhost:${PORT} (data in ${DATA_FILE})`);
+});
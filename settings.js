@@ -0,0 +1,146 @@
+// settings.js
+// ===========
+// The settings screen (./settings): the crew member's name, how many stamps
+// fit on a passport page, how long celebrations stay up, where the
+// overview map starts, and family sync. Every change is saved straight
+// away (storage.js); the other screens read the settings each time they
+// draw.
+// main.js calls showSettings() each time the screen is shown.
+
+import { applyCrewTitles } from './crew.js';
+import { t } from './i18n.js';
+import { syncNow } from './sync.js';
+import {
+  SETTING_CHOICES,
+  readSettings,
+  writeSettings,
+  readActiveProfileId,
+  updateProfile,
+  readSyncSettings,
+  writeSyncSettings
+} from './storage.js';
+
+const form         = document.getElementById('settingsForm');
+const nameInput    = document.getElementById('settingsName');
+const statusEl     = document.getElementById('settingsStatus');
+const syncUrlInput = document.getElementById('syncUrl');
+const familyInput  = document.getElementById('syncFamily');
+const syncNowBtn   = document.getElementById('syncNowBtn');
+
+let statusTimer = null;
+
+function showSaved() {
+  if (!statusEl) return;
+  statusEl.textContent = t('settings.saved');
+  window.clearTimeout(statusTimer);
+  statusTimer = window.setTimeout(() => { statusEl.textContent = ''; }, 1500);
+}
+
+// ----------------------------------------------------------
+// CHOICES (one group of radio buttons per setting)
+// ----------------------------------------------------------
+
+// Fill each <div data-setting="…"> with its choices, labelled by the
+// "settings.<name>.<value>" messages.
+function renderChoices() {
+  const settings = readSettings();
+
+  form.querySelectorAll('[data-setting]').forEach(group => {
+    const name = group.dataset.setting;
+    group.innerHTML = '';
+
+    for (const value of SETTING_CHOICES[name] || []) {
+      const label = document.createElement('label');
+      label.className = 'settings-choice';
+      label.innerHTML = `<input type="radio" name="${name}" value="${value}"> <span></span>`;
+
+      const input = label.querySelector('input');
+      input.checked = settings[name] === value;
+      label.querySelector('span').textContent = t(`settings.${name}.${value}`);
+      group.appendChild(label);
+    }
+  });
+}
+
+function onChoiceChange(e) {
+  const input = e.target;
+  if (input.type !== 'radio' || !(input.name in SETTING_CHOICES)) return;
+
+  // Radio values are strings; the choices may be numbers.
+  const value = SETTING_CHOICES[input.name].find(choice => String(choice) === input.value);
+  writeSettings({ ...readSettings(), [input.name]: value });
+  showSaved();
+}
+
+// ----------------------------------------------------------
+// NAME
+// ----------------------------------------------------------
+
+function onNameChange() {
+  const name = nameInput.value.trim();
+  const profile = applyCrewTitles(t('title.settings'));
+
+  // An empty name keeps the old one.
+  if (!name) {
+    nameInput.value = profile.name;
+    return;
+  }
+
+  if (name !== profile.name) {
+    updateProfile(readActiveProfileId(), { name });
+    applyCrewTitles(t('title.settings'));
+    showSaved();
+  }
+}
+
+// ----------------------------------------------------------
+// FAMILY SYNC (see sync.js)
+// ----------------------------------------------------------
+
+function renderSync() {
+  const { url, family } = readSyncSettings();
+  if (syncUrlInput) syncUrlInput.value = url;
+  if (familyInput) familyInput.value = family;
+}
+
+function onSyncChange() {
+  // Half-typed addresses and codes aren't saved.
+  if (!syncUrlInput.checkValidity() || !familyInput.checkValidity()) {
+    syncUrlInput.reportValidity() && familyInput.reportValidity();
+    return;
+  }
+
+  writeSyncSettings({ url: syncUrlInput.value.trim(), family: familyInput.value.trim() });
+  showSaved();
+  syncNow();
+}
+
+// ----------------------------------------------------------
+// SCREEN
+// ----------------------------------------------------------
+
+let ready = false;
+
+/** ./settings — draw the current settings. */
+export function showSettings() {
+  if (!form) return;
+
+  const profile = applyCrewTitles(t('title.settings'));
+  nameInput.value = profile.name;
+  renderChoices();
+  renderSync();
+
+  if (!ready) {
+    ready = true;
+    form.addEventListener('change', onChoiceChange);
+    nameInput.addEventListener('change', onNameChange);
+    syncUrlInput?.addEventListener('change', onSyncChange);
+    familyInput?.addEventListener('change', onSyncChange);
+    syncNowBtn?.addEventListener('click', () => syncNow());
+    // Enter in the name box saves it rather than reloading the page.
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      onNameChange();
+    });
+  }
+}
@@ -0,0 +1,245 @@
+// sounds.js
+// =========
+// Celebration noises and buzzes: a chime when treasure is claimed, a
+// fanfare (and a "yo-ho-ho!") when the quest is finished, and a page-turn
+// swish in the passport.
+//
+// There are no sound files: each sound is a little recipe of notes that
+// Web Audio plays into a buffer ahead of time, so it's ready the moment
+// it's needed. Phones only allow audio after the first tap, so nothing is
+// made until then (see setupSound()).
+//
+// The crew's volume / mute choice lives in storage.js; muted also means
+// no buzzing.
+
+import { t, currentLanguage } from './i18n.js';
+import { readSoundSettings, writeSoundSettings } from './storage.js';
+
+// Note frequencies (Hz) used below.
+const G4 = 392, C5 = 523.25, E5 = 659.25, G5 = 783.99;
+const C6 = 1046.5, E6 = 1318.51, G6 = 1567.98, C7 = 2093;
+
+// `length` is seconds. Each note: oscillator `type`, `freq`, start `at`
+// and `for` how long (seconds), with an optional `gain` (0–1).
+// `noise` is a burst of filtered hiss, swept from one pitch to another.
+const SOUNDS = {
+  chime: {
+    length: 1.4,
+    notes: [
+      { type: 'sine', freq: C6, at: 0,    for: 0.6 },
+      { type: 'sine', freq: E6, at: 0.08, for: 0.6 },
+      { type: 'sine', freq: G6, at: 0.16, for: 0.7 },
+      { type: 'sine', freq: C7, at: 0.24, for: 1.1, gain: 0.25 }
+    ]
+  },
+  fanfare: {
+    length: 2.4,
+    notes: [
+      { type: 'triangle', freq: G4, at: 0,    for: 0.18 },
+      { type: 'triangle', freq: C5, at: 0.2,  for: 0.18 },
+      { type: 'triangle', freq: E5, at: 0.4,  for: 0.18 },
+      { type: 'triangle', freq: G5, at: 0.6,  for: 0.45 },
+      { type: 'triangle', freq: E5, at: 1.1,  for: 0.15 },
+      { type: 'triangle', freq: G5, at: 1.3,  for: 1.0 },
+      { type: 'sine',     freq: C5, at: 1.3,  for: 1.0, gain: 0.2 },
+      { type: 'sine',     freq: E5, at: 1.3,  for: 1.0, gain: 0.2 }
+    ]
+  },
+  pageTurn: {
+    length: 0.35,
+    noise: { at: 0, for: 0.28, from: 700, to: 3200, gain: 0.35 }
+  }
+};
+
+// Buzz patterns (ms on, off, on…) for navigator.vibrate().
+const VIBRATIONS = {
+  claim: [60, 40, 120],
+  finale: [100, 60, 100, 60, 300]
+};
+
+let settings = readSoundSettings();
+let context = null;          // the AudioContext, made on the first tap
+const buffers = {};          // sound name → AudioBuffer, once made
+const controls = [];         // header controls to keep in step
+
+// ----------------------------------------------------------
+// MAKING THE SOUNDS
+// ----------------------------------------------------------
+
+// Play a recipe into an AudioBuffer (faster than real time, off-screen).
+function renderSound(recipe, sampleRate) {
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const ctx = new Offline(1, Math.ceil(recipe.length * sampleRate), sampleRate);
+
+  for (const note of recipe.notes || []) {
+    const osc = ctx.createOscillator();
+    osc.type = note.type;
+    osc.frequency.value = note.freq;
+
+    // Quick strike, then a bell-like fade.
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0, note.at);
+    env.gain.linearRampToValueAtTime(note.gain ?? 0.3, note.at + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.001, note.at + note.for);
+
+    osc.connect(env).connect(ctx.destination);
+    osc.start(note.at);
+    osc.stop(note.at + note.for + 0.05);
+  }
+
+  if (recipe.noise) {
+    const { at, for: duration, from, to, gain } = recipe.noise;
+    const hiss = ctx.createBuffer(1, Math.ceil(duration * sampleRate), sampleRate);
+    const data = hiss.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+    const source = ctx.createBufferSource();
+    source.buffer = hiss;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 1.2;
+    filter.frequency.setValueAtTime(from, at);
+    filter.frequency.exponentialRampToValueAtTime(to, at + duration);
+
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0, at);
+    env.gain.linearRampToValueAtTime(gain, at + duration * 0.3);
+    env.gain.linearRampToValueAtTime(0, at + duration);
+
+    source.connect(filter).connect(env).connect(ctx.destination);
+    source.start(at);
+  }
+
+  return ctx.startRendering();
+}
+
+// Make every sound once, in the background.
+function preloadSounds() {
+  for (const [name, recipe] of Object.entries(SOUNDS)) {
+    renderSound(recipe, context.sampleRate)
+      .then(buffer => { buffers[name] = buffer; })
+      .catch(err => console.warn(`Couldn’t make the "${name}" sound`, err));
+  }
+}
+
+// Called from the first tap or key press: browsers only start audio then.
+function unlockAudio() {
+  const Context = window.AudioContext || window.webkitAudioContext;
+  if (!Context) return;
+
+  try {
+    if (!context) {
+      context = new Context();
+      preloadSounds();
+    }
+    if (context.state === 'suspended') context.resume();
+  } catch (err) {
+    console.warn('Web Audio unavailable', err);
+  }
+}
+
+// ----------------------------------------------------------
+// PLAYING
+// ----------------------------------------------------------
+
+/** Play a sound by name ('chime', 'fanfare', 'pageTurn'), unless muted. */
+export function playSound(name) {
+  if (settings.muted || !settings.volume || !context || !buffers[name]) return;
+
+  const source = context.createBufferSource();
+  source.buffer = buffers[name];
+  const volume = context.createGain();
+  volume.gain.value = settings.volume;
+  source.connect(volume).connect(context.destination);
+  source.start();
+}
+
+/** Buzz the phone ('claim' or 'finale'), where phones can, unless muted. */
+export function vibrate(name) {
+  if (settings.muted || !navigator.vibrate) return;
+  try { navigator.vibrate(VIBRATIONS[name]); } catch (e) {}
+}
+
+/** Captain Raymond's "Yo-ho-ho!" (spoken by the device, in the crew's language). */
+export function cheer() {
+  if (settings.muted || !settings.volume || !window.speechSynthesis) return;
+
+  const words = new SpeechSynthesisUtterance(t('sound.cheer'));
+  words.lang = currentLanguage().locale;
+  words.pitch = 0.6;
+  words.rate = 0.85;
+  words.volume = settings.volume;
+  window.speechSynthesis.speak(words);
+}
+
+// ----------------------------------------------------------
+// MUTE + VOLUME (in the headers)
+// ----------------------------------------------------------
+
+// Use new settings straight away (every header's control shows them).
+function applySettings(changes) {
+  settings = { ...settings, ...changes };
+  controls.forEach(renderControl);
+}
+
+function saveSettings(changes) {
+  applySettings(changes);
+  writeSoundSettings(settings);
+}
+
+function renderControl({ button, slider }) {
+  const silent = settings.muted || settings.volume === 0;
+  button.textContent = silent ? '🔇' : settings.volume < 0.5 ? '🔈' : '🔊';
+  button.setAttribute('aria-pressed', String(settings.muted));
+  button.setAttribute('aria-label', settings.muted ? t('sound.unmute') : t('sound.mute'));
+  button.title = button.getAttribute('aria-label');
+  if (slider) {
+    slider.value = String(Math.round(settings.volume * 100));
+    slider.disabled = settings.muted;
+  }
+}
+
+/**
+ * Wire up a header sound control:
+ *   <div data-sound-control>
+ *     <button type="button"></button>            mute / unmute
+ *     <input type="range" min="0" max="100">     volume
+ *   </div>
+ */
+export function setupSoundControl(el) {
+  const button = el?.querySelector('button');
+  if (!button) return;
+
+  const control = { button, slider: el.querySelector('input[type="range"]') };
+  controls.push(control);
+  renderControl(control);
+
+  button.addEventListener('click', () => {
+    saveSettings({ muted: !settings.muted });
+    if (!settings.muted) playSound('chime');
+  });
+
+  // Used while dragging, but only saved (and sent to the other tabs)
+  // once it's let go.
+  control.slider?.addEventListener('input', () => {
+    applySettings({ volume: Number(control.slider.value) / 100 });
+  });
+  control.slider?.addEventListener('change', () => {
+    saveSettings({ volume: Number(control.slider.value) / 100 });
+    playSound('chime');
+  });
+}
+
+/** Get audio ready on the first tap or key press (needed on phones). */
+export function setupSound() {
+  const unlock = () => {
+    unlockAudio();
+    if (context?.state === 'running') {
+      document.removeEventListener('pointerdown', unlock);
+      document.removeEventListener('keydown', unlock);
+    }
+  };
+  document.addEventListener('pointerdown', unlock);
+  document.addEventListener('keydown', unlock);
+}
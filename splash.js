@@ -0,0 +1,273 @@
+// splash.js
+// =========
+// The splash screen: greets whoever is playing, lets the crew
+// pick / add / rename / delete profiles, then starts the quest.
+// main.js shows it at the start of each session (and from Exit).
+
+import { CREW_AVATARS, applyCrewTitles } from './crew.js';
+import { decodeShareCode } from './backup.js';
+import { deleteJournalEntries } from './journal.js';
+import { currentRoute, routeUrl } from './router.js';
+import { t } from './i18n.js';
+import {
+  writeActiveQuestId,
+  readProfiles,
+  readActiveProfileId,
+  writeActiveProfileId,
+  addProfile,
+  updateProfile,
+  deleteProfile,
+  countProfileStamps,
+  subscribe,
+  flush
+} from './storage.js';
+
+const startBtn      = document.getElementById('startBtn');
+const greetingEl    = document.getElementById('crewGreeting');
+const crewList      = document.getElementById('crewList');
+const editor        = document.getElementById('crewEditor');
+const nameInput     = document.getElementById('crewNameInput');
+const avatarGrid    = document.getElementById('crewAvatarGrid');
+const deleteBtn     = document.getElementById('crewDeleteBtn');
+const cancelBtn     = document.getElementById('crewCancelBtn');
+const importNote    = document.getElementById('importNote');
+
+// Set in sessionStorage once "Begin" is pressed, so the splash only shows
+// once per session (see main.js).
+const SPLASH_SEEN_KEY = 'splashSeen';
+
+// Which profile the editor is working on (null = adding a new one)
+let editingId = null;
+let editingAvatar = CREW_AVATARS[0];
+
+// ----------------------------------------------------------
+// GREETING + START BUTTON
+// ----------------------------------------------------------
+
+function renderGreeting() {
+  const profile = applyCrewTitles();
+  if (greetingEl) greetingEl.textContent = t('splash.greeting', { name: profile.name });
+
+  // Resume only if *this* crew member has stamps somewhere.
+  if (startBtn) {
+    startBtn.textContent = countProfileStamps(profile.id) > 0
+      ? t('splash.resume')
+      : t('splash.begin');
+  }
+}
+
+// ----------------------------------------------------------
+// CREW LIST
+// ----------------------------------------------------------
+
+function renderCrewList() {
+  if (!crewList) return;
+
+  const activeId = readActiveProfileId();
+  crewList.innerHTML = '';
+
+  for (const p of readProfiles()) {
+    const isActive = p.id === activeId;
+    const stamps = countProfileStamps(p.id);
+
+    const chip = document.createElement('div');
+    chip.className = `crew-chip${isActive ? ' active' : ''}`;
+
+    const pick = document.createElement('button');
+    pick.type = 'button';
+    pick.className = 'crew-pick';
+    pick.setAttribute('aria-pressed', String(isActive));
+    pick.innerHTML = `
+      <span class="crew-avatar"></span>
+      <span class="crew-name"></span>
+      <span class="crew-stamps">${t('crew.stamps', { count: stamps })}</span>
+    `;
+    // Names are typed by kids, so set them as text rather than HTML.
+    pick.querySelector('.crew-avatar').textContent = p.avatar;
+    pick.querySelector('.crew-name').textContent = p.name;
+    pick.addEventListener('click', () => {
+      writeActiveProfileId(p.id);
+      closeEditor();
+      render();
+    });
+
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'crew-edit';
+    edit.textContent = '✏️';
+    edit.setAttribute('aria-label', t('crew.edit', { name: p.name }));
+    edit.addEventListener('click', () => openEditor(p));
+
+    chip.append(pick, edit);
+    crewList.appendChild(chip);
+  }
+
+  const add = document.createElement('button');
+  add.type = 'button';
+  add.className = 'crew-chip crew-add';
+  add.textContent = t('crew.add');
+  add.addEventListener('click', () => openEditor(null));
+  crewList.appendChild(add);
+}
+
+// ----------------------------------------------------------
+// EDITOR (add / rename / change avatar / delete)
+// ----------------------------------------------------------
+
+function renderAvatarGrid() {
+  if (!avatarGrid) return;
+  avatarGrid.innerHTML = '';
+
+  for (const avatar of CREW_AVATARS) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `crew-avatar-option${avatar === editingAvatar ? ' selected' : ''}`;
+    btn.textContent = avatar;
+    btn.setAttribute('role', 'radio');
+    btn.setAttribute('aria-checked', String(avatar === editingAvatar));
+    btn.addEventListener('click', () => {
+      editingAvatar = avatar;
+      renderAvatarGrid();
+    });
+    avatarGrid.appendChild(btn);
+  }
+}
+
+function openEditor(profile) {
+  if (!editor) return;
+
+  editingId = profile ? profile.id : null;
+  editingAvatar = profile ? profile.avatar : CREW_AVATARS[0];
+  nameInput.value = profile ? profile.name : '';
+
+  // You can't delete someone who doesn't exist yet, or the only crew member.
+  deleteBtn.hidden = !profile || readProfiles().length <= 1;
+
+  renderAvatarGrid();
+  editor.hidden = false;
+  nameInput.focus();
+}
+
+function closeEditor() {
+  if (editor) editor.hidden = true;
+  editingId = null;
+}
+
+function render() {
+  renderGreeting();
+  renderCrewList();
+}
+
+// ----------------------------------------------------------
+// SHARE LINKS (./?import=CODE)
+// ----------------------------------------------------------
+// The code is parked in sessionStorage; app.js shows the merge preview
+// once we know which crew member it's for.
+
+function checkForShareLink() {
+  const params = new URLSearchParams(window.location.search);
+  const code = params.get('import');
+  if (!code) return;
+
+  // Tidy the URL so a refresh doesn't offer the import again.
+  history.replaceState(null, '', window.location.pathname);
+
+  let decoded;
+  try {
+    decoded = decodeShareCode(code);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+
+  try { sessionStorage.setItem('pendingImport', code); } catch (e) {}
+  writeActiveQuestId(decoded.quest);
+  if (importNote) importNote.hidden = false;
+}
+
+// ----------------------------------------------------------
+// WIRING
+// ----------------------------------------------------------
+
+editor?.addEventListener('submit', (e) => {
+  e.preventDefault();
+
+  const name = nameInput.value.trim();
+  if (!name) return;
+
+  if (editingId) {
+    updateProfile(editingId, { name, avatar: editingAvatar });
+  } else {
+    // A brand-new crew member is probably the one about to play.
+    const created = addProfile({ name, avatar: editingAvatar });
+    writeActiveProfileId(created.id);
+  }
+
+  closeEditor();
+  render();
+});
+
+cancelBtn?.addEventListener('click', closeEditor);
+
+deleteBtn?.addEventListener('click', () => {
+  const profile = readProfiles().find(p => p.id === editingId);
+  if (!profile) return;
+
+  const ok = confirm(t('crew.confirmDelete', { name: profile.name }));
+  if (!ok) return;
+
+  deleteProfile(profile.id);
+  deleteJournalEntries(`${profile.id}|`).catch(err =>
+    console.warn('Error removing journal entries', err)
+  );
+  closeEditor();
+  render();
+});
+
+startBtn?.addEventListener('click', async () => {
+  try { sessionStorage.setItem(SPLASH_SEEN_KEY, '1'); } catch (e) {}
+
+  // Carry on to the link we were opened with (./pool/woolwich), or the map.
+  // Imported treasure is previewed on the passport.
+  let route = currentRoute() || 'map';
+  try {
+    if (sessionStorage.getItem('pendingImport')) route = 'passport';
+  } catch (e) {}
+
+  // A full load, so the map and app start fresh for whoever was picked.
+  await flush();
+  location.assign(routeUrl(route));
+});
+
+// ----------------------------------------------------------
+// SCREEN (called by main.js)
+// ----------------------------------------------------------
+
+/** Has the splash been passed already this session? */
+export function splashSeen() {
+  try {
+    return sessionStorage.getItem(SPLASH_SEEN_KEY) === '1';
+  } catch {
+    return true;  // no sessionStorage: don't trap anyone on the splash
+  }
+}
+
+let shareLinkChecked = false;
+
+/** Show the crew picker (and offer any treasure from a share link). */
+export function showSplash() {
+  if (!shareLinkChecked) {
+    shareLinkChecked = true;
+    checkForShareLink();
+  }
+
+  closeEditor();
+  render();
+}
+
+// Stamps claimed (or crew changed) in another tab: keep Begin / Resume and
+// the crew list up to date, unless a profile is being edited.
+subscribe(({ remote }) => {
+  const showing = !document.getElementById('splashScreen')?.hidden;
+  if (remote && showing && editor?.hidden !== false) render();
+});
@@ -1,64 +1,727 @@
 // storage.js
 // ==========
-// All functions that talk to localStorage live in this file.
-// This keeps read/write logic in one place so both the app and
-// the overview map can share it.
-
-// Keys used in localStorage. Keeping them in one object means we
-// only have to change them in one place if we ever rename things.
-export const LS_KEYS = {
-  VISITED: 'harbour_pools_visited_v2_3',
-  SELECTION: 'harbour_pools_selected_v2_3',
-  STAMPS_PAGE: 'harbour_pools_stamps_page_v1'
+// Everything the app saves goes through this file: progress, crew profiles
+// and the family's settings. This keeps read/write logic in one place so
+// every screen can share it.
+//
+// It's all ONE document with a version number:
+//
+//   {
+//     version: 2,
+//     device: {                      shared by the whole crew
+//       activeQuest, activeProfile, profiles, parentPin, language, theme,
+//       sound, settings, mapFilters, mapViews, gallery, sync, syncQueue,
+//       syncedAt
+//     },
+//     progress: {                    per crew member, per quest
+//       [profileId]: { [questId]: { visited, changes, selection, stampsPage,
+//                                   riddles, badges, audit, finale } }
+//     },
+//     poolsCache: { [file]: { savedAt, pools } },
+//     editorDrafts: { [file]: { savedAt, pools } }   (see editor.js)
+//   }
+//
+// Where it's kept, best first:
+//   1. IndexedDB
+//   2. localStorage, where IndexedDB won't open
+//   3. memory only, when neither works (some private browsing windows):
+//      everything still works, but is gone when the page closes, so the
+//      page shows a warning (see onStorageProblem()).
+//
+// The document is loaded once, before any other module runs (this module
+// waits for it), so reading is instant. Each write updates it straight
+// away and is saved in the background. subscribe() hears about changes,
+// including ones made in another tab or (through family sync) on another
+// device.
+//
+// Older versions of the app saved one localStorage key per thing, like
+// "harbour_pools_visited_v2_3". MIGRATIONS below bring a save from any
+// older version up to date, one step at a time.
+
+import { dateKey, dateFromKey, isVisit, sortVisits } from './dates.js';
+
+// The document's current version. Add a step to MIGRATIONS when it changes.
+const DOC_VERSION = 2;
+
+const DB_NAME = 'treasure-progress';
+const DB_STORE = 'documents';
+const DOC_ID = 'progress';
+
+// The localStorage key, when that's where the document lives.
+const LS_DOC_KEY = 'treasure_quest_progress';
+
+// Other tabs are told about changes on this channel.
+const CHANNEL_NAME = 'treasure-quest-progress';
+
+// Opening IndexedDB can hang (e.g. blocked by an old tab): give up after this.
+const IDB_OPEN_TIMEOUT_MS = 3000;
+
+// The original (and default) quest.
+export const DEFAULT_QUEST_ID = 'harbour';
+
+// The first crew member, for a device that was used before profiles.
+export const DEFAULT_PROFILE = { id: 'crew-1', name: 'Santiago', avatar: '🏴‍☠️' };
+
+// ----------------------------------------------------------
+// OLDER SAVES (one localStorage key per thing)
+// ----------------------------------------------------------
+// Only read now, by the first migration.
+
+const LEGACY_KEYS = {
+  PARENT_PIN: 'harbour_pools_parent_pin_v1',
+  ACTIVE_QUEST: 'harbour_pools_active_quest_v1',
+  PROFILES: 'harbour_pools_profiles_v1',
+  ACTIVE_PROFILE: 'harbour_pools_active_profile_v1',
+  POOLS_CACHE: 'harbour_pools_pools_cache_v1',
+  MAP_FILTERS: 'harbour_pools_map_filters_v1',
+  LANGUAGE: 'harbour_pools_language_v1',
+  THEME: 'harbour_pools_theme_v1',
+  SOUND: 'harbour_pools_sound_v1',
+  SETTINGS: 'harbour_pools_settings_v1',
+  MAP_VIEWS: 'harbour_pools_map_views_v1'
 };
 
+// Progress keys, by the document field they became. Anything other than
+// the default quest and crew member had the ids on the end, e.g.
+//   "harbour_pools_visited_v2_3__northern-beaches"            (quest)
+//   "harbour_pools_visited_v2_3__crew-k3x9"                   (crew member)
+//   "harbour_pools_visited_v2_3__northern-beaches__crew-k3x9" (both)
+const LEGACY_PROGRESS_KEYS = {
+  visited: 'harbour_pools_visited_v2_3',
+  selection: 'harbour_pools_selected_v2_3',
+  stampsPage: 'harbour_pools_stamps_page_v1',
+  riddles: 'harbour_pools_riddles_v1',
+  badges: 'harbour_pools_badges_v1',
+  audit: 'harbour_pools_audit_v1',
+  finale: 'harbour_pools_finale_v1'
+};
+
+function legacyItem(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function legacyJson(key) {
+  try {
+    return JSON.parse(legacyItem(key) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+// A progress value as it was saved under its own key.
+function legacyProgressValue(field, raw) {
+  if (field === 'finale') return raw === '1';
+  if (field === 'selection') return raw;
+  if (field === 'stampsPage') return Number(raw) || 0;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return undefined;
+  }
+}
+
+// Gather every old key into a version 1 document.
+function collectLegacyKeys() {
+  const doc = {
+    device: {
+      activeQuest: legacyItem(LEGACY_KEYS.ACTIVE_QUEST),
+      activeProfile: legacyItem(LEGACY_KEYS.ACTIVE_PROFILE),
+      profiles: legacyJson(LEGACY_KEYS.PROFILES),
+      parentPin: legacyItem(LEGACY_KEYS.PARENT_PIN),
+      language: legacyItem(LEGACY_KEYS.LANGUAGE),
+      theme: legacyItem(LEGACY_KEYS.THEME),
+      sound: legacyJson(LEGACY_KEYS.SOUND),
+      settings: legacyJson(LEGACY_KEYS.SETTINGS),
+      mapFilters: legacyJson(LEGACY_KEYS.MAP_FILTERS),
+      mapViews: legacyJson(LEGACY_KEYS.MAP_VIEWS) || {}
+    },
+    progress: {},
+    poolsCache: {}
+  };
+
+  let keys = [];
+  try {
+    keys = Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i));
+  } catch {}
+
+  for (const key of keys) {
+    if (!key) continue;
+
+    if (key.startsWith(`${LEGACY_KEYS.POOLS_CACHE}__`)) {
+      doc.poolsCache[key.slice(LEGACY_KEYS.POOLS_CACHE.length + 2)] = legacyJson(key);
+      continue;
+    }
+
+    const field = Object.keys(LEGACY_PROGRESS_KEYS).find(f => {
+      const base = LEGACY_PROGRESS_KEYS[f];
+      return key === base || key.startsWith(`${base}__`);
+    });
+    if (!field) continue;
+
+    // "__northern-beaches__crew-k3x9" → quest + crew member
+    const ids = key.slice(LEGACY_PROGRESS_KEYS[field].length).split('__').filter(Boolean);
+    const profileId = ids.find(id => id.startsWith('crew-')) || DEFAULT_PROFILE.id;
+    const questId = ids.find(id => !id.startsWith('crew-')) || DEFAULT_QUEST_ID;
+
+    const value = legacyProgressValue(field, legacyItem(key));
+    if (value !== undefined && value !== null) progressSlot(doc, profileId, questId)[field] = value;
+  }
+
+  return doc;
+}
+
+// ----------------------------------------------------------
+// MIGRATIONS
+// ----------------------------------------------------------
+// MIGRATIONS[n] turns a version n document into version n + 1. A save from
+// any older version goes through every step after it, in order.
+// (Version 0 is "no document yet": the old one-key-per-thing saves.)
+
+const MIGRATIONS = [
+  // 0 → 1: one localStorage key per thing → one document
+  () => collectLegacyKeys(),
+
+  // 1 → 2: every visited map as lists of visits (see normalizeVisitedMap())
+  (doc) => {
+    for (const quests of Object.values(doc.progress || {})) {
+      for (const progress of Object.values(quests || {})) {
+        if (progress && progress.visited) progress.visited = normalizeVisitedMap(progress.visited);
+      }
+    }
+    return doc;
+  }
+];
+
+/** Bring a saved document (or null for "nothing saved yet") up to date. */
+function migrate(saved) {
+  let doc = saved && typeof saved === 'object' ? saved : { version: 0 };
+  const from = Number(doc.version) || 0;
+
+  if (from > DOC_VERSION) {
+    console.warn(`Progress was saved by a newer version of the app (v${from}); using it as it is`);
+  }
+
+  for (let version = from; version < DOC_VERSION; version++) {
+    doc = { ...MIGRATIONS[version](doc), version: version + 1 };
+  }
+
+  doc.device = doc.device || {};
+  doc.progress = doc.progress || {};
+  doc.poolsCache = doc.poolsCache || {};
+  doc.editorDrafts = doc.editorDrafts || {};
+  return doc;
+}
+
+// ----------------------------------------------------------
+// BACKENDS
+// ----------------------------------------------------------
+// Each one has:
+//   name              'indexeddb' | 'localstorage' | 'memory'
+//   load()            → Promise of the saved document (or null)
+//   update(mutate)    re-reads the saved document, applies `mutate` to it
+//                     and saves it, so changes made by another tab in the
+//                     meantime aren't lost
+
+function indexedDbBackend(db) {
+  // Run `work(store, resolveWith)` in one transaction; settles once it's saved.
+  const inTransaction = (mode, work) => new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, mode);
+    let result = null;
+    work(tx.objectStore(DB_STORE), (value) => { result = value; });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  return {
+    name: 'indexeddb',
+
+    load: () => inTransaction('readonly', (store, resolveWith) => {
+      const get = store.get(DOC_ID);
+      get.onsuccess = () => resolveWith(get.result ?? null);
+    }),
+
+    update: (mutate) => inTransaction('readwrite', (store) => {
+      const get = store.get(DOC_ID);
+      get.onsuccess = () => {
+        const saved = get.result ? migrate(get.result) : structuredClone(doc);
+        mutate(saved);
+        store.put(saved, DOC_ID);
+      };
+    })
+  };
+}
+
+function openIndexedDb() {
+  return new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB isn’t supported'));
+      return;
+    }
+
+    const timer = window.setTimeout(() => reject(new Error('IndexedDB took too long to open')), IDB_OPEN_TIMEOUT_MS);
+    try {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(DB_STORE);
+      };
+      request.onsuccess = () => {
+        window.clearTimeout(timer);
+        resolve(indexedDbBackend(request.result));
+      };
+      request.onerror = () => {
+        window.clearTimeout(timer);
+        reject(request.error);
+      };
+    } catch (err) {
+      window.clearTimeout(timer);
+      reject(err);
+    }
+  });
+}
+
+function readLocalDocument() {
+  try {
+    return JSON.parse(localStorage.getItem(LS_DOC_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+const localStorageBackend = {
+  name: 'localstorage',
+
+  load: async () => readLocalDocument(),
+
+  update: async (mutate) => {
+    const raw = readLocalDocument();
+    const saved = raw ? migrate(raw) : structuredClone(doc);
+    mutate(saved);
+    localStorage.setItem(LS_DOC_KEY, JSON.stringify(saved));
+  }
+};
+
+const memoryBackend = {
+  name: 'memory',
+  load: async () => null,
+  update: async () => {}
+};
+
+// Some private windows have localStorage but throw when it's written to.
+function localStorageWorks() {
+  try {
+    localStorage.setItem(`${LS_DOC_KEY}__test`, '1');
+    localStorage.removeItem(`${LS_DOC_KEY}__test`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ----------------------------------------------------------
+// THE DOCUMENT
+// ----------------------------------------------------------
+
+let doc = null;        // the up-to-date document (set by openStorage())
+let backend = null;    // where it's saved
+let channel = null;    // BroadcastChannel to the other tabs, where supported
+
+const listeners = new Set();
+const problemHandlers = new Set();
+let problem = null;    // 'memory' | 'save' once something has gone wrong
+
+// Saves still on their way to the backend. Another tab's change is only
+// loaded once they've landed, so it can't hide this tab's newest writes.
+let pendingSaves = 0;
+let reloadWanted = false;
+let allSaved = Promise.resolve();   // see flush()
+
+function notify(change) {
+  listeners.forEach(listener => {
+    try {
+      listener(change);
+    } catch (err) {
+      console.error('Error in storage listener', err);
+    }
+  });
+}
+
+function reportProblem(kind) {
+  if (problem) return;
+  problem = kind;
+  problemHandlers.forEach(handler => handler(kind));
+}
+
+// Another tab saved something: load it and tell this tab's screens.
+async function reloadFromBackend() {
+  if (pendingSaves > 0) {
+    reloadWanted = true;
+    return;
+  }
+  try {
+    const saved = await backend.load();
+    if (saved) doc = migrate(saved);
+    notify({ remote: true });
+  } catch (err) {
+    console.warn('Error loading progress changed in another tab', err);
+  }
+}
+
+/**
+ * Apply `mutate(doc)` now, then save it in the background. Every write in
+ * this file comes through here. `remote` marks changes that came from
+ * somewhere else (family sync), so screens redraw as they would for
+ * another tab's.
+ */
+function change(mutate, { remote = false } = {}) {
+  mutate(doc);
+  notify({ remote });
+
+  pendingSaves++;
+  const save = backend.update(mutate)
+    .then(() => channel?.postMessage('changed'))
+    .catch(err => {
+      console.warn('Error saving progress', err);
+      reportProblem('save');
+    })
+    .finally(() => {
+      pendingSaves--;
+      if (pendingSaves === 0 && reloadWanted) {
+        reloadWanted = false;
+        reloadFromBackend();
+      }
+    });
+  allSaved = Promise.all([allSaved, save]);
+}
+
+async function openStorage() {
+  try {
+    backend = await openIndexedDb();
+  } catch (err) {
+    console.warn('IndexedDB unavailable, saving progress in localStorage instead', err);
+    backend = localStorageWorks() ? localStorageBackend : null;
+  }
+  if (!backend) {
+    console.warn('Nowhere to save progress (private browsing?): it will be lost when the page closes');
+    backend = memoryBackend;
+    problem = 'memory';
+  }
+
+  let saved = null;
+  try {
+    saved = await backend.load();
+  } catch (err) {
+    console.warn('Error loading progress', err);
+  }
+  const fromBackend = !!saved;
+
+  // Nothing in IndexedDB yet: carry over a document saved while only
+  // localStorage worked, or else the old one-key-per-thing save.
+  if (!saved) saved = readLocalDocument();
+
+  doc = migrate(saved);
+  if (!fromBackend || saved.version !== doc.version) {
+    backend.update(() => {}).catch(err => {
+      console.warn('Error saving upgraded progress', err);
+      reportProblem('save');
+    });
+  }
+
+  // Changes from other tabs
+  if ('BroadcastChannel' in window) {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = () => reloadFromBackend();
+  } else if (backend === localStorageBackend) {
+    window.addEventListener('storage', (e) => {
+      if (e.key === LS_DOC_KEY) reloadFromBackend();
+    });
+  }
+}
+
+await openStorage();
+
+/**
+ * Call `listener({ remote })` after every change to what's saved: remote is
+ * true when the change was made in another tab, or arrived through family
+ * sync. Returns a function that stops listening.
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
 /**
- * Older versions of the app stored visited pools as booleans (true/false).
- * Newer versions store an object: { done: boolean, date: "YYYY-MM-DD" | null }.
+ * Resolves once every change made so far has been saved. Wait for it
+ * before leaving or reloading the page, or the last change may be lost.
+ * (A failed save is reported through onStorageProblem(), not here.)
+ */
+export function flush() {
+  return allSaved;
+}
+
+/**
+ * Call `handler(kind)` if progress can't be kept: 'memory' when there's
+ * nowhere to save it (it goes when the page closes), 'save' when saving
+ * failed. Called straight away if that's already happened.
+ */
+export function onStorageProblem(handler) {
+  problemHandlers.add(handler);
+  if (problem) handler(problem);
+}
+
+/** Where progress is being kept: 'indexeddb', 'localstorage' or 'memory'. */
+export function storageBackend() {
+  return backend.name;
+}
+
+// A device-wide value (see "device" at the top), or `fallback` if unset.
+function readDevice(name, fallback) {
+  const value = doc.device[name];
+  return value === undefined || value === null ? fallback : structuredClone(value);
+}
+
+function writeDevice(name, value) {
+  change(d => { d.device[name] = structuredClone(value); });
+}
+
+// ----------------------------------------------------------
+// QUEST + CREW SCOPING
+// ----------------------------------------------------------
+// Visited pools, selection, passport page and the rest belong to ONE quest
+// and ONE crew member: progress[profileId][questId].
+
+/** Read which quest is being played. Defaults to the harbour quest. */
+export function readActiveQuestId() {
+  return readDevice('activeQuest', DEFAULT_QUEST_ID);
+}
+
+/** Persist which quest is being played. */
+export function writeActiveQuestId(questId) {
+  writeDevice('activeQuest', String(questId || DEFAULT_QUEST_ID));
+}
+
+// One crew member's progress in one quest, made if it isn't there yet.
+function progressSlot(d, profileId, questId) {
+  d.progress[profileId] = d.progress[profileId] || {};
+  d.progress[profileId][questId] = d.progress[profileId][questId] || {};
+  return d.progress[profileId][questId];
+}
+
+// A progress value for a quest and a crew member (the active ones by
+// default), or `fallback` if there isn't one.
+function readProgress(field, fallback, questId = readActiveQuestId(), profileId = readActiveProfileId()) {
+  const value = doc.progress[profileId]?.[questId]?.[field];
+  return value === undefined || value === null ? fallback : structuredClone(value);
+}
+
+function writeProgress(field, value, questId = readActiveQuestId(), profileId = readActiveProfileId()) {
+  change(d => { progressSlot(d, profileId, questId)[field] = structuredClone(value); });
+}
+
+// ----------------------------------------------------------
+// CREW PROFILES
+// ----------------------------------------------------------
+// A profile is { id, name, avatar } where avatar is an emoji.
+
+/** Read every crew profile. There is always at least one. */
+export function readProfiles() {
+  const saved = readDevice('profiles', []);
+  const list = Array.isArray(saved)
+    ? saved.filter(p => p && typeof p.id === 'string' && p.name)
+    : [];
+  return list.length ? list : [{ ...DEFAULT_PROFILE }];
+}
+
+/** Save the list of crew profiles. */
+export function writeProfiles(list) {
+  writeDevice('profiles', list || []);
+}
+
+/** Read who is playing. Falls back to the first profile if the saved one is gone. */
+export function readActiveProfileId() {
+  const profiles = readProfiles();
+  const id = readDevice('activeProfile', null);
+  return profiles.some(p => p.id === id) ? id : profiles[0].id;
+}
+
+/** Persist who is playing. */
+export function writeActiveProfileId(profileId) {
+  writeDevice('activeProfile', String(profileId));
+}
+
+/** The full { id, name, avatar } of whoever is playing. */
+export function readActiveProfile() {
+  const id = readActiveProfileId();
+  return readProfiles().find(p => p.id === id);
+}
+
+/** Add a crew member and return the new profile. */
+export function addProfile({ name, avatar }) {
+  const profiles = readProfiles();
+  const profile = {
+    id: `crew-${Date.now().toString(36)}`,
+    name: String(name).trim(),
+    avatar: avatar || DEFAULT_PROFILE.avatar
+  };
+  writeProfiles([...profiles, profile]);
+  return profile;
+}
+
+/** Change a crew member's name and/or avatar. */
+export function updateProfile(profileId, changes) {
+  const profiles = readProfiles().map(p =>
+    p.id === profileId ? { ...p, ...changes, id: p.id } : p
+  );
+  writeProfiles(profiles);
+}
+
+/**
+ * Remove a crew member AND all of their saved progress.
+ * The last remaining profile can't be deleted. Returns true if removed.
+ */
+export function deleteProfile(profileId) {
+  const profiles = readProfiles();
+  if (profiles.length <= 1) return false;
+
+  const remaining = profiles.filter(p => p.id !== profileId);
+  if (remaining.length === profiles.length) return false;
+
+  const wasActive = readActiveProfileId() === profileId;
+  change(d => {
+    delete d.progress[profileId];
+    d.device.profiles = structuredClone(remaining);
+    if (wasActive) d.device.activeProfile = remaining[0].id;
+  });
+  return true;
+}
+
+/** How many stamps a crew member has collected, across every quest. */
+export function countProfileStamps(profileId) {
+  const quests = doc.progress[profileId] || {};
+  return Object.values(quests).reduce(
+    (total, progress) => total + countVisited(normalizeVisitedMap(progress?.visited)),
+    0
+  );
+}
+
+/**
+ * Older versions of the app stored visited pools as booleans (true/false),
+ * then as { done, date: "16/12/2025", claimedAt?: ISO timestamp }.
+ * Now each claimed pool keeps every visit:
+ *   { done: boolean, visits: ["2025-12-16T03:04:05.000Z", "2026-01-02", ...] }
+ * oldest first (see dates.js). The first visit is the claim itself.
+ * Claims made since location checking was added also carry:
+ *   verification: 'location' | 'override'   (how the claim was allowed)
+ *   distance:     number | null              (metres from the pool, if known)
+ * and pools with a riddle also record how it went:
+ *   riddle: { wrong: number, hints: number, seconds: number }
+ * Claims a grown-up marked in parent mode have:
+ *   assisted: true
  *
- * This helper converts whatever is in storage into the new safer shape.
+ * This helper converts any of those into the new safer shape. It's used
+ * by the migrations, and on imported backups, which may be in any of the
+ * old shapes.
  */
-function normalizeVisitedMap(raw) {
+export function normalizeVisitedMap(raw) {
   const result = {};
   if (!raw || typeof raw !== 'object') return result;
 
   for (const key in raw) {
     const val = raw[key];
     if (typeof val === 'boolean') {
-      result[key] = { done: !!val, date: null };
+      result[key] = { done: !!val, visits: [] };
     } else if (val && typeof val === 'object') {
       result[key] = {
         done: !!val.done,
-        date: val.date || null
+        visits: Array.isArray(val.visits)
+          ? sortVisits(val.visits.filter(isVisit))
+          : legacyVisits(val)
       };
+      if (val.verification === 'location' || val.verification === 'override') {
+        result[key].verification = val.verification;
+      }
+      if (Number.isFinite(val.distance)) {
+        result[key].distance = val.distance;
+      }
+      if (val.assisted === true) {
+        result[key].assisted = true;
+      }
+      if (val.riddle && typeof val.riddle === 'object') {
+        result[key].riddle = {
+          wrong: Number(val.riddle.wrong) || 0,
+          hints: Number(val.riddle.hints) || 0,
+          seconds: Number(val.riddle.seconds) || 0
+        };
+      }
     }
   }
   return result;
 }
 
+// A { date, claimedAt } entry from before visit lists → its one visit.
+// The exact claimedAt time wins; otherwise the display date becomes a day.
+function legacyVisits(val) {
+  if (isVisit(val.claimedAt)) return [val.claimedAt];
+  const day = dateFromKey(dateKey(val.date));
+  return day ? [day] : [];
+}
+
 /**
- * Read the visited map from localStorage.
- * Returns an object keyed by pool name.
+ * Read the visited map for the active quest and crew member (or the ones
+ * given). Returns an object keyed by pool id.
  */
-export function readVisited() {
-  try {
-    const raw = localStorage.getItem(LS_KEYS.VISITED);
-    if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    return normalizeVisitedMap(parsed);
-  } catch (e) {
-    console.warn('Error reading visited map from localStorage', e);
-    return {};
-  }
+export function readVisited(questId, profileId) {
+  return normalizeVisitedMap(readProgress('visited', {}, questId, profileId));
 }
 
-/** Save the visited map back to localStorage. */
-export function writeVisited(map) {
-  try {
-    localStorage.setItem(LS_KEYS.VISITED, JSON.stringify(map || {}));
-  } catch (e) {
-    console.warn('Error writing visited map to localStorage', e);
+/**
+ * When each pool's claim last changed (claimed, un-claimed, re-dated…),
+ * as { [poolId]: ISO string }. A pool that's listed but not claimed was
+ * taken off: family sync uses this so a removal reaches the other phones.
+ */
+export function readVisitChanges(questId = readActiveQuestId(), profileId = readActiveProfileId()) {
+  return readProgress('changes', {}, questId, profileId);
+}
+
+/**
+ * Save the visited map (active quest and crew member by default), noting
+ * which pools changed (see readVisitChanges()). With family sync on, it's
+ * also queued to be sent (see sync.js).
+ */
+export function writeVisited(map, questId = readActiveQuestId(), profileId = readActiveProfileId()) {
+  const before = readVisited(questId, profileId);
+  const after = normalizeVisitedMap(map);
+  const claim = (visited, id) => visited[id]?.done ? JSON.stringify(visited[id]) : null;
+
+  const changes = readVisitChanges(questId, profileId);
+  const now = new Date().toISOString();
+  for (const id of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (claim(before, id) !== claim(after, id)) changes[id] = now;
   }
+
+  change(d => {
+    const slot = progressSlot(d, profileId, questId);
+    slot.visited = structuredClone(map || {});
+    slot.changes = structuredClone(changes);
+  });
+  if (syncEnabled()) queueSync(questId, profileId);
+}
+
+/**
+ * Save a visited map (and its changes) that arrived through family sync.
+ * It isn't queued to be sent back, and screens redraw as for a change
+ * from another tab.
+ */
+export function writeSyncedVisited(map, changes, questId, profileId) {
+  change(d => {
+    const slot = progressSlot(d, profileId, questId);
+    slot.visited = structuredClone(map);
+    slot.changes = structuredClone(changes);
+  }, { remote: true });
 }
 
 /** Count how many pools are marked as done=true. */
@@ -66,42 +729,326 @@ export function countVisited(map) {
   return Object.values(map || {}).filter(v => v && v.done).length;
 }
 
-/** Read the selected pool index. Defaults to 0. */
-export function readSelection() {
-  try {
-    const raw = localStorage.getItem(LS_KEYS.SELECTION);
-    const num = Number(raw);
-    return Number.isFinite(num) && num >= 0 ? num : 0;
-  } catch {
-    return 0;
-  }
+/**
+ * Read which pool is selected, as its index in `pools` (0 if none is saved).
+ * It's saved by pool id. Older versions saved the index itself, which
+ * pointed at the wrong pool once pools.json was reordered; if no pool has
+ * the saved id, it's treated as one of those old indexes.
+ */
+export function readSelection(pools) {
+  const raw = readProgress('selection', null);
+
+  const byId = pools.findIndex(p => p.id === raw);
+  if (byId >= 0) return byId;
+
+  const num = Number(raw);
+  return raw !== null && Number.isInteger(num) && num >= 0 && num < pools.length ? num : 0;
 }
 
-/** Persist the selected pool index. */
-export function writeSelection(index) {
-  try {
-    localStorage.setItem(LS_KEYS.SELECTION, String(index));
-  } catch (e) {
-    console.warn('Error writing selection index', e);
-  }
+/** Persist the selected pool (by id). */
+export function writeSelection(poolId) {
+  writeProgress('selection', String(poolId));
 }
 
 /** Read the current stamps page index. Defaults to 0. */
 export function readStampsPage() {
-  try {
-    const raw = localStorage.getItem(LS_KEYS.STAMPS_PAGE);
-    const num = Number(raw);
-    return Number.isFinite(num) && num >= 0 ? num : 0;
-  } catch {
-    return 0;
-  }
+  const num = Number(readProgress('stampsPage', 0));
+  return Number.isFinite(num) && num >= 0 ? num : 0;
 }
 
 /** Persist the current stamps page index. */
 export function writeStampsPage(pageIndex) {
-  try {
-    localStorage.setItem(LS_KEYS.STAMPS_PAGE, String(pageIndex));
-  } catch (e) {
-    console.warn('Error writing stamps page', e);
+  writeProgress('stampsPage', Number(pageIndex) || 0);
+}
+
+/**
+ * Read riddle progress for pools not yet claimed (active quest + crew member).
+ * Shape: { [poolId]: { startedAt: ISO, wrong: number, hints: number, solvedAt: ISO | null } }
+ */
+export function readRiddleProgress() {
+  const progress = readProgress('riddles', {});
+  return progress && typeof progress === 'object' ? progress : {};
+}
+
+/** Save riddle progress. */
+export function writeRiddleProgress(progress) {
+  writeProgress('riddles', progress || {});
+}
+
+/**
+ * Read the badges already earned (active quest + crew member).
+ * Shape: { [badgeId]: { earnedAt: ISO } }
+ * Kept separately so a badge is only celebrated once.
+ */
+export function readBadges() {
+  const earned = readProgress('badges', {});
+  return earned && typeof earned === 'object' ? earned : {};
+}
+
+/** Save the earned badges. */
+export function writeBadges(earned) {
+  writeProgress('badges', earned || {});
+}
+
+/**
+ * Read the parent-mode change log (active quest + crew member), oldest first.
+ * Shape: [{ at: ISO, poolId, action, from, to }, ...]
+ *   action: 'claim' | 'unclaim' | 'date' | 'assisted' | 'unassisted' | 'reset'
+ */
+export function readAudit() {
+  const entries = readProgress('audit', []);
+  return Array.isArray(entries) ? entries : [];
+}
+
+/** Save the change log. */
+export function writeAudit(entries) {
+  writeProgress('audit', entries || []);
+}
+
+/**
+ * Has the big "quest complete" finale been shown? Remembered so that
+ * un-claiming and re-claiming the last pool doesn't celebrate twice.
+ */
+export function readFinaleShown() {
+  return readProgress('finale', false) === true;
+}
+
+/** Remember (or forget, after a reset) that the finale was shown. */
+export function writeFinaleShown(shown) {
+  writeProgress('finale', !!shown);
+}
+
+/**
+ * Read the overview map's filter chips (shared by every quest and crew
+ * member: they're about the family outing, not anyone's progress).
+ * Shape: { facilities: ['toilets', 'shade'], unclaimed: true, hide: false }
+ */
+export function readMapFilters() {
+  const saved = readDevice('mapFilters', null);
+  if (!saved || typeof saved !== 'object') return { facilities: [], unclaimed: false, hide: false };
+  return {
+    facilities: Array.isArray(saved.facilities) ? saved.facilities.map(String) : [],
+    unclaimed: saved.unclaimed === true,
+    hide: saved.hide === true
+  };
+}
+
+/** Save the overview map's filter chips. */
+export function writeMapFilters(filters) {
+  writeDevice('mapFilters', filters);
+}
+
+// The passport gallery's choices (see renderGallery() in app.js); the
+// first of each is the default.
+export const GALLERY_CHOICES = {
+  sort: ['date', 'name', 'suburb', 'distance'],
+  show: ['all', 'claimed', 'unclaimed']
+};
+
+/**
+ * Read how the passport gallery is sorted and filtered.
+ * Shape: { sort: 'date' | 'name' | 'suburb' | 'distance', show: 'all' | 'claimed' | 'unclaimed' }
+ */
+export function readGalleryOptions() {
+  const saved = readDevice('gallery', {});
+  const pick = (name) => GALLERY_CHOICES[name].includes(saved?.[name]) ? saved[name] : GALLERY_CHOICES[name][0];
+  return { sort: pick('sort'), show: pick('show') };
+}
+
+/** Save how the passport gallery is sorted and filtered. */
+export function writeGalleryOptions(options) {
+  writeDevice('gallery', options);
+}
+
+/** Read the chosen language code (e.g. "es"), or null if none was picked. */
+export function readLanguage() {
+  return readDevice('language', null);
+}
+
+/** Save the chosen language (shared by the whole crew, like the PIN). */
+export function writeLanguage(code) {
+  writeDevice('language', String(code));
+}
+
+/** Read the chosen theme pack's id (see themes.js), or null if none was picked. */
+export function readTheme() {
+  return readDevice('theme', null);
+}
+
+/** Save the chosen theme pack (shared by the whole crew, like the language). */
+export function writeTheme(id) {
+  writeDevice('theme', String(id));
+}
+
+/**
+ * Read the sound settings (see sounds.js).
+ * Shape: { volume: 0–1, muted: false }
+ */
+export function readSoundSettings() {
+  const defaults = { volume: 0.7, muted: false };
+  const saved = readDevice('sound', null);
+  if (!saved || typeof saved !== 'object') return defaults;
+
+  const volume = Number(saved.volume);
+  return {
+    volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : defaults.volume,
+    muted: saved.muted === true
+  };
+}
+
+/** Save the sound settings (shared by the whole crew, like the language). */
+export function writeSoundSettings(settings) {
+  writeDevice('sound', settings);
+}
+
+// The choices on the settings screen (see settings.js); the first of each
+// is the default.
+export const SETTING_CHOICES = {
+  stampsPerPage: [1, 4, 9],           // one big stamp, or a 2×2 / 3×3 grid
+  overlayMs: [1400, 3000, 6000, 0],   // how long celebrations stay up (0 = until tapped)
+  mapView: ['quest', 'fit', 'last']   // quest's own view, all pools, or where it was left
+};
+
+/**
+ * Read the crew's settings (see settings.js).
+ * Shape: { stampsPerPage: 1 | 4 | 9, overlayMs: number, mapView: 'quest' | 'fit' | 'last' }
+ * Anything missing or unknown falls back to the default.
+ */
+export function readSettings() {
+  const saved = readDevice('settings', null);
+
+  const settings = {};
+  for (const [name, choices] of Object.entries(SETTING_CHOICES)) {
+    settings[name] = choices.includes(saved?.[name]) ? saved[name] : choices[0];
   }
+  return settings;
+}
+
+/** Save the settings (shared by the whole crew, like the language). */
+export function writeSettings(settings) {
+  writeDevice('settings', settings);
+}
+
+/**
+ * Read where the overview map was left for a quest (for the "last" map view).
+ * Shape: { center: [lat, lng], zoom } or null.
+ */
+export function readLastMapView(questId = readActiveQuestId()) {
+  const view = readDevice('mapViews', {})[questId];
+  const ok = Array.isArray(view?.center) && view.center.every(Number.isFinite) && Number.isFinite(view.zoom);
+  return ok ? { center: view.center, zoom: view.zoom } : null;
+}
+
+/** Remember where the overview map was left for a quest. */
+export function writeLastMapView(view, questId = readActiveQuestId()) {
+  const views = readDevice('mapViews', {});
+  views[questId] = { center: view.center, zoom: view.zoom };
+  writeDevice('mapViews', views);
+}
+
+// ----------------------------------------------------------
+// FAMILY SYNC (see sync.js)
+// ----------------------------------------------------------
+
+/**
+ * Read the family sync settings. Shape: { url: '', family: '' }
+ * (the server's address and the family code). Sync is off while either
+ * is empty.
+ */
+export function readSyncSettings() {
+  const saved = readDevice('sync', {});
+  return {
+    url: typeof saved.url === 'string' ? saved.url : '',
+    family: typeof saved.family === 'string' ? saved.family : ''
+  };
+}
+
+/** Save the family sync settings (shared by the whole crew, like the language). */
+export function writeSyncSettings(settings) {
+  writeDevice('sync', { url: String(settings.url || ''), family: String(settings.family || '') });
+}
+
+/** Is family sync set up? */
+export function syncEnabled() {
+  const { url, family } = readSyncSettings();
+  return !!(url && family);
+}
+
+/**
+ * Read what family sync still has to send: one entry per crew member and
+ * quest whose stamps changed. Shape: [{ questId, profileId }, ...]
+ * Kept until it's sent, so changes made offline go out later.
+ */
+export function readSyncQueue() {
+  const queue = readDevice('syncQueue', []);
+  return Array.isArray(queue) ? queue.filter(job => job && job.questId && job.profileId) : [];
+}
+
+/** Save what family sync still has to send. */
+export function writeSyncQueue(queue) {
+  writeDevice('syncQueue', queue || []);
+}
+
+/** Add a crew member's quest to the sync queue (once). */
+export function queueSync(questId, profileId) {
+  const queue = readSyncQueue();
+  if (queue.some(job => job.questId === questId && job.profileId === profileId)) return;
+  writeSyncQueue([...queue, { questId, profileId }]);
+}
+
+/** When family sync last finished (ISO string), or null. */
+export function readSyncedAt() {
+  return readDevice('syncedAt', null);
+}
+
+/** Remember when family sync last finished. */
+export function writeSyncedAt(iso) {
+  writeDevice('syncedAt', iso);
+}
+
+/** Read the grown-up PIN used for overrides. Returns null if none is set. */
+export function readParentPin() {
+  return readDevice('parentPin', null) || null;
+}
+
+/** Save the grown-up PIN. */
+export function writeParentPin(pin) {
+  writeDevice('parentPin', String(pin));
+}
+
+/**
+ * Read the last good pool list saved for a pools file (e.g. "pools.json").
+ * Returns { savedAt: ISO string, pools: [...] } or null.
+ */
+export function readPoolsCache(file) {
+  const cached = doc.poolsCache[file];
+  if (!cached || !Array.isArray(cached.pools) || !cached.pools.length) return null;
+  return structuredClone(cached);
+}
+
+/** Remember a good pool list so we can fall back to it if loading fails later. */
+export function writePoolsCache(file, pools) {
+  const cached = { savedAt: new Date().toISOString(), pools };
+  change(d => { d.poolsCache[file] = structuredClone(cached); });
+}
+
+/**
+ * Read the quest editor's unfinished pools file (the raw entries, as they
+ * will be downloaded). Returns { savedAt, pools } or null.
+ */
+export function readEditorDraft(file) {
+  const draft = doc.editorDrafts[file];
+  if (!draft || !Array.isArray(draft.pools)) return null;
+  return structuredClone(draft);
+}
+
+/** Save the quest editor's work on a pools file. */
+export function writeEditorDraft(file, pools) {
+  const draft = { savedAt: new Date().toISOString(), pools };
+  change(d => { d.editorDrafts[file] = structuredClone(draft); });
+}
+
+/** Throw the quest editor's work on a pools file away. */
+export function clearEditorDraft(file) {
+  change(d => { delete d.editorDrafts[file]; });
 }
@@ -0,0 +1,233 @@
+// sw.js
+// =====
+// Service worker: lets the app open and work with no signal.
+//
+// Three caches:
+// • SHELL_CACHE  – our own pages, scripts, styles, pool data and images
+// • VENDOR_CACHE – Leaflet (unpkg) and the Nunito font (Google Fonts)
+// • TILE_CACHE   – OpenStreetMap tiles (filled by browsing, or by the
+//                  "Download harbour map" button via offline.js)
+//
+// Bump SHELL_CACHE's version when the list below changes.
+
+const SHELL_CACHE = 'treasure-shell-v15';
+const VENDOR_CACHE = 'treasure-vendor-v1';
+const TILE_CACHE = 'treasure-tiles-v1';   // must match offline.js
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  '404.html',
+  'print.html',
+  'editor.html',
+  'style.css',
+  'manifest.webmanifest',
+  'a11y.js',
+  'achievements.js',
+  'app.js',
+  'backup.js',
+  'certificate.js',
+  'crew.js',
+  'data.js',
+  'dates.js',
+  'editor.js',
+  'facilities.js',
+  'geo.js',
+  'i18n.js',
+  'journal.js',
+  'main.js',
+  'messages-en.js',
+  'messages-es.js',
+  'notices.js',
+  'offline.js',
+  'overview.js',
+  'print.js',
+  'riddles.js',
+  'router.js',
+  'settings.js',
+  'sounds.js',
+  'splash.js',
+  'storage.js',
+  'sync.js',
+  'themes.js',
+  'quests.json',
+  'achievements.json',
+  'pools.json',
+  'assets/icon.svg',
+  'assets/marker-x.png',
+  'assets/raymond-pirate.png',
+  'assets/raymond-blue.png',
+  'assets/anchor.png',
+  'assets/chest.png',
+  'assets/compass.png',
+  'assets/flag.png',
+  'assets/map.png',
+  'assets/pouch.png',
+  'assets/scroll.png',
+  'assets/spyglass.png',
+  'assets/stamp-anchor.png',
+  'assets/stamp-compass.png',
+  'assets/stamp-flag.png',
+  'assets/stamp-map.png',
+  'assets/stamp-scroll.png',
+  'assets/stamp-telescope.png',
+  'assets/stamp-treasure-chest.png',
+  'assets/stamp-treasure-pouch.png'
+];
+
+const VENDOR_FILES = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://fonts.googleapis.com/css2?family=Nunito:wght@400;600;700;800&display=swap'
+];
+
+const VENDOR_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Paths the router owns (see router.js). They aren't real files, so
+// opening one loads index.html and the router takes it from there.
+const ROUTE_PATHS = /^(map|passport|settings|pool\/[^/]+)\/?$/;
+
+// ----------------------------------------------------------
+// INSTALL: save the app shell (and every quest's pool file)
+// ----------------------------------------------------------
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+
+    // Each quest names its own pools (and badges) file in quests.json.
+    try {
+      const quests = await (await fetch('quests.json', { cache: 'no-store' })).json();
+      const poolFiles = quests.flatMap(q => [q.pools, q.achievements]).filter(Boolean);
+      await Promise.all(poolFiles.map(file => shell.add(file).catch(() => {})));
+    } catch (e) {
+      // pools.json is already in SHELL_FILES, so the harbour quest still works.
+    }
+
+    // Third-party files are nice to have; don't fail the install over them.
+    const vendor = await caches.open(VENDOR_CACHE);
+    await Promise.all(VENDOR_FILES.map(url => vendor.add(url).catch(() => {})));
+
+    self.skipWaiting();
+  })());
+});
+
+// ----------------------------------------------------------
+// ACTIVATE: tidy away caches from older versions
+// ----------------------------------------------------------
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, VENDOR_CACHE, TILE_CACHE];
+
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter(name => name.startsWith('treasure-') && !keep.includes(name))
+        .map(name => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+// ----------------------------------------------------------
+// FETCH
+// ----------------------------------------------------------
+
+// A family sync record: …/sync/<family>/<quest>/<crew>
+// (see server/sync-server.mjs)
+const SYNC_PATH = /\/sync\/[^/]+\/[^/]+\/[^/]+$/;
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Family sync (see sync.js) always talks to the server itself.
+  if (SYNC_PATH.test(url.pathname)) return;
+
+  if (url.hostname === 'tile.openstreetmap.org') {
+    event.respondWith(cacheFirst(request, TILE_CACHE));
+    return;
+  }
+
+  if (VENDOR_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, VENDOR_CACHE));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate' && isRoutePath(url)) {
+      event.respondWith(appPage(request));
+      return;
+    }
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
+
+// Is this a page like ./pool/woolwich (rather than a real file)?
+function isRoutePath(url) {
+  const scope = new URL(self.registration.scope).pathname;
+  if (!url.pathname.startsWith(scope)) return false;
+  return ROUTE_PATHS.test(url.pathname.slice(scope.length));
+}
+
+// Answer a route path with the saved index.html, falling back to the network.
+async function appPage(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match('index.html');
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (e) {
+    return new Response('Offline, and this page has not been saved yet.', {
+      status: 503,
+      headers: { 'Content-Type': 'text/plain' }
+    });
+  }
+}
+
+/**
+ * Serve from cache if we have it; otherwise fetch and keep a copy.
+ * Good for things that never change at the same URL (tiles, versioned libs).
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Answer straight away from cache (fast, and works with no signal), while
+ * fetching a fresh copy in the background for next time.
+ * Query strings are ignored when matching, so ./?import=… still
+ * opens offline.
+ */
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) return cached;
+
+  const fresh = await refresh;
+  return fresh || new Response('Offline, and this page has not been saved yet.', {
+    status: 503,
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
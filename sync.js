@@ -0,0 +1,341 @@
+// sync.js
+// =======
+// Family sync: keeps the kids' stamps the same on every phone in the
+// family, through a small server you run yourself (server/sync-server.mjs
+// is one; its top comment describes the API).
+//
+// It's off until a grown-up enters the server's address and a family
+// code on the settings screen. Then, for each crew member (matched by
+// name, since each phone makes up its own profile ids) and quest:
+//   1. fetch what the server has,
+//   2. merge it with this phone's stamps, keeping the EARLIEST claim of
+//      each pool (see mergeVisited() in backup.js),
+//   3. send the merged stamps back if the server was missing any.
+// If another phone saved in between, the server says so (409) and we go
+// round again.
+//
+// Stamps claimed offline wait in a queue (see readSyncQueue() in
+// storage.js) and go out when the connection comes back.
+//
+// Removals are shared too: each phone notes when every pool's claim last
+// changed (see readVisitChanges() in storage.js), so a pool un-claimed in
+// parent mode, or a Reset, stays off unless it was claimed again after.
+// That compares the phones' clocks, which is close enough for a family.
+
+import { mergeVisited } from './backup.js';
+import { t } from './i18n.js';
+import {
+  readVisited,
+  readVisitChanges,
+  writeSyncedVisited,
+  normalizeVisitedMap,
+  readProfiles,
+  readActiveProfileId,
+  readActiveQuestId,
+  readSyncSettings,
+  syncEnabled,
+  readSyncQueue,
+  writeSyncQueue,
+  queueSync,
+  readSyncedAt,
+  writeSyncedAt,
+  subscribe
+} from './storage.js';
+
+// Give up on a request after this long.
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Rounds of "someone else saved first" before giving up for now.
+const MAX_CONFLICT_ROUNDS = 3;
+
+// Fetch the family's latest this often while the app is open.
+const SYNC_EVERY_MS = 2 * 60 * 1000;
+
+// Wait this long after a change before sending it (claims come in bursts).
+const SEND_DELAY_MS = 1500;
+
+// Re-draw "synced 2 min ago" this often.
+const STATUS_REFRESH_MS = 30 * 1000;
+
+// What the header shows: 'off' | 'syncing' | 'synced' | 'offline' | 'error'
+let state = 'off';
+let lastError = null;
+let running = null;
+let runAgain = false;
+let sendTimer = null;
+
+// How long the queue was last time, so only new changes trigger a send.
+let queuedCount = 0;
+// Set while a failed job goes back on the queue (that's not a new change).
+let requeueing = false;
+
+// ----------------------------------------------------------
+// TALKING TO THE SERVER
+// ----------------------------------------------------------
+
+class SyncError extends Error {
+  constructor(message, { offline = false } = {}) {
+    super(message);
+    this.name = 'SyncError';
+    this.offline = offline;
+  }
+}
+
+// "Santiago " and "santiago" are the same crew member on every phone.
+function crewKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function recordUrl(questId, profile) {
+  const { url, family } = readSyncSettings();
+  const parts = [family, questId, crewKey(profile.name)].map(encodeURIComponent);
+  return `${url.trim().replace(/\/+$/, '')}/sync/${parts.join('/')}`;
+}
+
+// Send one request; resolves with { status, body }. 409 counts as an answer.
+async function request(method, url, body) {
+  const controller = new AbortController();
+  const timer = window.setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      // Never answered from a cache (sw.js lets these through too)
+      cache: 'no-store',
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+  } catch (err) {
+    throw new SyncError(t('sync.unreachable'), { offline: true });
+  } finally {
+    window.clearTimeout(timer);
+  }
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {}
+
+  if (!response.ok && response.status !== 409) {
+    throw new SyncError(t('sync.serverError', { status: response.status, error: data?.error || response.statusText }));
+  }
+  return { status: response.status, body: data || {} };
+}
+
+// Same claims and changes, whatever order they were saved in?
+function sameProgress(a, b) {
+  const sorted = (map) => Object.keys(map).sort().map(id => [id, map[id]]);
+  const canonical = ({ visited, changes }) =>
+    JSON.stringify([sorted(normalizeVisitedMap(visited)), sorted(changes)]);
+  return canonical(a) === canonical(b);
+}
+
+// Both sides' claims (see mergeVisited()), less any pool one side took off
+// after the other last changed it. Each pool keeps its latest change.
+function mergeProgress(here, there) {
+  const visited = mergeVisited(here.visited, there.visited);
+  const changes = { ...here.changes };
+
+  for (const [id, at] of Object.entries(there.changes)) {
+    if (!changes[id] || at > changes[id]) changes[id] = at;
+  }
+  for (const id of Object.keys(visited)) {
+    const hereAt = here.changes[id] || '';
+    const thereAt = there.changes[id] || '';
+    const removedHere = !here.visited[id]?.done && hereAt > thereAt;
+    const removedThere = !there.visited[id]?.done && thereAt > hereAt;
+    if (removedHere || removedThere) delete visited[id];
+  }
+
+  return { visited, changes };
+}
+
+// A { id: ISO string } map as the server sent it, without anything odd.
+function cleanChanges(raw) {
+  const changes = {};
+  for (const [id, at] of Object.entries(raw && typeof raw === 'object' ? raw : {})) {
+    if (typeof at === 'string') changes[id] = at;
+  }
+  return changes;
+}
+
+// Sync one crew member's stamps for one quest.
+async function syncOne({ questId, profileId }) {
+  const profile = readProfiles().find(p => p.id === profileId);
+  if (!profile) return;   // deleted since it was queued
+  const url = recordUrl(questId, profile);
+
+  let { body: remote } = await request('GET', url);
+
+  for (let round = 0; round < MAX_CONFLICT_ROUNDS; round++) {
+    const theirs = { visited: normalizeVisitedMap(remote.visited), changes: cleanChanges(remote.changes) };
+    const local = { visited: readVisited(questId, profileId), changes: readVisitChanges(questId, profileId) };
+    const merged = mergeProgress(local, theirs);
+
+    if (!sameProgress(merged, local)) writeSyncedVisited(merged.visited, merged.changes, questId, profileId);
+    if (sameProgress(merged, theirs)) return;
+
+    const saved = await request('PUT', url, { rev: remote.rev || 0, ...merged });
+    if (saved.status !== 409) return;
+    remote = saved.body;   // another phone saved first: merge with theirs
+  }
+
+  throw new SyncError(t('sync.busy'));
+}
+
+// ----------------------------------------------------------
+// SYNCING
+// ----------------------------------------------------------
+
+async function runSync() {
+  if (!syncEnabled()) {
+    setState('off');
+    return;
+  }
+  if (navigator.onLine === false) {
+    setState('offline');
+    return;
+  }
+
+  setState('syncing');
+
+  // Everything queued, plus whoever is playing now (to fetch their news).
+  const queued = readSyncQueue();
+  const active = { questId: readActiveQuestId(), profileId: readActiveProfileId() };
+  const sameJob = (a) => (b) => a.questId === b.questId && a.profileId === b.profileId;
+  const jobs = queued.some(sameJob(active)) ? queued : [...queued, active];
+
+  for (const job of jobs) {
+    // Taken off the queue first: a claim made while this one is syncing
+    // puts it back, for the next round.
+    writeSyncQueue(readSyncQueue().filter(other => !sameJob(job)(other)));
+
+    try {
+      await syncOne(job);
+    } catch (err) {
+      // Back on the queue if it had something to send.
+      if (queued.some(sameJob(job))) {
+        requeueing = true;
+        queueSync(job.questId, job.profileId);
+        requeueing = false;
+      }
+      console.warn('Family sync failed', err);
+      lastError = err;
+      setState(err.offline ? 'offline' : 'error');
+      return;
+    }
+  }
+
+  writeSyncedAt(new Date().toISOString());
+  lastError = null;
+  setState('synced');
+}
+
+/** Sync now (or straight after the sync that's already running). */
+export function syncNow() {
+  if (running) {
+    runAgain = true;
+    return running;
+  }
+
+  running = runSync().finally(() => {
+    running = null;
+    if (runAgain) {
+      runAgain = false;
+      syncNow();
+    }
+  });
+  return running;
+}
+
+// Send changes a moment after they're made.
+function scheduleSend() {
+  window.clearTimeout(sendTimer);
+  sendTimer = window.setTimeout(syncNow, SEND_DELAY_MS);
+}
+
+// ----------------------------------------------------------
+// STATUS (next to the "X / Y" badge in the headers)
+// ----------------------------------------------------------
+
+const statusEls = [];
+
+// "just now", "2 min ago", "3 h ago", "2 days ago"
+function syncedAgo(iso) {
+  const minutes = Math.floor((Date.now() - Date.parse(iso)) / 60000);
+  if (!Number.isFinite(minutes) || minutes < 1) return t('sync.justNow');
+  if (minutes < 60) return t('sync.minutesAgo', { count: minutes });
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t('sync.hoursAgo', { count: hours });
+  return t('sync.daysAgo', { count: Math.floor(hours / 24) });
+}
+
+function statusText() {
+  const waiting = readSyncQueue().length;
+  const syncedAt = readSyncedAt();
+
+  switch (state) {
+    case 'syncing': return t('sync.syncing');
+    case 'offline': return waiting ? t('sync.offlineWaiting', { count: waiting }) : t('sync.offline');
+    case 'error':   return t('sync.failed');
+    default:        return syncedAt ? t('sync.synced', { ago: syncedAgo(syncedAt) }) : t('sync.notYet');
+  }
+}
+
+function renderStatus(el) {
+  el.hidden = state === 'off';
+  el.dataset.state = state;
+  el.textContent = statusText();
+  el.title = state === 'error' && lastError ? lastError.message : '';
+}
+
+function setState(next) {
+  state = next;
+  statusEls.forEach(renderStatus);
+}
+
+/**
+ * Show the sync state in a <button data-sync-status>.
+ * Tapping it syncs straight away.
+ */
+export function setupSyncStatus(el) {
+  if (!el) return;
+  statusEls.push(el);
+  el.setAttribute('aria-live', 'polite');
+  el.addEventListener('click', () => syncNow());
+  renderStatus(el);
+}
+
+/**
+ * Start syncing (called once by main.js): now, after every change, every
+ * few minutes while the app is open, and when the connection comes back.
+ */
+export function setupSync() {
+  if (syncEnabled()) setState('synced');
+
+  // A claim (or any other change to the stamps) queues them to be sent.
+  queuedCount = readSyncQueue().length;
+  subscribe(({ remote }) => {
+    const count = readSyncQueue().length;
+    const grew = count > queuedCount;
+    queuedCount = count;
+    if (!remote && grew && !requeueing && syncEnabled()) scheduleSend();
+  });
+
+  window.addEventListener('online', () => syncNow());
+  window.addEventListener('offline', () => {
+    if (syncEnabled()) setState('offline');
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') syncNow();
+  });
+
+  window.setInterval(() => {
+    if (document.visibilityState === 'visible') syncNow();
+  }, SYNC_EVERY_MS);
+  window.setInterval(() => statusEls.forEach(renderStatus), STATUS_REFRESH_MS);
+
+  syncNow();
+}
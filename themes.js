@@ -0,0 +1,178 @@
+// themes.js
+// =========
+// Theme packs: the look and the story wrapped around a quest. The pools,
+// progress and riddles don't change, only how they're dressed up.
+//
+// Each pack is plain data:
+//   id         saved as the crew's choice (see readTheme() in storage.js)
+//   mascot     picture for the splash, finale and certificate
+//              (null = whatever the quest uses, see quests.json)
+//   stamps     stamp art to swap, { 'assets/flag.png': 'assets/spyglass.png' }
+//              (anything not listed keeps the pool's own stamp)
+//   palette    colours laid over the ones at the top of style.css
+//   emoji      for the celebration overlays
+//   messages   wording to swap, by language (see overrideMessages() in i18n.js)
+//
+// The name shown in the picker is the "theme.<id>" message.
+// Like the language, the theme is picked once per page load: changing it
+// reloads the page, so claimed stamps come back in the new art.
+
+import { t, overrideMessages } from './i18n.js';
+import { readTheme, writeTheme, flush } from './storage.js';
+
+export const THEMES = [
+  {
+    // The original look: style.css's own colours and text.
+    id: 'pirate',
+    mascot: null,
+    stamps: {},
+    palette: {},
+    themeColor: '#0A1A2F',
+    emoji: { claim: '✨', finale: '🎉🏴‍☠️✨', sailCloser: '🧭' },
+    messages: {}
+  },
+  {
+    id: 'ocean',
+    mascot: 'assets/raymond-blue.png',
+    // Explorers don't fly the Jolly Roger or hunt for loot.
+    stamps: {
+      'assets/flag.png': 'assets/spyglass.png',
+      'assets/stamp-flag.png': 'assets/stamp-telescope.png',
+      'assets/pouch.png': 'assets/compass.png',
+      'assets/stamp-treasure-pouch.png': 'assets/stamp-compass.png',
+      'assets/chest.png': 'assets/anchor.png',
+      'assets/stamp-treasure-chest.png': 'assets/stamp-anchor.png'
+    },
+    palette: {
+      '--bg-navy': '#0B3A5B',
+      '--gold': '#7CCBEA',
+      '--gold-mid': '#4FB1DB',
+      '--gold-deep': '#1F6F99',
+      '--accent-soft': '#E3F3FA',
+      '--pill-bg': '#EEF8FC',
+      '--pill-border': '#A9D8EC',
+      '--page-bg': '#EEF6FA',
+      '--splash-bg': '#F2FAFE',
+      '--splash-accent': '#FFD54F',
+      '--overlay-backdrop': 'rgba(6,40,66,0.6)',
+      '--overlay-title': '#0B3A5B'
+    },
+    themeColor: '#0B3A5B',
+    emoji: { claim: '🫧', finale: '🎉🐠🫧', sailCloser: '🤿' },
+    messages: {
+      en: {
+        'crew.questTitle': '{name}’s Ocean Expedition',
+        'crew.firstMate': 'Junior Explorer',
+        'splash.title': 'Raymond’s Ocean Expedition',
+        'splash.ahoy': 'Welcome aboard,',
+        'splash.greeting': 'Explorer {name}!',
+        'splash.mascotAlt': 'Raymond in his goggles and flippers',
+        'splash.begin': 'Start Exploring',
+        'splash.resume': 'Keep Exploring',
+        'map.heading': 'Visit a Pool and log a discovery!',
+        'map.legendFound': '🐚 Discovered',
+        'list.myTreasure': 'My Discoveries',
+        'list.claim': '🐚 Log this discovery',
+        'list.claimed': '✓ Discovered • {date}',
+        'claim.treasureFound': 'Discovery Logged!',
+        'claim.mascotAlt': 'Raymond the explorer',
+        'a11y.treasureFound': 'Discovery logged at {pool}, {count} of {total}',
+        'a11y.markerFound': '{pool}: discovered',
+        'sound.cheer': 'Splish, splash, hooray!',
+        'claim.sailCloser': 'Swim a little closer, {firstMate}!',
+        'certificate.heading': 'Certificate of Discovery',
+        'certificate.foundAll': 'explored every pool in {quest}',
+        'certificate.signature': 'Raymond, Chief Explorer'
+      },
+      es: {
+        'crew.questTitle': 'La expedición oceánica de {name}',
+        'crew.firstMate': 'Tripulante',
+        'splash.title': 'La expedición oceánica de Raymond',
+        'splash.ahoy': '¡Te damos la bienvenida,',
+        'splash.greeting': 'tripulante {name}!',
+        'splash.mascotAlt': 'Raymond con sus gafas de bucear y sus aletas',
+        'splash.begin': 'Empezar a explorar',
+        'splash.resume': 'Seguir explorando',
+        'map.heading': '¡Visita una piscina y registra un descubrimiento!',
+        'map.legendFound': '🐚 Descubierta',
+        'list.myTreasure': 'Mis descubrimientos',
+        'list.claim': '🐚 Registrar el descubrimiento',
+        'list.claimed': '✓ Descubierta • {date}',
+        'claim.treasureFound': '¡Descubrimiento registrado!',
+        'claim.mascotAlt': 'Raymond el explorador',
+        'a11y.treasureFound': 'Descubrimiento registrado en {pool}, {count} de {total}',
+        'a11y.markerFound': '{pool}: descubierta',
+        'sound.cheer': '¡Chof, chof, hurra!',
+        'claim.sailCloser': '¡Nada un poco más cerca, {firstMate}!',
+        'certificate.heading': 'Certificado de Exploración',
+        'certificate.foundAll': 'exploró todas las piscinas de {quest}',
+        'certificate.signature': 'Raymond, jefe de exploración'
+      }
+    }
+  }
+];
+
+const DEFAULT_THEME = THEMES[0];
+
+const theme = THEMES.find(th => th.id === readTheme()) || DEFAULT_THEME;
+overrideMessages(theme.messages);
+
+/** The theme pack in use. */
+export function currentTheme() {
+  return theme;
+}
+
+/** A pool's stamp as this theme draws it. */
+export function themeStamp(src) {
+  if (!src) return src;
+  const key = String(src).replace(/^\.\//, '');
+  return theme.stamps[key] || src;
+}
+
+/** The mascot to show, given the quest's own (quests.json "mascot"). */
+export function themeMascot(questMascot) {
+  return theme.mascot || questMascot;
+}
+
+/**
+ * Dress the page in the theme: colours, toolbar colour, and any
+ * <img data-theme-mascot> (which shows the theme's mascot, if it has one).
+ */
+export function applyTheme() {
+  const root = document.documentElement;
+  root.dataset.theme = theme.id;
+  for (const [name, value] of Object.entries(theme.palette)) {
+    root.style.setProperty(name, value);
+  }
+
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', theme.themeColor);
+
+  if (theme.mascot) {
+    document.querySelectorAll('img[data-theme-mascot]').forEach(img => {
+      img.src = theme.mascot;
+    });
+  }
+}
+
+/**
+ * Fill a <select> with the theme packs and switch when it changes.
+ * Like the language, switching reloads the page.
+ */
+export function setupThemePicker(select) {
+  if (!select) return;
+
+  select.innerHTML = '';
+  for (const th of THEMES) {
+    const option = document.createElement('option');
+    option.value = th.id;
+    option.textContent = t(`theme.${th.id}`);
+    option.selected = th === theme;
+    select.appendChild(option);
+  }
+
+  select.addEventListener('change', async () => {
+    writeTheme(select.value);
+    await flush();
+    window.location.reload();
+  });
+}